@@ -1,8 +1,11 @@
 // client/index.js
 
+const util = require('util');
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
 require('dotenv').config();
+const { TLS_OPTIONS, channelCredentials } = require('./tls');
+const { TRACING_OPTIONS, startTracing, tracingInterceptor } = require('./tracing');
 
 // Path to the .proto file
 const PROTO_PATH = __dirname + '/../protos/prize_service.proto';
@@ -21,11 +24,33 @@ const packageDefinition = protoLoader.loadSync(
 
 const prizeProto = grpc.loadPackageDefinition(packageDefinition).prize;
 
-// Create a client stub
-const client = new prizeProto.PrizeService(
-  process.env.GRPC_SERVER_ADDRESS || 'localhost:50051',
-  grpc.credentials.createInsecure()
-);
+// API key or JWT sent with every call; set from --token or GRPC_TOKEN
+let authToken = process.env.GRPC_TOKEN;
+
+// Adds the authorization metadata to every call made through a stub
+function authInterceptor(options, nextCall) {
+  return new grpc.InterceptingCall(nextCall(options), {
+    start(metadata, listener, next) {
+      if (authToken) {
+        metadata.set('authorization', `Bearer ${authToken}`);
+      }
+      next(metadata, listener);
+    }
+  });
+}
+
+// Client stubs, created once the TLS options are parsed
+let client;
+let statsClient;
+
+// Creates the client stubs with the credentials chosen on the command line
+function createClients(tlsOptions) {
+  const address = process.env.GRPC_SERVER_ADDRESS || 'localhost:50051';
+  const credentials = channelCredentials(tlsOptions);
+  const interceptors = [tracingInterceptor, authInterceptor];
+  client = new prizeProto.PrizeService(address, credentials, { interceptors });
+  statsClient = new prizeProto.StatsService(address, credentials, { interceptors });
+}
 
 // Helper function to handle gRPC responses
 function handleResponse(error, response) {
@@ -36,24 +61,165 @@ function handleResponse(error, response) {
   }
 }
 
+// Helper function to print a server stream one message per line as it arrives
+function handleStream(stream) {
+  let count = 0;
+  let failed = false;
+  stream.on('data', (message) => {
+    count += 1;
+    console.log(JSON.stringify(message));
+  });
+  stream.on('error', (error) => {
+    failed = true;
+    console.error('Error:', error.message);
+  });
+  stream.on('end', () => {
+    if (!failed) {
+      console.error(`Stream ended after ${count} messages.`);
+    }
+  });
+}
+
+// Stats tables the stats command can print, with the StatsService method behind each
+const STATS_TABLES = {
+  categoryYear: { title: 'Laureates per category per year', method: 'GetLaureatesPerCategoryYear' },
+  decade: { title: 'Laureates per decade', method: 'GetLaureatesPerDecade' },
+  share: { title: 'Shared versus solo prizes', method: 'GetShareDistribution' },
+  top: { title: 'Top categories by laureate count', method: 'GetTopCategories' },
+};
+
+/**
+ * Fetches the requested stats tables one after another and prints each as a table.
+ * @param {Array<string>} tables - Keys of STATS_TABLES to print.
+ * @param {Object} request - The category and year filters, plus limit for top categories.
+ */
+async function printStats(tables, request) {
+  for (const table of tables) {
+    const { title, method } = STATS_TABLES[table];
+    const response = await util.promisify(statsClient[method].bind(statsClient))(request);
+    console.log(`\n${title}`);
+    if (table === 'share') {
+      console.table(response.buckets);
+      console.log(`Solo prizes: ${response.soloPrizes}, shared prizes: ${response.sharedPrizes}`);
+    } else {
+      console.table(response.rows);
+    }
+  }
+}
+
+/**
+ * Calls a paginated RPC. With --all, follows next_page_token until the last page
+ * and prints the items of every page as one response.
+ * @param {string} method - The PrizeService method name.
+ * @param {Object} request - The request, without paging fields.
+ * @param {Object} args - Parsed command-line arguments (pageSize, pageToken, all).
+ * @param {string} itemsField - The repeated response field holding the items.
+ */
+function callPaginated(method, request, args, itemsField) {
+  const items = [];
+
+  function fetchPage(pageToken) {
+    client[method]({ ...request, page_size: args.pageSize, page_token: pageToken }, (error, response) => {
+      if (error || !args.all) {
+        return handleResponse(error, response);
+      }
+      items.push(...response[itemsField]);
+      if (response.next_page_token) {
+        fetchPage(response.next_page_token);
+      } else {
+        handleResponse(null, { ...response, [itemsField]: items });
+      }
+    });
+  }
+
+  fetchPage(args.pageToken || '');
+}
+
+// Adds the paging options shared by the listing commands
+function withPageOptions(yargs) {
+  return yargs
+    .option('pageSize', {
+      type: 'number',
+      description: 'Number of items per page (server default if omitted).',
+    })
+    .option('pageToken', {
+      type: 'string',
+      description: 'next_page_token from a previous response.',
+    })
+    .option('all', {
+      type: 'boolean',
+      description: 'Follow next_page_token and print every page.',
+      default: false,
+    });
+}
+
 // Command-line argument handling using yargs
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
 
 const argv = yargs(hideBin(process.argv))
+  .option('token', {
+    type: 'string',
+    global: true,
+    description: 'API key or JWT sent as authorization metadata (defaults to GRPC_TOKEN).',
+  })
+  .options(TLS_OPTIONS)
+  .options(TRACING_OPTIONS)
+  .middleware((args) => {
+    if (args.token) {
+      authToken = args.token;
+    }
+    try {
+      // Each call starts a trace; the spans are flushed once the command is done
+      const tracing = startTracing('nobel-prize-cli', args);
+      process.once('beforeExit', () => tracing.shutdown());
+      createClients(args);
+    } catch (error) {
+      console.error('Error:', error.message);
+      process.exit(1);
+    }
+  })
   .command(
     'query1',
-    'Retrieve all prizes in the "chemistry" category.',
-    () => {},
+    'Retrieve the prizes in one or more categories, sorted by year.',
+    (yargs) => {
+      return withPageOptions(yargs)
+        .option('category', {
+          alias: 'c',
+          type: 'array',
+          string: true,
+          description: 'Categories to list (e.g., "chemistry"); all categories if omitted.',
+        })
+        .option('startYear', {
+          alias: 's',
+          type: 'number',
+          description: 'Start year of the range (inclusive).',
+        })
+        .option('endYear', {
+          alias: 'e',
+          type: 'number',
+          description: 'End year of the range (inclusive).',
+        })
+        .option('sort', {
+          choices: ['asc', 'desc'],
+          description: 'Sort prizes by year ascending or descending.',
+          default: 'asc',
+        });
+    },
     (args) => {
-      client.GetPrizesByCategory({}, handleResponse);
+      callPaginated('GetPrizesByCategory', {
+        categories: args.category || [],
+        startYear: args.startYear,
+        endYear: args.endYear,
+        sort: args.sort === 'desc' ? 'YEAR_DESC' : 'YEAR_ASC'
+      }, args, 'prizes');
     }
   )
   .command(
     'query2',
     'Count the total number of laureates in a given category and year range.',
     (yargs) => {
-      return yargs
+      return withPageOptions(yargs)
         .option('category', {
           alias: 'c',
           type: 'string',
@@ -74,18 +240,18 @@ const argv = yargs(hideBin(process.argv))
         });
     },
     (args) => {
-      client.CountLaureatesByCategoryAndYearRange({
+      callPaginated('CountLaureatesByCategoryAndYearRange', {
         category: args.category,
         startYear: args.startYear,
         endYear: args.endYear
-      }, handleResponse);
+      }, args, 'laureates');
     }
   )
   .command(
     'query3',
     'Count the total number of laureates with motivations covering a given keyword.',
     (yargs) => {
-      return yargs.option('keyword', {
+      return withPageOptions(yargs).option('keyword', {
         alias: 'k',
         type: 'string',
         description: 'Keyword to search for in motivations.',
@@ -93,36 +259,331 @@ const argv = yargs(hideBin(process.argv))
       });
     },
     (args) => {
-      client.CountLaureatesByMotivationKeyword({
+      callPaginated('CountLaureatesByMotivationKeyword', {
         keyword: args.keyword
-      }, handleResponse);
+      }, args, 'laureates');
     }
   )
   .command(
     'query4',
     'Retrieve details of a laureate by their name.',
     (yargs) => {
-      return yargs
+      return withPageOptions(yargs)
         .option('firstname', {
           alias: 'f',
           type: 'string',
-          description: 'First name of the laureate.',
+          description: 'First name of the laureate, or the name of an organisation.',
           demandOption: true,
         })
         .option('surname', {
           alias: 's',
           type: 'string',
-          description: 'Surname of the laureate.',
-          demandOption: true,
+          description: 'Surname of the laureate (omit for organisations).',
         });
     },
     (args) => {
-      client.GetLaureateDetailsByName({
+      callPaginated('GetLaureateDetailsByName', {
         firstname: args.firstname,
         surname: args.surname
+      }, args, 'laureates');
+    }
+  )
+  .command(
+    'semantic',
+    'Find laureates whose motivations are semantically related to a query.',
+    (yargs) => {
+      return yargs
+        .option('query', {
+          alias: 'q',
+          type: 'string',
+          description: 'Free-text description of the discovery (e.g., "gene editing").',
+          demandOption: true,
+        })
+        .option('limit', {
+          alias: 'l',
+          type: 'number',
+          description: 'Maximum number of ranked laureates to return.',
+          default: 10,
+        })
+        .option('category', {
+          alias: 'c',
+          type: 'string',
+          description: 'Only rank laureates in this category.',
+        })
+        .option('startYear', {
+          alias: 's',
+          type: 'number',
+          description: 'Only rank laureates from this year on.',
+        })
+        .option('endYear', {
+          alias: 'e',
+          type: 'number',
+          description: 'Only rank laureates up to this year.',
+        });
+    },
+    (args) => {
+      client.SearchMotivationsSemantic({
+        query: args.query,
+        limit: args.limit,
+        category: args.category,
+        startYear: args.startYear,
+        endYear: args.endYear
+      }, handleResponse);
+    }
+  )
+  .command(
+    'searchName',
+    'Find laureates by a partial, misspelt or unaccented name, ranked by match score.',
+    (yargs) => {
+      return yargs
+        .option('name', {
+          alias: 'n',
+          type: 'string',
+          description: 'Any part of the laureate name (e.g., "curie" or "gerard mourou").',
+          demandOption: true,
+        })
+        .option('limit', {
+          alias: 'l',
+          type: 'number',
+          description: 'Maximum number of candidates to return.',
+          default: 10,
+        })
+        .option('minScore', {
+          alias: 'm',
+          type: 'number',
+          description: 'Minimum match score between 0 and 1.',
+        });
+    },
+    (args) => {
+      client.SearchLaureatesByName({
+        name: args.name,
+        limit: args.limit,
+        minScore: args.minScore
       }, handleResponse);
     }
   )
+  .command(
+    'streamPrizes',
+    'Stream the prizes in one or more categories, printing each as it arrives.',
+    (yargs) => {
+      return yargs
+        .option('category', {
+          alias: 'c',
+          type: 'array',
+          string: true,
+          description: 'Categories to stream; all categories if omitted.',
+        })
+        .option('startYear', {
+          alias: 's',
+          type: 'number',
+          description: 'Start year of the range (inclusive).',
+        })
+        .option('endYear', {
+          alias: 'e',
+          type: 'number',
+          description: 'End year of the range (inclusive).',
+        })
+        .option('sort', {
+          choices: ['asc', 'desc'],
+          description: 'Sort prizes by year ascending or descending.',
+          default: 'asc',
+        });
+    },
+    (args) => {
+      handleStream(client.StreamPrizes({
+        categories: args.category || [],
+        startYear: args.startYear,
+        endYear: args.endYear,
+        sort: args.sort === 'desc' ? 'YEAR_DESC' : 'YEAR_ASC'
+      }));
+    }
+  )
+  .command(
+    'streamLaureates',
+    'Stream the laureates matching a category, year range and/or keyword, printing each as it arrives.',
+    (yargs) => {
+      return yargs
+        .option('category', {
+          alias: 'c',
+          type: 'string',
+          description: 'Category to stream (e.g., "chemistry").',
+        })
+        .option('startYear', {
+          alias: 's',
+          type: 'number',
+          description: 'Start year of the range (inclusive).',
+        })
+        .option('endYear', {
+          alias: 'e',
+          type: 'number',
+          description: 'End year of the range (inclusive).',
+        })
+        .option('keyword', {
+          alias: 'k',
+          type: 'string',
+          description: 'Keyword to search for in motivations.',
+        });
+    },
+    (args) => {
+      handleStream(client.StreamLaureates({
+        category: args.category,
+        startYear: args.startYear,
+        endYear: args.endYear,
+        keyword: args.keyword
+      }));
+    }
+  )
+  .command(
+    'organizations',
+    'List the organisations that won a prize.',
+    (yargs) => {
+      return withPageOptions(yargs)
+        .option('name', {
+          alias: 'n',
+          type: 'string',
+          description: 'Words in the organisation name (e.g., "red cross").',
+        })
+        .option('category', {
+          alias: 'c',
+          type: 'string',
+          description: 'Category to search for (e.g., "peace").',
+        })
+        .option('startYear', {
+          alias: 's',
+          type: 'number',
+          description: 'Start year of the range (inclusive).',
+        })
+        .option('endYear', {
+          alias: 'e',
+          type: 'number',
+          description: 'End year of the range (inclusive).',
+        });
+    },
+    (args) => {
+      callPaginated('GetOrganizationLaureates', {
+        name: args.name,
+        category: args.category,
+        startYear: args.startYear,
+        endYear: args.endYear
+      }, args, 'laureates');
+    }
+  )
+  .command(
+    'laureate',
+    'Retrieve a laureate, with every prize they won, by laureate id.',
+    (yargs) => {
+      return yargs.option('id', {
+        alias: 'i',
+        type: 'string',
+        description: 'Laureate id (e.g., "6" for Marie Curie).',
+        demandOption: true,
+      });
+    },
+    (args) => {
+      client.GetLaureateById({ id: String(args.id) }, handleResponse);
+    }
+  )
+  .command(
+    'prize',
+    'Retrieve the prize awarded in a category in a year.',
+    (yargs) => {
+      return yargs
+        .option('year', {
+          alias: 'y',
+          type: 'number',
+          description: 'Year of the prize.',
+          demandOption: true,
+        })
+        .option('category', {
+          alias: 'c',
+          type: 'string',
+          description: 'Category of the prize (e.g., "physics").',
+          demandOption: true,
+        });
+    },
+    (args) => {
+      client.GetPrize({ year: args.year, category: args.category }, handleResponse);
+    }
+  )
+  .command(
+    'multiWinners',
+    'List the laureates who won more than one prize.',
+    (yargs) => withPageOptions(yargs),
+    (args) => {
+      callPaginated('ListMultiPrizeLaureates', {}, args, 'laureates');
+    }
+  )
+  .command(
+    'notAwarded',
+    'List the years a prize was not awarded.',
+    (yargs) => {
+      return withPageOptions(yargs)
+        .option('category', {
+          alias: 'c',
+          type: 'string',
+          description: 'Category to search for (e.g., "peace").',
+        })
+        .option('startYear', {
+          alias: 's',
+          type: 'number',
+          description: 'Start year of the range (inclusive).',
+        })
+        .option('endYear', {
+          alias: 'e',
+          type: 'number',
+          description: 'End year of the range (inclusive).',
+        });
+    },
+    (args) => {
+      callPaginated('GetNotAwardedYears', {
+        category: args.category,
+        startYear: args.startYear,
+        endYear: args.endYear
+      }, args, 'prizes');
+    }
+  )
+  .command(
+    'stats',
+    'Print aggregate statistics computed in Redis.',
+    (yargs) => {
+      return yargs
+        .option('table', {
+          alias: 't',
+          type: 'array',
+          choices: Object.keys(STATS_TABLES),
+          description: 'Tables to print; all tables if omitted.',
+        })
+        .option('category', {
+          alias: 'c',
+          type: 'string',
+          description: 'Only count this category.',
+        })
+        .option('startYear', {
+          alias: 's',
+          type: 'number',
+          description: 'Start year of the range (inclusive).',
+        })
+        .option('endYear', {
+          alias: 'e',
+          type: 'number',
+          description: 'End year of the range (inclusive).',
+        })
+        .option('limit', {
+          alias: 'l',
+          type: 'number',
+          description: 'Number of top categories to print.',
+          default: 10,
+        });
+    },
+    (args) => {
+      printStats(args.table || Object.keys(STATS_TABLES), {
+        category: args.category,
+        startYear: args.startYear,
+        endYear: args.endYear,
+        limit: args.limit
+      }).catch((error) => console.error('Error:', error.message));
+    }
+  )
   .demandCommand(1, 'You need to specify at least one command.')
   .help()
   .argv;
@@ -7,6 +7,8 @@ const { hideBin } = require('yargs/helpers');
 const fs = require('fs');
 const _ = require('lodash');
 require('dotenv').config();
+const { TLS_OPTIONS, channelCredentials } = require('./tls');
+const { TRACING_OPTIONS, startTracing, startTrace, tracingInterceptor } = require('./tracing');
 
 // Path to the .proto file
 const PROTO_PATH = __dirname + '/../protos/prize_service.proto';
@@ -25,16 +27,16 @@ const packageDefinition = protoLoader.loadSync(
 
 const prizeProto = grpc.loadPackageDefinition(packageDefinition).prize;
 
-// Create a client stub
-const client = new prizeProto.PrizeService(
-  process.env.GRPC_SERVER_ADDRESS || 'localhost:50051',
-  grpc.credentials.createInsecure()
-);
+// Client stub, created once the TLS options are parsed
+let client;
+
+// Call metadata; carries the authorization token when --token is given
+const metadata = new grpc.Metadata();
 
 // Helper function to handle gRPC responses with Promise
 function callRPC(method, request) {
   return new Promise((resolve, reject) => {
-    client[method](request, (error, response) => {
+    client[method](request, metadata, (error, response) => {
       if (error) {
         reject(error);
       } else {
@@ -44,22 +46,51 @@ function callRPC(method, request) {
   });
 }
 
-// Function to measure E2E delay for a single RPC call
-async function measureDelay(method, request) {
-  const startTime = process.hrtime(); // High-resolution real time
-  try {
-    await callRPC(method, request);
-  } catch (error) {
-    console.error(`Error in method ${method}:`, error.message);
-    // You may choose to handle errors differently
-  }
-  const elapsed = process.hrtime(startTime);
-  const elapsedTimeInMs = (elapsed[0] * 1e9 + elapsed[1]) / 1e6; // Convert to milliseconds
-  return elapsedTimeInMs;
+// Slowest call of each method and its trace id, when tracing is on
+const slowestCalls = {};
+
+// Function to measure E2E delay for a single RPC call, traced on its own
+function measureDelay(method, request) {
+  return startTrace(`${method} call`, async (traceId) => {
+    const startTime = process.hrtime(); // High-resolution real time
+    try {
+      await callRPC(method, request);
+    } catch (error) {
+      console.error(`Error in method ${method}:`, error.message);
+      // You may choose to handle errors differently
+    }
+    const elapsed = process.hrtime(startTime);
+    const elapsedTimeInMs = (elapsed[0] * 1e9 + elapsed[1]) / 1e6; // Convert to milliseconds
+    const slowest = slowestCalls[method];
+    if (traceId && (!slowest || elapsedTimeInMs > slowest.delay)) {
+      slowestCalls[method] = { delay: elapsedTimeInMs, traceId };
+    }
+    return elapsedTimeInMs;
+  });
 }
 
 // Main function to perform performance tests
 async function main() {
+  const argv = yargs(hideBin(process.argv))
+    .option('token', {
+      type: 'string',
+      description: 'API key or JWT sent as authorization metadata (defaults to GRPC_TOKEN)',
+      default: process.env.GRPC_TOKEN,
+    })
+    .options(TLS_OPTIONS)
+    .options(TRACING_OPTIONS)
+    .help()
+    .argv;
+  const tracing = startTracing('performance-test', argv);
+  client = new prizeProto.PrizeService(
+    process.env.GRPC_SERVER_ADDRESS || 'localhost:50051',
+    channelCredentials(argv),
+    { interceptors: [tracingInterceptor] }
+  );
+  if (argv.token) {
+    metadata.set('authorization', `Bearer ${argv.token}`);
+  }
+
   const totalRuns = 100;
 
   // Arrays to store delay times for each query
@@ -76,7 +107,7 @@ async function main() {
     console.log(`Run ${i} of ${totalRuns}`);
 
     // --- Query 1: GetPrizesByCategory ---
-    const delay1 = await measureDelay('GetPrizesByCategory', {});
+    const delay1 = await measureDelay('GetPrizesByCategory', { category: 'chemistry' });
     delays.query1.push(delay1);
     console.log(`  Query1 (GetPrizesByCategory) Delay: ${delay1.toFixed(2)} ms`);
 
@@ -117,6 +148,12 @@ async function main() {
   const outputFileName = `delays_${timestamp}.json`;
   fs.writeFileSync(__dirname + `/${outputFileName}`, JSON.stringify(delays, null, 2));
   console.log(`Performance testing completed. Delays saved to ${outputFileName}`);
+
+  // Point at the trace of each method's slowest call, then flush the spans
+  Object.entries(slowestCalls).forEach(([method, { delay, traceId }]) => {
+    console.log(`Slowest ${method} call: ${delay.toFixed(2)} ms (trace ${traceId})`);
+  });
+  await tracing.shutdown();
 }
 
 main().catch((error) => {
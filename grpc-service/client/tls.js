@@ -0,0 +1,56 @@
+// client/tls.js
+
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+
+// yargs options shared by every client, defaulting to the environment
+const TLS_OPTIONS = {
+  tls: {
+    type: 'boolean',
+    description: 'Connect over TLS, trusting the system CAs unless --ca is given (defaults to GRPC_TLS).',
+    default: process.env.GRPC_TLS === 'true',
+  },
+  ca: {
+    type: 'string',
+    description: 'CA certificate the server certificate must chain to; implies --tls (defaults to GRPC_CA_FILE).',
+    default: process.env.GRPC_CA_FILE,
+  },
+  cert: {
+    type: 'string',
+    description: 'Client certificate for mutual TLS; implies --tls (defaults to GRPC_CERT_FILE).',
+    default: process.env.GRPC_CERT_FILE,
+  },
+  key: {
+    type: 'string',
+    description: 'Private key of the client certificate (defaults to GRPC_KEY_FILE).',
+    default: process.env.GRPC_KEY_FILE,
+  },
+};
+
+/**
+ * Builds the channel credentials from the TLS options.
+ * @param {Object} options - Parsed TLS_OPTIONS.
+ * @param {boolean} [options.tls] - Use TLS with the system CAs.
+ * @param {string} [options.ca] - Path to a CA certificate (PEM).
+ * @param {string} [options.cert] - Path to a client certificate (PEM).
+ * @param {string} [options.key] - Path to the client private key (PEM).
+ * @returns {grpc.ChannelCredentials} TLS credentials, or insecure ones when no option is set.
+ */
+function channelCredentials({ tls, ca, cert, key }) {
+  if (Boolean(cert) !== Boolean(key)) {
+    throw new Error('A client certificate needs both --cert and --key.');
+  }
+  if (!tls && !ca && !cert) {
+    return grpc.credentials.createInsecure();
+  }
+  return grpc.credentials.createSsl(
+    ca ? fs.readFileSync(ca) : null,
+    key ? fs.readFileSync(key) : null,
+    cert ? fs.readFileSync(cert) : null
+  );
+}
+
+module.exports = {
+  TLS_OPTIONS,
+  channelCredentials,
+};
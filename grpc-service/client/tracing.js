@@ -0,0 +1,161 @@
+// client/tracing.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+const { SpanKind, SpanStatusCode, context, isSpanContextValid, propagation, trace } = require('@opentelemetry/api');
+const { ExportResultCode, hrTimeToMilliseconds, hrTimeToTimeStamp } = require('@opentelemetry/core');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { defaultResource, resourceFromAttributes } = require('@opentelemetry/resources');
+const { BatchSpanProcessor, ConsoleSpanExporter, NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+
+// Where spans go: an OTLP/HTTP collector, a JSON-lines file, the console, or nowhere
+const TRACE_EXPORTERS = ['otlp', 'file', 'console', 'none'];
+
+// Metadata key carrying the request id the server logs the call under
+const REQUEST_ID_KEY = 'x-request-id';
+
+// yargs options shared by every client, defaulting to the environment
+const TRACING_OPTIONS = {
+  trace: {
+    type: 'string',
+    choices: TRACE_EXPORTERS,
+    description: 'Where the spans of the calls go; otlp posts to OTEL_EXPORTER_OTLP_ENDPOINT (defaults to OTEL_TRACES_EXPORTER, then none).',
+    default: process.env.OTEL_TRACES_EXPORTER || 'none',
+  },
+  'trace-file': {
+    type: 'string',
+    description: 'File the spans are appended to with --trace file (defaults to TRACES_FILE, then traces.jsonl).',
+    default: process.env.TRACES_FILE || 'traces.jsonl',
+  },
+};
+
+// A no-op until startTracing registers a provider
+const tracer = trace.getTracer('nobel-prize-client');
+
+// Writes W3C trace context (traceparent, tracestate) into gRPC metadata
+const metadataSetter = {
+  set: (metadata, key, value) => metadata.set(key, value),
+};
+
+/**
+ * Creates a span exporter appending one JSON object per finished span to a file,
+ * in the format the server's file exporter writes, so both sides can be read together.
+ * @param {string} file - Path of the file.
+ * @returns {Object} The SpanExporter.
+ */
+function createFileSpanExporter(file) {
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+
+  const toJson = (span) => ({
+    traceId: span.spanContext().traceId,
+    spanId: span.spanContext().spanId,
+    parentSpanId: span.parentSpanContext?.spanId,
+    name: span.name,
+    kind: SpanKind[span.kind],
+    service: span.resource.attributes['service.name'],
+    startTime: hrTimeToTimeStamp(span.startTime),
+    durationMs: hrTimeToMilliseconds(span.duration),
+    status: { code: SpanStatusCode[span.status.code], message: span.status.message },
+    attributes: span.attributes,
+    events: span.events.map((event) => ({ name: event.name, time: hrTimeToTimeStamp(event.time), attributes: event.attributes })),
+  });
+
+  return {
+    export(spans, resultCallback) {
+      stream.write(spans.map((span) => `${JSON.stringify(toJson(span))}\n`).join(''), (error) => {
+        resultCallback(error ? { code: ExportResultCode.FAILED, error } : { code: ExportResultCode.SUCCESS });
+      });
+    },
+    forceFlush: () => Promise.resolve(),
+    shutdown: () => new Promise((resolve) => stream.end(resolve)),
+  };
+}
+
+/**
+ * Starts exporting the spans of this process.
+ * @param {string} serviceName - Name the spans are reported under, e.g. "performance-test".
+ * @param {Object} options - Parsed TRACING_OPTIONS.
+ * @param {string} options.trace - One of TRACE_EXPORTERS.
+ * @param {string} [options.traceFile] - File of the 'file' exporter.
+ * @returns {{enabled: boolean, shutdown: Function}} shutdown() flushes the pending spans;
+ * call it before the process exits.
+ */
+function startTracing(serviceName, { trace: exporter, traceFile }) {
+  if (exporter === 'none') {
+    return { enabled: false, shutdown: () => Promise.resolve() };
+  }
+  const spanExporter = {
+    otlp: () => new OTLPTraceExporter(),
+    file: () => createFileSpanExporter(traceFile),
+    console: () => new ConsoleSpanExporter(),
+  }[exporter]();
+  const provider = new NodeTracerProvider({
+    resource: defaultResource().merge(resourceFromAttributes({ 'service.name': serviceName })),
+    spanProcessors: [new BatchSpanProcessor(spanExporter)],
+  });
+  provider.register();
+  return { enabled: true, shutdown: () => provider.shutdown() };
+}
+
+/**
+ * Runs fn inside a new trace, so the calls it makes can be followed together.
+ * @param {string} name - Name of the root span.
+ * @param {Function} fn - Called with the trace id (null when tracing is off); may return a Promise.
+ * @returns {Promise<*>} What fn resolves to.
+ */
+function startTrace(name, fn) {
+  return tracer.startActiveSpan(name, { root: true }, async (span) => {
+    const traceId = isSpanContextValid(span.spanContext()) ? span.spanContext().traceId : null;
+    try {
+      return await fn(traceId);
+    } catch (error) {
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Client interceptor giving every call a span and a request id, and sending the
+ * trace context so the server's spans and logs join the caller's trace. The server
+ * returns the request id in the trailers.
+ */
+function tracingInterceptor(options, nextCall) {
+  const path = options.method_definition.path;
+  const [, service, method] = path.split('/');
+  const span = tracer.startSpan(path.slice(1), {
+    kind: SpanKind.CLIENT,
+    attributes: { 'rpc.system': 'grpc', 'rpc.service': service, 'rpc.method': method },
+  });
+  return new grpc.InterceptingCall(nextCall(options), {
+    start(metadata, listener, next) {
+      // Callers may share one Metadata between calls
+      const outgoing = metadata.clone();
+      if (outgoing.get(REQUEST_ID_KEY).length === 0) {
+        outgoing.set(REQUEST_ID_KEY, crypto.randomUUID());
+      }
+      span.setAttribute('request.id', String(outgoing.get(REQUEST_ID_KEY)[0]));
+      propagation.inject(trace.setSpan(context.active(), span), outgoing, metadataSetter);
+      next(outgoing, new grpc.ListenerBuilder()
+        .withOnReceiveStatus((status, statusNext) => {
+          span.setAttribute('rpc.grpc.status_code', status.code);
+          if (status.code !== grpc.status.OK) {
+            span.setStatus({ code: SpanStatusCode.ERROR, message: status.details });
+          }
+          span.end();
+          statusNext(status);
+        })
+        .build());
+    }
+  });
+}
+
+module.exports = {
+  TRACING_OPTIONS,
+  startTracing,
+  startTrace,
+  tracingInterceptor,
+};
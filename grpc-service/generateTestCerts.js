@@ -0,0 +1,100 @@
+// generateTestCerts.js
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+
+/**
+ * Runs openssl quietly, reporting its output only if it fails.
+ * @param {Array<string>} args - The openssl arguments.
+ */
+function openssl(args) {
+  try {
+    execFileSync('openssl', args, { stdio: 'pipe' });
+  } catch (error) {
+    throw new Error(`openssl ${args[0]} failed: ${error.stderr ? error.stderr.toString().trim() : error.message}`);
+  }
+}
+
+/**
+ * Creates a private key and a certificate signed by the test CA.
+ * @param {string} outDir - Directory holding ca.crt and ca.key.
+ * @param {string} name - Base name of the files, e.g. "server".
+ * @param {string} commonName - The certificate's CN.
+ * @param {Array<string>} extensions - Lines of the X.509 v3 extensions.
+ * @param {number} days - Validity in days.
+ */
+function issueCertificate(outDir, name, commonName, extensions, days) {
+  const file = (extension) => path.join(outDir, `${name}.${extension}`);
+  openssl(['req', '-new', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+    '-keyout', file('key'), '-subj', `/CN=${commonName}`, '-out', file('csr')]);
+  fs.writeFileSync(file('ext'), `${extensions.join('\n')}\n`);
+  openssl(['x509', '-req', '-in', file('csr'), '-CA', path.join(outDir, 'ca.crt'),
+    '-CAkey', path.join(outDir, 'ca.key'), '-CAcreateserial', '-days', String(days),
+    '-extfile', file('ext'), '-out', file('crt')]);
+  fs.unlinkSync(file('csr'));
+  fs.unlinkSync(file('ext'));
+}
+
+/**
+ * Generates a throwaway CA plus server and client certificates signed by it, for
+ * exercising TLS and mutual TLS locally. The keys are unencrypted: never use them
+ * outside testing.
+ */
+function main() {
+  const argv = yargs(hideBin(process.argv))
+    .option('out', {
+      alias: 'o',
+      type: 'string',
+      description: 'Directory the certificates are written to',
+      default: path.join(__dirname, 'certs'),
+    })
+    .option('host', {
+      type: 'array',
+      string: true,
+      description: 'Extra host names or IP addresses the server certificate is valid for',
+      default: [],
+    })
+    .option('days', {
+      type: 'number',
+      description: 'Validity of the certificates in days',
+      default: 30,
+    })
+    .help()
+    .argv;
+
+  const outDir = path.resolve(argv.out);
+  fs.mkdirSync(outDir, { recursive: true });
+
+  openssl(['req', '-x509', '-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes',
+    '-keyout', path.join(outDir, 'ca.key'), '-out', path.join(outDir, 'ca.crt'),
+    '-subj', '/CN=Nobel Prize API test CA', '-days', String(argv.days),
+    '-addext', 'basicConstraints=critical,CA:TRUE', '-addext', 'keyUsage=critical,keyCertSign,cRLSign']);
+
+  const hosts = ['localhost', '127.0.0.1', '::1', ...argv.host];
+  const subjectAltNames = hosts.map((host) => (/^[\d.]+$|:/.test(host) ? `IP:${host}` : `DNS:${host}`));
+  issueCertificate(outDir, 'server', 'localhost', [
+    'basicConstraints=CA:FALSE',
+    'keyUsage=critical,digitalSignature,keyEncipherment',
+    'extendedKeyUsage=serverAuth',
+    `subjectAltName=${subjectAltNames.join(',')}`,
+  ], argv.days);
+  issueCertificate(outDir, 'client', 'test-client', [
+    'basicConstraints=CA:FALSE',
+    'keyUsage=critical,digitalSignature,keyEncipherment',
+    'extendedKeyUsage=clientAuth',
+  ], argv.days);
+
+  const file = (name) => path.join(outDir, name);
+  console.log(`Test certificates written to ${outDir} (valid for ${hosts.join(', ')}).\n`);
+  console.log('Server, with mutual TLS:');
+  console.log(`  TLS_CERT_FILE=${file('server.crt')} TLS_KEY_FILE=${file('server.key')} TLS_CLIENT_CA_FILE=${file('ca.crt')}`);
+  console.log('Clients:');
+  console.log(`  --ca ${file('ca.crt')} --cert ${file('client.crt')} --key ${file('client.key')}`);
+  console.log('Redis over TLS (rediss://):');
+  console.log(`  REDIS_CA_FILE=${file('ca.crt')}`);
+}
+
+main();
@@ -6,6 +6,8 @@ const performance = require('performance-now');
 const fs = require('fs');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const { TLS_OPTIONS, channelCredentials } = require('./client/tls');
+const { TRACING_OPTIONS, startTracing, startTrace, tracingInterceptor } = require('./client/tracing');
 
 // Path to the .proto file
 const PROTO_PATH = __dirname + '/protos/prize_service.proto';
@@ -24,22 +26,18 @@ const packageDefinition = protoLoader.loadSync(
 
 const prizeProto = grpc.loadPackageDefinition(packageDefinition).prize;
 
-// Create a client stub
-const client = new prizeProto.PrizeService(
-  process.env.GRPC_SERVER_ADDRESS || 'localhost:50051',
-  grpc.credentials.createInsecure()
-);
 
 /**
  * Helper function to handle gRPC responses with delay measurement.
  * @param {Function} rpcMethod - The gRPC method to invoke.
  * @param {Object} request - The request object for the gRPC method.
+ * @param {grpc.Metadata} metadata - The call metadata (e.g. cache-control).
  * @returns {Promise<number>} - The E2E delay in milliseconds.
  */
-function measureDelay(rpcMethod, request = {}) {
+function measureDelay(rpcMethod, request = {}, metadata = new grpc.Metadata()) {
   return new Promise((resolve, reject) => {
     const start = performance();
-    rpcMethod(request, (error, response) => {
+    rpcMethod(request, metadata, (error, response) => {
       const end = performance();
       if (error) {
         reject(error);
@@ -52,20 +50,29 @@ function measureDelay(rpcMethod, request = {}) {
 }
 
 /**
- * Runs a specific query multiple times and records the delays.
+ * Runs a specific query multiple times and records the delays. Every iteration is
+ * its own trace; with tracing on, the trace of the slowest one is reported.
  * @param {string} queryName - The name of the query (e.g., 'query1').
  * @param {Function} rpcMethod - The gRPC method to invoke.
  * @param {Object} request - The request object for the gRPC method.
  * @param {number} iterations - Number of times to run the query.
+ * @param {grpc.Metadata} metadata - The call metadata (e.g. cache-control).
  * @returns {Promise<number[]>} - An array of delay measurements.
  */
-async function runQuery(queryName, rpcMethod, request, iterations = 100) {
+async function runQuery(queryName, rpcMethod, request, iterations = 100, metadata = new grpc.Metadata()) {
   console.log(`Starting ${iterations} iterations for ${queryName}...`);
   const delays = [];
+  let slowest = null;
 
   for (let i = 0; i < iterations; i++) {
     try {
-      const delay = await measureDelay(rpcMethod, request);
+      const delay = await startTrace(`${queryName} #${i + 1}`, async (traceId) => {
+        const callDelay = await measureDelay(rpcMethod, request, metadata);
+        if (traceId && (!slowest || callDelay > slowest.delay)) {
+          slowest = { delay: callDelay, traceId };
+        }
+        return callDelay;
+      });
       delays.push(delay);
       if ((i + 1) % 10 === 0) {
         console.log(`${queryName}: Completed ${i + 1} / ${iterations} iterations.`);
@@ -79,6 +86,9 @@ async function runQuery(queryName, rpcMethod, request, iterations = 100) {
   // Filter out null values (failed iterations)
   const successfulDelays = delays.filter(delay => delay !== null);
   console.log(`${queryName}: Completed with ${successfulDelays.length} successful iterations.`);
+  if (slowest) {
+    console.log(`${queryName}: Slowest call took ${slowest.delay.toFixed(2)} ms (trace ${slowest.traceId}).`);
+  }
   return successfulDelays;
 }
 
@@ -93,11 +103,46 @@ async function main() {
       description: 'Number of iterations per query',
       default: 100,
     })
+    .option('cache', {
+      type: 'boolean',
+      description: 'Let the server answer from its response cache (--no-cache sends cache-control: no-cache)',
+      default: true,
+    })
+    .option('output', {
+      alias: 'o',
+      type: 'string',
+      description: 'File the delay results are saved to',
+      default: 'delayResults.json',
+    })
+    .option('token', {
+      type: 'string',
+      description: 'API key or JWT sent as authorization metadata (defaults to GRPC_TOKEN)',
+      default: process.env.GRPC_TOKEN,
+    })
+    .options(TLS_OPTIONS)
+    .options(TRACING_OPTIONS)
     .help()
     .alias('help', 'h')
     .argv;
 
   const iterations = argv.iterations;
+  const tracing = startTracing('performance-test', argv);
+
+  // Create the client stubs; the stats stub reports the server's response cache counters
+  const address = process.env.GRPC_SERVER_ADDRESS || 'localhost:50051';
+  const credentials = channelCredentials(argv);
+  const client = new prizeProto.PrizeService(address, credentials, { interceptors: [tracingInterceptor] });
+  const statsClient = new prizeProto.StatsService(address, credentials, { interceptors: [tracingInterceptor] });
+
+  // Every call asks the server to skip its cache when benchmarking without it
+  const metadata = new grpc.Metadata();
+  if (!argv.cache) {
+    metadata.set('cache-control', 'no-cache');
+  }
+  console.log(`Server response cache ${argv.cache ? 'allowed' : 'bypassed'}.`);
+  if (argv.token) {
+    metadata.set('authorization', `Bearer ${argv.token}`);
+  }
 
   const delayResults = {};
 
@@ -106,7 +151,9 @@ async function main() {
     {
       name: 'GetPrizesByCategory',
       method: client.GetPrizesByCategory.bind(client),
-      request: {} // Empty request
+      request: {
+        category: 'chemistry'
+      }
     },
     {
       name: 'CountLaureatesByCategoryAndYearRange',
@@ -136,16 +183,26 @@ async function main() {
 
   // Execute each query
   for (const query of queries) {
-    const delays = await runQuery(query.name, query.method, query.request, iterations);
+    const delays = await runQuery(query.name, query.method, query.request, iterations, metadata);
     delayResults[query.name] = delays;
   }
 
   // Save the delay results to a JSON file
-  fs.writeFileSync('delayResults.json', JSON.stringify(delayResults, null, 2));
-  console.log('Delay results saved to delayResults.json');
-
-  // Close the gRPC client
-  client.close();
+  fs.writeFileSync(argv.output, JSON.stringify(delayResults, null, 2));
+  console.log(`Delay results saved to ${argv.output}`);
+
+  // Report how the server cache behaved during the run
+  statsClient.GetCacheStats({}, metadata, (error, stats) => {
+    if (error) {
+      console.error('Could not read the server cache counters:', error.message);
+    } else {
+      console.log('Server cache counters:', JSON.stringify(stats));
+    }
+    // Close the gRPC clients and flush the spans
+    statsClient.close();
+    client.close();
+    tracing.shutdown();
+  });
 }
 
 main().catch(error => {
@@ -1,9 +1,56 @@
 // server/index.js
 
+// Tracing instruments the Redis client, so it starts before anything loads redis
+require('dotenv').config();
+const { startTracing, traceRedisModules, tracingInterceptor } = require('./lib/tracing');
+const tracing = startTracing();
+
+const { parseArgs } = require('util');
 const grpc = require('@grpc/grpc-js');
 const protoLoader = require('@grpc/proto-loader');
+const { ReflectionService } = require('@grpc/reflection');
+const { protoPath: HEALTH_PROTO_PATH } = require('grpc-health-check');
 const { createClient } = require('redis');
-require('dotenv').config();
+const { getDatasetMeta, validateScope } = require('./lib/datasetMeta');
+const { EMBEDDING_META_KEY, embedText, vectorToBlob } = require('./lib/embedding');
+const { DEFAULT_MIN_SCORE, scoreLaureate, buildNameSearchQuery } = require('./lib/nameMatch');
+const { searchPages, searchAll, paginate } = require('./lib/pagination');
+const {
+  QueryError,
+  tagFilter,
+  numericFilter,
+  textFilter,
+  phraseFilter,
+  buildQuery,
+  matchesKeyword,
+  resultLimit,
+  searchOptions
+} = require('./lib/queryBuilder');
+const { writeMessage } = require('./lib/streaming');
+const {
+  laureatesPerCategoryYear,
+  laureatesPerDecade,
+  shareDistribution,
+  topCategories
+} = require('./lib/stats');
+const { profileKey, toLaureateProfile } = require('./lib/profiles');
+const { displayName, toLaureateTypeEnum } = require('./lib/laureateType');
+const { startHealthMonitor } = require('./lib/health');
+const { OPENAPI_PATH, createGateway } = require('./lib/gateway');
+const { DEFAULT_TTL_MS, DEFAULT_MAX_ENTRIES, createResponseCache } = require('./lib/cache');
+const { createAuthenticator, authInterceptor } = require('./lib/auth');
+const { loadRateLimitConfig, createRateLimiter, rateLimitInterceptor } = require('./lib/rateLimit');
+const { redisClientOptions } = require('./lib/redisOptions');
+const { loadServerTls, serverCredentials, httpsOptions } = require('./lib/tls');
+const {
+  STARTUP_ATTEMPTS,
+  SHUTDOWN_TIMEOUT_MS,
+  createReconnectStrategy,
+  isRedisUnavailable,
+  waitUntilReady,
+  handleShutdownSignals
+} = require('./lib/lifecycle');
+const { logger } = require('./lib/logger');
 
 // Path to the .proto file
 //const PROTO_PATH = __dirname + '/../protos/prize_service.proto';
@@ -13,77 +60,272 @@ const PROTO_PATH = __dirname + '/protos/prize_service.proto';
 
 
 
+// Options shared by every .proto the server loads
+const PROTO_LOADER_OPTIONS = {
+  keepCase: true,
+  longs: String,
+  enums: String,
+  defaults: true,
+  oneofs: true
+};
+
 // Load the protobuf
-const packageDefinition = protoLoader.loadSync(
-  PROTO_PATH,
-  {
-    keepCase: true,
-    longs: String,
-    enums: String,
-    defaults: true,
-    oneofs: true
-  }
-);
+const packageDefinition = protoLoader.loadSync(PROTO_PATH, PROTO_LOADER_OPTIONS);
 
 const prizeProto = grpc.loadPackageDefinition(packageDefinition).prize;
 
-// Initialize Redis client
+// Attempts at Redis and its indexes before startup gives up
+const startupAttempts = Number(process.env.STARTUP_ATTEMPTS) || STARTUP_ATTEMPTS;
+
+// Initialize Redis client. It reconnects with backoff; while it is down, commands fail
+// at once (no offline queue) and RPCs report UNAVAILABLE instead of hanging.
+const redisReconnect = createReconnectStrategy({ startupAttempts });
+const redisOptions = redisClientOptions();
 const redisClient = createClient({
-  url: process.env.REDIS_URL,
+  ...redisOptions,
+  socket: { ...redisOptions.socket, reconnectStrategy: redisReconnect.strategy },
+  disableOfflineQueue: true
 });
 
 redisClient.on('error', (err) => {
-  console.error('Redis Client Error', err);
+  logger.error('Redis client error', { error: err });
+});
+redisClient.on('ready', redisReconnect.connected);
+// Core commands are traced by the Redis instrumentation, RedisJSON and RediSearch ones here
+if (tracing.enabled) {
+  traceRedisModules(redisClient);
+}
+
+// Unary responses are cached per dataset version; see lib/cache.js
+const responseCache = createResponseCache(redisClient, {
+  enabled: process.env.CACHE_ENABLED !== 'false',
+  ttlMs: Number(process.env.CACHE_TTL_MS) || DEFAULT_TTL_MS,
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES
 });
 
-// Connect to Redis
-redisClient.connect()
-  .then(() => console.log('Connected to Redis successfully.'))
-  .catch((err) => console.error('Redis Connection Error:', err));
+// Callers authenticate with API keys stored in Redis and/or JWTs; see lib/auth.js
+const authenticator = createAuthenticator(redisClient, {
+  providers: (process.env.AUTH_PROVIDERS || '').split(',').map((provider) => provider.trim()).filter(Boolean),
+  jwtKeyFile: process.env.JWT_KEY_FILE,
+  issuer: process.env.JWT_ISSUER,
+  audience: process.env.JWT_AUDIENCE
+});
+
+// TLS for the gRPC port and the gateway, from flags or the environment; mutual TLS
+// when a client CA is given (e.g. npm start -- --tls-cert server.crt --tls-key server.key)
+const { values: flags } = parseArgs({
+  options: {
+    'tls-cert': { type: 'string', default: process.env.TLS_CERT_FILE },
+    'tls-key': { type: 'string', default: process.env.TLS_KEY_FILE },
+    'tls-client-ca': { type: 'string', default: process.env.TLS_CLIENT_CA_FILE }
+  }
+});
+const serverTls = loadServerTls({
+  certFile: flags['tls-cert'],
+  keyFile: flags['tls-key'],
+  clientCaFile: flags['tls-client-ca']
+});
+
+// What this process serves: the gRPC server, the HTTP/JSON gateway, or both. Cloud Run
+// routes a single port per service, so there each runs as its own service from this image
+const SERVE_MODES = ['all', 'grpc', 'gateway'];
+const serve = process.env.SERVE || 'all';
+
+// Token buckets per caller, shared by every instance through Redis; see lib/rateLimit.js
+const rateLimiter = createRateLimiter(
+  redisClient,
+  loadRateLimitConfig(process.env.RATE_LIMIT_CONFIG || __dirname + '/rateLimits.json'),
+  // Proxies whose x-forwarded-for entries identify anonymous callers
+  { trustedProxies: Number(process.env.TRUSTED_PROXIES) || 0 }
+);
+
+// Documents fetched from Redis per round trip by the streaming RPCs
+const STREAM_CHUNK_SIZE = 100;
+
+// Sort key shared by the RPCs that list laureates: year, then category, then laureate id
+const laureateKey = laureate => [Number(laureate.year), laureate.category, laureate.id];
+
+// Fields of a prize document that toPrize reads
+const PRIZE_FIELDS = ['$.year', '$.category', '$.overallMotivation', '$.laureates'];
+
+// TEXT fields a motivation keyword is searched in: the laureate's and the prize-level one
+const MOTIVATION_FIELDS = ['motivation', 'overallMotivation'];
+
+/**
+ * Maps an error thrown by an RPC handler to a gRPC status. Unsafe or malformed
+ * query input is the caller's fault, a lost Redis connection is worth retrying;
+ * anything else is logged as internal.
+ * @param {Error} error - The error.
+ * @param {string} method - The RPC name, for the log.
+ * @returns {{code: number, message: string}} The status to send.
+ */
+function toServiceError(error, method) {
+  if (error instanceof QueryError) {
+    return {
+      code: grpc.status.INVALID_ARGUMENT,
+      message: error.message
+    };
+  }
+  if (isRedisUnavailable(redisClient, error)) {
+    logger.error(`Error in ${method}: Redis is unavailable`, { error: error.message });
+    return {
+      code: grpc.status.UNAVAILABLE,
+      message: 'The database is unavailable; retry later.'
+    };
+  }
+  logger.error(`Error in ${method}`, { error });
+  return {
+    code: grpc.status.INTERNAL,
+    message: 'Internal server error'
+  };
+}
 
 // Implementations of RPC methods
 
 /**
- * GetPrizesByCategory: Retrieves all prizes in the "chemistry" category.
+ * Builds the idx:prizes query for a prize listing request, validating the requested
+ * categories and year range against the scope recorded by the uploader.
+ * @param {Object} request - A PrizesRequest.
+ * @returns {Promise<{query: string, error: string|null}>} The query, or an error message.
+ */
+async function buildPrizesQuery(request) {
+  const { category, startYear, endYear } = request;
+  const categories = [...(request.categories || []), ...(category ? [category] : [])]
+    .map(requested => requested.toLowerCase());
+
+  const meta = await getDatasetMeta(redisClient);
+  for (const requested of categories.length > 0 ? categories : [undefined]) {
+    const scopeError = validateScope(meta, {
+      category: requested,
+      startYear: startYear || undefined,
+      endYear: endYear || undefined
+    });
+    if (scopeError) {
+      return { query: null, error: scopeError };
+    }
+  }
+
+  return {
+    query: buildQuery([tagFilter('category', categories), numericFilter('year', startYear, endYear)]),
+    error: null
+  };
+}
+
+/**
+ * Converts an idx:prizes search document into a Prize message.
+ * @param {Object} doc - A document returned with PRIZE_FIELDS.
+ * @returns {Object} The Prize message.
+ */
+function toPrize(doc) {
+  let laureates = [];
+  try {
+    laureates = JSON.parse(doc.value['$.laureates']);
+  } catch (parseError) {
+    logger.error('Error parsing laureates for prize', { error: parseError });
+  }
+
+  return {
+    year: doc.value['$.year'],
+    category: doc.value['$.category'],
+    laureates: laureates.map(laureate => ({
+      id: laureate.id,
+      firstname: laureate.firstname,
+      surname: laureate.surname,
+      motivation: laureate.motivation,
+      share: laureate.share,
+      type: toLaureateTypeEnum(laureate)
+    })),
+    overallMotivation: doc.value['$.overallMotivation'] || '',
+    // Years the prize was not awarded are stored as prizes without laureates
+    awarded: laureates.length > 0
+  };
+}
+
+/**
+ * Flattens a laureate of a Prize message into a LaureateDetails message.
+ * @param {Object} prize - The Prize message from toPrize.
+ * @param {Object} laureate - One of its laureates.
+ * @returns {Object} The LaureateDetails message.
+ */
+function toLaureateDetails(prize, laureate) {
+  return {
+    year: prize.year,
+    category: prize.category,
+    overallMotivation: prize.overallMotivation,
+    ...laureate
+  };
+}
+
+/**
+ * GetPrizesByCategory: Retrieves the prizes in the requested categories and year range,
+ * sorted by year.
  */
 async function GetPrizesByCategory(call, callback) {
   try {
-    const indexName = 'idx:prizes';
-    const query = '@category:{chemistry}';
-    
-    const results = await redisClient.ft.search(indexName, query, {
-      RETURN: ['$.year', '$.category', '$.laureates'],
-      LIMIT: { from: 0, size: 1000 },
-    });
-
-    const prizes = results.documents.map(doc => {
-      let laureates = [];
-      try {
-        laureates = JSON.parse(doc.value['$.laureates']);
-      } catch (parseError) {
-        console.error(`Error parsing laureates for prize:`, parseError);
-      }
+    const { query, error } = await buildPrizesQuery(call.request);
+    if (error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: error
+      });
+    }
 
-      return {
-        year: doc.value['$.year'],
-        category: doc.value['$.category'],
-        laureates: laureates.map(laureate => ({
-          id: laureate.id,
-          firstname: laureate.firstname,
-          surname: laureate.surname,
-          motivation: laureate.motivation,
-          share: laureate.share
-        }))
-      };
+    const results = await searchAll(redisClient, 'idx:prizes', query, {
+      RETURN: PRIZE_FIELDS,
     });
 
-    callback(null, { prizes });
-  } catch (error) {
-    console.error('Error in GetPrizesByCategory:', error);
-    callback({
-      code: grpc.status.INTERNAL,
-      message: 'Internal server error'
+    // Document keys break ties within a year, so every prize has a unique position
+    const direction = call.request.sort === 'YEAR_DESC' ? -1 : 1;
+    const page = paginate(results.documents, {
+      request: call.request,
+      keyOf: doc => [direction * Number(doc.value['$.year']), doc.value['$.category'], doc.id]
     });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
+      });
+    }
+
+    callback(null, {
+      prizes: page.items.map(toPrize),
+      next_page_token: page.next_page_token,
+      total: page.total
+    });
+  } catch (error) {
+    callback(toServiceError(error, 'GetPrizesByCategory'));
+  }
+}
+
+/**
+ * StreamPrizes: Streams the prizes of a listing one per message, sorted by year,
+ * as each chunk arrives from Redis. Stops querying when the client cancels.
+ */
+async function StreamPrizes(call) {
+  try {
+    const { query, error } = await buildPrizesQuery(call.request);
+    if (error) {
+      return call.emit('error', {
+        code: grpc.status.INVALID_ARGUMENT,
+        message: error
+      });
+    }
+
+    const pages = searchPages(redisClient, 'idx:prizes', query, {
+      RETURN: PRIZE_FIELDS,
+      SORTBY: { BY: 'year', DIRECTION: call.request.sort === 'YEAR_DESC' ? 'DESC' : 'ASC' },
+    }, { chunkSize: STREAM_CHUNK_SIZE });
+
+    for await (const documents of pages) {
+      for (const doc of documents) {
+        if (!(await writeMessage(call, toPrize(doc)))) {
+          return; // Client cancelled; leaving the loop stops the Redis queries
+        }
+      }
+    }
+    call.end();
+  } catch (error) {
+    call.emit('error', toServiceError(error, 'StreamPrizes'));
   }
 }
 
@@ -92,58 +334,56 @@ async function GetPrizesByCategory(call, callback) {
  */
 async function CountLaureatesByCategoryAndYearRange(call, callback) {
   try {
-    const { category, startYear, endYear } = call.request;
+    const { startYear, endYear } = call.request;
+
+    if (!call.request.category || call.request.category.trim() === '') {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'Category cannot be empty.'
+      });
+    }
+    const category = call.request.category.toLowerCase();
 
-    if (startYear < 2013 || endYear > 2023) {
+    // Validate against the scope recorded by the uploader; 0 means the year was omitted
+    const scopeError = validateScope(await getDatasetMeta(redisClient), {
+      category,
+      startYear: startYear || undefined,
+      endYear: endYear || undefined
+    });
+    if (scopeError) {
       return callback({
         code: grpc.status.INVALID_ARGUMENT,
-        message: 'Year range must be between 2013 and 2023.'
+        message: scopeError
       });
     }
 
     const indexName = 'idx:prizes';
-    const query = `@category:{${category}} @year:[${startYear} ${endYear}]`;
+    const query = buildQuery([tagFilter('category', category), numericFilter('year', startYear, endYear)]);
 
-    const results = await redisClient.ft.search(indexName, query, {
-      RETURN: ['$.year', '$.category', '$.laureates'],
-      LIMIT: { from: 0, size: 1000 },
+    const results = await searchAll(redisClient, indexName, query, {
+      RETURN: PRIZE_FIELDS,
     });
 
-    let totalLaureates = 0;
-    const laureates = [];
-
-    results.documents.forEach(doc => {
-      let laureatesList = [];
-      try {
-        laureatesList = JSON.parse(doc.value['$.laureates']);
-      } catch (parseError) {
-        console.error(`Error parsing laureates for prize:`, parseError);
-      }
+    const laureates = results.documents
+      .map(toPrize)
+      .flatMap(prize => prize.laureates.map(laureate => toLaureateDetails(prize, laureate)));
 
-      laureatesList.forEach(laureate => {
-        totalLaureates += 1;
-        laureates.push({
-          year: doc.value['$.year'],
-          category: doc.value['$.category'],
-          id: laureate.id,
-          firstname: laureate.firstname,
-          surname: laureate.surname,
-          motivation: laureate.motivation,
-          share: laureate.share
-        });
+    const page = paginate(laureates, { request: call.request, keyOf: laureateKey });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
       });
-    });
+    }
 
     callback(null, {
-      totalLaureates,
-      laureates
+      totalLaureates: page.total,
+      laureates: page.items,
+      next_page_token: page.next_page_token,
+      total: page.total
     });
   } catch (error) {
-    console.error('Error in CountLaureatesByCategoryAndYearRange:', error);
-    callback({
-      code: grpc.status.INTERNAL,
-      message: 'Internal server error'
-    });
+    callback(toServiceError(error, 'CountLaureatesByCategoryAndYearRange'));
   }
 }
 
@@ -162,97 +402,84 @@ async function CountLaureatesByMotivationKeyword(call, callback) {
     }
 
     const indexName = 'idx:prizes';
-    const query = `@motivation:(${keyword})`;
+    const query = textFilter(MOTIVATION_FIELDS, keyword);
 
-    const results = await redisClient.ft.search(indexName, query, {
-      RETURN: ['$.year', '$.category', '$.laureates'],
-      LIMIT: { from: 0, size: 1000 },
+    const results = await searchAll(redisClient, indexName, query, {
+      RETURN: PRIZE_FIELDS,
     });
 
-    let totalMatchingLaureates = 0;
     const laureates = [];
+    const notAwarded = [];
 
-    results.documents.forEach(doc => {
-      let laureatesList = [];
-      try {
-        laureatesList = JSON.parse(doc.value['$.laureates']);
-      } catch (parseError) {
-        console.error(`Error parsing laureates for prize:`, parseError);
+    results.documents.map(toPrize).forEach(prize => {
+      // A prize-level match covers every laureate of the prize
+      const prizeMatches = matchesKeyword(prize.overallMotivation, keyword);
+      if (!prize.awarded) {
+        if (prizeMatches) {
+          notAwarded.push(prize);
+        }
+        return;
       }
 
-      laureatesList.forEach(laureate => {
-        if (laureate.motivation.toLowerCase().includes(keyword.toLowerCase())) {
-          totalMatchingLaureates += 1;
-          laureates.push({
-            year: doc.value['$.year'],
-            category: doc.value['$.category'],
-            id: laureate.id,
-            firstname: laureate.firstname,
-            surname: laureate.surname,
-            motivation: laureate.motivation,
-            share: laureate.share
-          });
-        }
-      });
+      prize.laureates
+        .filter(laureate => prizeMatches || matchesKeyword(laureate.motivation, keyword))
+        .forEach(laureate => laureates.push(toLaureateDetails(prize, laureate)));
     });
 
+    const page = paginate(laureates, { request: call.request, keyOf: laureateKey });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
+      });
+    }
+
     callback(null, {
-      totalLaureates: totalMatchingLaureates,
-      laureates
+      totalLaureates: page.total,
+      laureates: page.items,
+      next_page_token: page.next_page_token,
+      total: page.total,
+      notAwarded: notAwarded.sort((a, b) => Number(a.year) - Number(b.year) || a.category.localeCompare(b.category))
     });
   } catch (error) {
-    console.error('Error in CountLaureatesByMotivationKeyword:', error);
-    callback({
-      code: grpc.status.INTERNAL,
-      message: 'Internal server error'
-    });
+    callback(toServiceError(error, 'CountLaureatesByMotivationKeyword'));
   }
 }
 
 /**
  * GetLaureateDetailsByName: Retrieves details of a laureate by their first and last names.
+ * Organisations have no surname, so they are found by their name alone.
  */
 async function GetLaureateDetailsByName(call, callback) {
   try {
-    const { firstname, surname } = call.request;
+    const { firstname } = call.request;
+    const surname = call.request.surname || '';
 
-    if (!firstname || !surname) {
+    if (!firstname) {
       return callback({
         code: grpc.status.INVALID_ARGUMENT,
-        message: 'First name and surname are required.'
+        message: 'First name (or organisation name) is required.'
       });
     }
 
     const indexName = 'idx:prizes';
-    const query = `@firstname:=="${firstname}" @surname:=="${surname}"`;
+    const query = buildQuery([phraseFilter('firstname', firstname), surname ? phraseFilter('surname', surname) : null]);
 
-    const results = await redisClient.ft.search(indexName, query, {
+    const results = await searchAll(redisClient, indexName, query, {
       RETURN: ['$', '__key'],
-      LIMIT: { from: 0, size: 1000 },
     });
 
-    if (results.total === 0) {
-      return callback(null, { laureates: [] });
-    }
-
     const laureatesInfo = [];
 
     for (const doc of results.documents) {
-      let data;
-      if (doc.value['$']) {
-        try {
-          data = JSON.parse(doc.value['$']);
-        } catch (parseError) {
-          console.error('Error parsing JSON from doc.value["$"]:', parseError);
-          continue; // Skip this document
-        }
-      } else {
-        // If '$' field is missing, fetch the JSON directly from Redis
+      // node-redis merges a returned '$' document into doc.value
+      let data = doc.value;
+      if (!Array.isArray(data.laureates)) {
+        // If the document did not come back, fetch the JSON directly from Redis
         try {
-          const rawData = await redisClient.json.get(doc.value['__key']);
-          data = rawData;
+          data = await redisClient.json.get(doc.id);
         } catch (fetchError) {
-          console.error(`Error fetching JSON data for key "${doc.value['__key']}":`, fetchError);
+          logger.error('Error fetching JSON data', { key: doc.id, error: fetchError });
           continue; // Skip this document
         }
       }
@@ -262,44 +489,686 @@ async function GetLaureateDetailsByName(call, callback) {
       if (Array.isArray(laureates)) {
         const matchingLaureate = laureates.find(
           (laureate) =>
-            laureate.firstname.toLowerCase() === firstname.toLowerCase() &&
-            laureate.surname.toLowerCase() === surname.toLowerCase()
+            (laureate.firstname || '').toLowerCase() === firstname.toLowerCase() &&
+            (laureate.surname || '').toLowerCase() === surname.toLowerCase()
         );
 
         if (matchingLaureate) {
           laureatesInfo.push({
-            year: year,
+            year: String(year),
             category: category,
-            motivation: matchingLaureate.motivation
+            id: matchingLaureate.id,
+            motivation: matchingLaureate.motivation,
+            type: toLaureateTypeEnum(matchingLaureate),
+            overallMotivation: data.overallMotivation || ''
           });
         }
       }
     }
 
-    callback(null, { laureates: laureatesInfo });
+    const page = paginate(laureatesInfo, { request: call.request, keyOf: laureateKey });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
+      });
+    }
+
+    callback(null, {
+      laureates: page.items,
+      next_page_token: page.next_page_token,
+      total: page.total
+    });
   } catch (error) {
-    console.error('Error in GetLaureateDetailsByName:', error);
-    callback({
-      code: grpc.status.INTERNAL,
-      message: 'Internal server error'
+    callback(toServiceError(error, 'GetLaureateDetailsByName'));
+  }
+}
+
+/**
+ * StreamLaureates: Streams the laureates matching a category, year range and/or
+ * motivation keyword one per message, sorted by year, as each chunk arrives from
+ * Redis. Stops querying when the client cancels.
+ */
+async function StreamLaureates(call) {
+  try {
+    const { category, startYear, endYear, keyword } = call.request;
+
+    // Validate against the scope recorded by the uploader
+    const scopeError = validateScope(await getDatasetMeta(redisClient), {
+      category: category || undefined,
+      startYear: startYear || undefined,
+      endYear: endYear || undefined
     });
+    if (scopeError) {
+      return call.emit('error', {
+        code: grpc.status.INVALID_ARGUMENT,
+        message: scopeError
+      });
+    }
+
+    const query = buildQuery([
+      tagFilter('category', category),
+      numericFilter('year', startYear, endYear),
+      keyword && keyword.trim() !== '' ? textFilter(MOTIVATION_FIELDS, keyword) : null
+    ]);
+
+    const pages = searchPages(redisClient, 'idx:prizes', query, {
+      RETURN: PRIZE_FIELDS,
+      SORTBY: { BY: 'year', DIRECTION: 'ASC' },
+    }, { chunkSize: STREAM_CHUNK_SIZE });
+
+    for await (const documents of pages) {
+      for (const doc of documents) {
+        const prize = toPrize(doc);
+        // A prize matches when any laureate does, so narrow to the matching laureates
+        // unless the prize-level motivation matched
+        const laureates = keyword && !matchesKeyword(prize.overallMotivation, keyword)
+          ? prize.laureates.filter(laureate => matchesKeyword(laureate.motivation, keyword))
+          : prize.laureates;
+
+        for (const laureate of laureates) {
+          const written = await writeMessage(call, toLaureateDetails(prize, laureate));
+          if (!written) {
+            return; // Client cancelled; leaving the loop stops the Redis queries
+          }
+        }
+      }
+    }
+    call.end();
+  } catch (error) {
+    call.emit('error', toServiceError(error, 'StreamLaureates'));
   }
 }
 
-// Start the gRPC server
-function main() {
-  const server = new grpc.Server();
-  server.addService(prizeProto.PrizeService.service, {
-    GetPrizesByCategory,
-    CountLaureatesByCategoryAndYearRange,
-    CountLaureatesByMotivationKeyword,
-    GetLaureateDetailsByName
+/**
+ * SearchMotivationsSemantic: Ranks laureates by the similarity of their motivation to a query.
+ */
+async function SearchMotivationsSemantic(call, callback) {
+  try {
+    const { query, startYear, endYear } = call.request;
+    const category = call.request.category ? call.request.category.toLowerCase() : undefined;
+    const limit = resultLimit(call.request.limit, 10, 100);
+
+    if (!query || query.trim() === '') {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'Query cannot be empty.'
+      });
+    }
+
+    // Validate against the scope recorded by the uploader
+    const scopeError = validateScope(await getDatasetMeta(redisClient), {
+      category,
+      startYear: startYear || undefined,
+      endYear: endYear || undefined
+    });
+    if (scopeError) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: scopeError
+      });
+    }
+
+    // The uploader stores the IDF weights it embedded the motivations with
+    const model = await redisClient.json.get(EMBEDDING_META_KEY);
+    if (!model) {
+      return callback({
+        code: grpc.status.FAILED_PRECONDITION,
+        message: 'No embedding model found. Run the laureates uploader first.'
+      });
+    }
+
+    const vector = embedText(query, model);
+    if (vector.every(value => value === 0)) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'Query has no searchable terms.'
+      });
+    }
+
+    // Optional pre-filters narrow the candidates before the KNN ranking
+    const filters = buildQuery([tagFilter('category', category), numericFilter('year', startYear, endYear)]);
+    const base = filters === '*' ? '*' : `(${filters})`;
+
+    const results = await redisClient.ft.search('idx:laureates', `${base}=>[KNN ${limit} @vector $BLOB AS score]`, searchOptions({
+      PARAMS: { BLOB: vectorToBlob(vector) },
+      SORTBY: 'score',
+      DIALECT: 2,
+      RETURN: [
+        'score', '$.id', '$.type', '$.firstname', '$.surname', '$.year', '$.category', '$.motivation',
+        '$.overallMotivation'
+      ],
+      LIMIT: { from: 0, size: limit },
+    }));
+
+    const matches = results.documents
+      // Zero vectors stored by older uploads have no cosine distance
+      .filter(doc => !Number.isNaN(Number(doc.value.score)))
+      .map(doc => ({
+        laureate: {
+          year: String(doc.value['$.year']),
+          category: doc.value['$.category'],
+          id: doc.value['$.id'],
+          firstname: doc.value['$.firstname'],
+          surname: doc.value['$.surname'],
+          motivation: doc.value['$.motivation'],
+          share: '',
+          type: toLaureateTypeEnum({
+            type: doc.value['$.type'],
+            firstname: doc.value['$.firstname'],
+            surname: doc.value['$.surname']
+          }),
+          overallMotivation: doc.value['$.overallMotivation'] || ''
+        },
+        // COSINE returns a distance; report similarity so higher is better
+        score: 1 - Number(doc.value.score)
+      }));
+
+    // limit caps the ranked set; pages split it, best match first
+    const page = paginate(matches, {
+      request: call.request,
+      keyOf: match => [-match.score, ...laureateKey(match.laureate)]
+    });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
+      });
+    }
+
+    callback(null, {
+      matches: page.items,
+      next_page_token: page.next_page_token,
+      total: page.total
+    });
+  } catch (error) {
+    callback(toServiceError(error, 'SearchMotivationsSemantic'));
+  }
+}
+
+/**
+ * SearchLaureatesByName: Finds laureates by a full, partial, misspelt or unaccented name.
+ */
+async function SearchLaureatesByName(call, callback) {
+  try {
+    const { name } = call.request;
+    const limit = resultLimit(call.request.limit, 10, 100);
+    const minScore = call.request.minScore || DEFAULT_MIN_SCORE;
+
+    const query = buildNameSearchQuery(name);
+    if (!query) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'Name must contain at least one letter or digit.'
+      });
+    }
+
+    // RediSearch recalls candidates broadly; the ranking happens here
+    const results = await searchAll(redisClient, 'idx:prizes', query, {
+      RETURN: ['$'],
+    });
+
+    const candidates = [];
+    results.documents.forEach(doc => {
+      // node-redis merges a returned '$' document into doc.value
+      const data = doc.value;
+
+      (data.laureates || []).forEach(laureate => {
+        const score = scoreLaureate(name, laureate);
+        if (score >= minScore) {
+          candidates.push({
+            laureate: {
+              year: String(data.year),
+              category: data.category,
+              id: laureate.id,
+              firstname: laureate.firstname,
+              surname: laureate.surname,
+              motivation: laureate.motivation,
+              share: laureate.share,
+              type: toLaureateTypeEnum(laureate),
+              overallMotivation: data.overallMotivation || ''
+            },
+            score
+          });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.score - a.score || Number(a.laureate.year) - Number(b.laureate.year));
+
+    // limit caps the ranked set; pages split it, best match first
+    const page = paginate(candidates.slice(0, limit), {
+      request: call.request,
+      keyOf: candidate => [-candidate.score, ...laureateKey(candidate.laureate)]
+    });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
+      });
+    }
+
+    callback(null, {
+      candidates: page.items,
+      next_page_token: page.next_page_token,
+      total: page.total
+    });
+  } catch (error) {
+    callback(toServiceError(error, 'SearchLaureatesByName'));
+  }
+}
+
+/**
+ * GetOrganizationLaureates: Lists the organisations that won a prize, optionally
+ * narrowed by words in their name, a category and a year range.
+ */
+async function GetOrganizationLaureates(call, callback) {
+  try {
+    const { name, category, startYear, endYear } = call.request;
+
+    // Validate against the scope recorded by the uploader
+    const scopeError = validateScope(await getDatasetMeta(redisClient), {
+      category: category || undefined,
+      startYear: startYear || undefined,
+      endYear: endYear || undefined
+    });
+    if (scopeError) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: scopeError
+      });
+    }
+
+    const query = buildQuery([
+      tagFilter('laureateType', 'organization'),
+      name && name.trim() !== '' ? textFilter('orgName', name) : null,
+      tagFilter('category', category ? category.toLowerCase() : undefined),
+      numericFilter('year', startYear, endYear)
+    ]);
+
+    const results = await searchAll(redisClient, 'idx:prizes', query, {
+      RETURN: PRIZE_FIELDS,
+    });
+
+    const laureates = [];
+    results.documents.map(toPrize).forEach(prize => {
+      prize.laureates
+        .filter(laureate => laureate.type === 'ORGANIZATION')
+        .filter(laureate => !name || matchesKeyword(displayName({ ...laureate, type: 'organization' }), name))
+        .forEach(laureate => laureates.push(toLaureateDetails(prize, laureate)));
+    });
+
+    const page = paginate(laureates, { request: call.request, keyOf: laureateKey });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
+      });
+    }
+
+    callback(null, {
+      laureates: page.items,
+      next_page_token: page.next_page_token,
+      total: page.total
+    });
+  } catch (error) {
+    callback(toServiceError(error, 'GetOrganizationLaureates'));
+  }
+}
+
+/**
+ * GetLaureateById: Retrieves a laureate profile, with every prize it won, by laureate id.
+ */
+async function GetLaureateById(call, callback) {
+  try {
+    const { id } = call.request;
+
+    if (!id || id.trim() === '') {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'Laureate id cannot be empty.'
+      });
+    }
+
+    const profile = await redisClient.json.get(profileKey(id.trim()));
+    if (!profile) {
+      return callback({
+        code: grpc.status.NOT_FOUND,
+        message: `No laureate with id "${id}".`
+      });
+    }
+
+    callback(null, toLaureateProfile(profile));
+  } catch (error) {
+    callback(toServiceError(error, 'GetLaureateById'));
+  }
+}
+
+/**
+ * GetPrize: Retrieves the prize awarded in a category in a year.
+ */
+async function GetPrize(call, callback) {
+  try {
+    const { year, category } = call.request;
+
+    if (!year || !category || category.trim() === '') {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: 'Year and category are required.'
+      });
+    }
+
+    const query = buildQuery([tagFilter('category', category.toLowerCase()), numericFilter('year', year, year)]);
+    const results = await searchAll(redisClient, 'idx:prizes', query, {
+      RETURN: PRIZE_FIELDS,
+    });
+
+    if (results.documents.length === 0) {
+      return callback({
+        code: grpc.status.NOT_FOUND,
+        message: `No ${category} prize found for ${year}.`
+      });
+    }
+
+    callback(null, toPrize(results.documents[0]));
+  } catch (error) {
+    callback(toServiceError(error, 'GetPrize'));
+  }
+}
+
+/**
+ * ListMultiPrizeLaureates: Lists the laureates who won more than one prize, most prizes first.
+ */
+async function ListMultiPrizeLaureates(call, callback) {
+  try {
+    const results = await searchAll(redisClient, 'idx:profiles', numericFilter('prizeCount', 2), {
+      RETURN: ['$'],
+    });
+
+    // node-redis merges a returned '$' document into doc.value
+    const page = paginate(results.documents.map(doc => toLaureateProfile(doc.value)), {
+      request: call.request,
+      keyOf: profile => [-profile.prizeCount, profile.id]
+    });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
+      });
+    }
+
+    callback(null, {
+      laureates: page.items,
+      next_page_token: page.next_page_token,
+      total: page.total
+    });
+  } catch (error) {
+    callback(toServiceError(error, 'ListMultiPrizeLaureates'));
+  }
+}
+
+/**
+ * GetNotAwardedYears: Lists the years a category (or any category) was not awarded,
+ * with the note the source records for each.
+ */
+async function GetNotAwardedYears(call, callback) {
+  try {
+    const { category, startYear, endYear } = call.request;
+
+    // Validate against the scope recorded by the uploader
+    const scopeError = validateScope(await getDatasetMeta(redisClient), {
+      category: category ? category.toLowerCase() : undefined,
+      startYear: startYear || undefined,
+      endYear: endYear || undefined
+    });
+    if (scopeError) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: scopeError
+      });
+    }
+
+    const query = buildQuery([
+      tagFilter('awarded', 'false'),
+      tagFilter('category', category ? category.toLowerCase() : undefined),
+      numericFilter('year', startYear, endYear)
+    ]);
+
+    const results = await searchAll(redisClient, 'idx:prizes', query, {
+      RETURN: PRIZE_FIELDS,
+    });
+
+    const page = paginate(results.documents.map(toPrize), {
+      request: call.request,
+      keyOf: prize => [Number(prize.year), prize.category]
+    });
+    if (page.error) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: page.error
+      });
+    }
+
+    callback(null, {
+      prizes: page.items,
+      next_page_token: page.next_page_token,
+      total: page.total
+    });
+  } catch (error) {
+    callback(toServiceError(error, 'GetNotAwardedYears'));
+  }
+}
+
+/**
+ * Validates the filters of a stats request against the scope recorded by the uploader.
+ * @param {Object} request - A StatsRequest or TopCategoriesRequest.
+ * @returns {Promise<string|null>} An error message, or null if the request is valid.
+ */
+async function validateStatsRequest({ category, startYear, endYear }) {
+  return validateScope(await getDatasetMeta(redisClient), {
+    category: category ? category.toLowerCase() : undefined,
+    startYear: startYear || undefined,
+    endYear: endYear || undefined
   });
+}
+
+/**
+ * GetLaureatesPerCategoryYear: Counts prizes and laureates per category per year.
+ */
+async function GetLaureatesPerCategoryYear(call, callback) {
+  try {
+    const scopeError = await validateStatsRequest(call.request);
+    if (scopeError) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: scopeError
+      });
+    }
+
+    callback(null, { rows: await laureatesPerCategoryYear(redisClient, call.request) });
+  } catch (error) {
+    callback(toServiceError(error, 'GetLaureatesPerCategoryYear'));
+  }
+}
+
+/**
+ * GetLaureatesPerDecade: Counts prizes and laureates per decade.
+ */
+async function GetLaureatesPerDecade(call, callback) {
+  try {
+    const scopeError = await validateStatsRequest(call.request);
+    if (scopeError) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: scopeError
+      });
+    }
+
+    callback(null, { rows: await laureatesPerDecade(redisClient, call.request) });
+  } catch (error) {
+    callback(toServiceError(error, 'GetLaureatesPerDecade'));
+  }
+}
+
+/**
+ * GetShareDistribution: Counts prizes by the number of laureates sharing them.
+ */
+async function GetShareDistribution(call, callback) {
+  try {
+    const scopeError = await validateStatsRequest(call.request);
+    if (scopeError) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: scopeError
+      });
+    }
+
+    callback(null, await shareDistribution(redisClient, call.request));
+  } catch (error) {
+    callback(toServiceError(error, 'GetShareDistribution'));
+  }
+}
+
+/**
+ * GetTopCategories: Ranks categories by laureate count.
+ */
+async function GetTopCategories(call, callback) {
+  try {
+    const scopeError = await validateStatsRequest(call.request);
+    if (scopeError) {
+      return callback({
+        code: grpc.status.INVALID_ARGUMENT,
+        message: scopeError
+      });
+    }
+
+    const limit = resultLimit(call.request.limit, 10, 100);
+    callback(null, { rows: await topCategories(redisClient, call.request, limit) });
+  } catch (error) {
+    callback(toServiceError(error, 'GetTopCategories'));
+  }
+}
+
+/**
+ * GetCacheStats: Reports the response cache counters of this server.
+ */
+function GetCacheStats(call, callback) {
+  callback(null, responseCache.stats());
+}
+
+/**
+ * Routes every unary handler through the response cache.
+ * @param {Object} handlers - Handlers by RPC name.
+ * @param {Array<string>} [uncached] - RPCs to leave alone (streams, cache introspection).
+ * @returns {Object} The handlers, wrapped.
+ */
+function withResponseCache(handlers, uncached = []) {
+  return Object.fromEntries(Object.entries(handlers).map(([method, handler]) => [
+    method,
+    uncached.includes(method) ? handler : responseCache.wrap(method, handler)
+  ]));
+}
+
+// Handlers of each service, shared by the gRPC server and the HTTP/JSON gateway
+const prizeServiceHandlers = withResponseCache({
+  GetPrizesByCategory,
+  CountLaureatesByCategoryAndYearRange,
+  CountLaureatesByMotivationKeyword,
+  GetLaureateDetailsByName,
+  SearchMotivationsSemantic,
+  SearchLaureatesByName,
+  StreamPrizes,
+  StreamLaureates,
+  GetOrganizationLaureates,
+  GetLaureateById,
+  GetPrize,
+  ListMultiPrizeLaureates,
+  GetNotAwardedYears
+}, ['StreamPrizes', 'StreamLaureates']);
+
+const statsServiceHandlers = withResponseCache({
+  GetLaureatesPerCategoryYear,
+  GetLaureatesPerDecade,
+  GetShareDistribution,
+  GetTopCategories,
+  GetCacheStats
+}, ['GetCacheStats']);
+
+// Start the gRPC server once Redis and its indexes are ready
+async function main() {
+  if (!authenticator.enabled) {
+    logger.warn('AUTH_PROVIDERS is not set: every caller is accepted without credentials');
+  }
+  // Interceptors see incoming metadata in list order: calls are traced first, so rejected
+  // ones are too, and callers are identified before they are charged
+  const interceptors = [tracingInterceptor()];
+  if (authenticator.enabled) {
+    interceptors.push(authInterceptor(authenticator));
+  }
+  if (rateLimiter.enabled) {
+    interceptors.push(rateLimitInterceptor(rateLimiter));
+  }
+  const server = new grpc.Server({ interceptors });
+  server.addService(prizeProto.PrizeService.service, prizeServiceHandlers);
+  server.addService(prizeProto.StatsService.service, statsServiceHandlers);
+
+  // grpc.health.v1.Health, tied to Redis connectivity and the indexes each service reads
+  const healthMonitor = startHealthMonitor(server, redisClient);
+
+  // Server reflection lets grpcurl and similar tools list and call methods without the .proto
+  const healthPackageDefinition = protoLoader.loadSync(HEALTH_PROTO_PATH, PROTO_LOADER_OPTIONS);
+  new ReflectionService({ ...packageDefinition, ...healthPackageDefinition }).addToServer(server);
+
+  if (!SERVE_MODES.includes(serve)) {
+    logger.error(`SERVE must be one of ${SERVE_MODES.join(', ')}`, { serve });
+    process.exit(1);
+  }
+
+  // connect() gives up after startupAttempts; the index wait is bounded the same way
+  try {
+    await redisClient.connect();
+    logger.info('Connected to Redis');
+    await waitUntilReady(redisClient, { attempts: startupAttempts });
+  } catch (error) {
+    logger.error('Startup failed', { error: error.message });
+    process.exit(1);
+  }
+
+  if (!serverTls) {
+    logger.warn('No TLS certificate configured: serving plaintext');
+  }
+
   //const bindAddress = '0.0.0.0:50051';
   const bindAddress = `0.0.0.0:${process.env.PORT || 50051}`;
-  server.bindAsync(bindAddress, grpc.ServerCredentials.createInsecure(), () => {
-    server.start();
-    console.log(`gRPC server running at ${bindAddress}`);
+  if (serve !== 'gateway') {
+    server.bindAsync(bindAddress, serverCredentials(serverTls), (error) => {
+      if (error) {
+        logger.error(`Could not bind ${bindAddress}`, { error: error.message });
+        process.exit(1);
+      }
+      server.start();
+      const security = serverTls ? (serverTls.clientCa ? 'mutual TLS' : 'TLS') : 'plaintext';
+      logger.info('gRPC server running', { address: bindAddress, security, tracing: tracing.enabled });
+    });
+  }
+
+  // HTTP/JSON gateway onto the same handlers, for clients without protobuf tooling.
+  // On its own it takes the platform's $PORT, as Cloud Run routes no other port
+  const httpPort = serve === 'gateway' ? process.env.PORT || process.env.HTTP_PORT || 8081 : process.env.HTTP_PORT || 8081;
+  const httpServer = serve === 'grpc' ? undefined : createGateway(packageDefinition, {
+    PrizeService: { definition: prizeProto.PrizeService.service, handlers: prizeServiceHandlers },
+    StatsService: { definition: prizeProto.StatsService.service, handlers: statsServiceHandlers }
+  }, {
+    authorize: authenticator.authorize,
+    rateLimit: rateLimiter.limit,
+    tls: serverTls && httpsOptions(serverTls)
+  }).listen(httpPort, () => {
+    logger.info(`HTTP${serverTls ? 'S' : ''} gateway running`, { address: `0.0.0.0:${httpPort}`, openApi: OPENAPI_PATH });
+  });
+
+  // Cloud Run sends SIGTERM on scale-down: drain, then close Redis and flush the spans
+  handleShutdownSignals({ server, httpServer, healthMonitor, redisClient, tracing }, {
+    timeoutMs: Number(process.env.SHUTDOWN_TIMEOUT_MS) || SHUTDOWN_TIMEOUT_MS
   });
 }
 
@@ -0,0 +1,62 @@
+// server/lib/apiKeys.js
+
+const crypto = require('crypto');
+
+// Prefix of the Redis keys holding API key records, followed by the key's SHA-256
+const API_KEY_PREFIX = 'auth:apikey:';
+
+/**
+ * Builds the Redis key of an API key record. Only a hash of the key is stored, so
+ * reading Redis does not reveal usable keys.
+ * @param {string} apiKey - The API key.
+ * @returns {string} The Redis key.
+ */
+function apiKeyRedisKey(apiKey) {
+  return `${API_KEY_PREFIX}${crypto.createHash('sha256').update(apiKey).digest('hex')}`;
+}
+
+/**
+ * Generates and stores a new API key.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} options - The key's record.
+ * @param {string} options.name - Who or what the key is for.
+ * @param {Array<string>} options.scopes - The scopes it grants (e.g. ['read']).
+ * @returns {Promise<string>} The API key; it cannot be recovered later.
+ */
+async function createApiKey(client, { name, scopes }) {
+  const apiKey = crypto.randomBytes(24).toString('base64url');
+  await client.json.set(apiKeyRedisKey(apiKey), '.', {
+    name,
+    scopes,
+    createdAt: new Date().toISOString(),
+  });
+  return apiKey;
+}
+
+/**
+ * Looks up the record of an API key.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {string} apiKey - The API key.
+ * @returns {Promise<{name: string, scopes: Array<string>}|null>} The record, or null if unknown.
+ */
+async function lookupApiKey(client, apiKey) {
+  return client.json.get(apiKeyRedisKey(apiKey));
+}
+
+/**
+ * Deletes an API key.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {string} apiKey - The API key.
+ * @returns {Promise<boolean>} True if the key existed.
+ */
+async function revokeApiKey(client, apiKey) {
+  return (await client.del(apiKeyRedisKey(apiKey))) > 0;
+}
+
+module.exports = {
+  API_KEY_PREFIX,
+  apiKeyRedisKey,
+  createApiKey,
+  lookupApiKey,
+  revokeApiKey,
+};
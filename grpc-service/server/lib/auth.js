@@ -0,0 +1,300 @@
+// server/lib/auth.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+const { API_KEY_PREFIX, apiKeyRedisKey, lookupApiKey } = require('./apiKeys');
+const { logger } = require('./logger');
+
+// Scope every RPC needs unless listed in METHOD_SCOPES
+const DEFAULT_SCOPE = 'read';
+
+// Scope that grants every other scope
+const ADMIN_SCOPE = 'admin';
+
+// RPCs needing more than DEFAULT_SCOPE, by full method path
+const METHOD_SCOPES = {
+  '/prize.StatsService/GetCacheStats': ADMIN_SCOPE,
+};
+
+// Services callable without credentials, so load balancers and tools can probe the server
+const PUBLIC_SERVICES = [
+  'grpc.health.v1.Health',
+  'grpc.reflection.v1.ServerReflection',
+  'grpc.reflection.v1alpha.ServerReflection',
+];
+
+// Clock skew tolerated when checking exp and nbf, in seconds
+const CLOCK_SKEW_SECONDS = 30;
+
+// How long a valid API key is trusted before Redis is asked again, in milliseconds
+const API_KEY_CACHE_MS = 30000;
+
+// Principal of each authorized call, so later interceptors can see who is calling
+const principals = new WeakMap();
+
+/**
+ * Raised when a caller cannot be authenticated or lacks a scope. Carries the gRPC
+ * status to report: UNAUTHENTICATED or PERMISSION_DENIED.
+ */
+class AuthError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+  }
+}
+
+/**
+ * Looks up the scope an RPC requires.
+ * @param {string} path - The full method path, e.g. "/prize.PrizeService/GetPrize".
+ * @returns {string|null} The scope, or null if the RPC is public.
+ */
+function requiredScope(path) {
+  const service = path.split('/')[1];
+  if (PUBLIC_SERVICES.includes(service)) {
+    return null;
+  }
+  return METHOD_SCOPES[path] || DEFAULT_SCOPE;
+}
+
+/**
+ * Splits the authorization metadata into scheme and credentials. Both
+ * "Bearer <token>" and "ApiKey <key>" are accepted.
+ * @param {grpc.Metadata} metadata - The call metadata.
+ * @returns {{scheme: string, credentials: string}|null} The parts, or null if absent.
+ */
+function parseAuthorization(metadata) {
+  const [value] = metadata.get('authorization');
+  if (!value) {
+    return null;
+  }
+  const match = /^(\S+)\s+(\S+)$/.exec(String(value).trim());
+  if (!match) {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Malformed authorization metadata.');
+  }
+  return { scheme: match[1].toLowerCase(), credentials: match[2] };
+}
+
+/**
+ * Reads the key JWTs are verified with. A PEM public key means RS256; anything
+ * else is taken as an HS256 shared secret.
+ * @param {string} file - Path to the key file.
+ * @returns {{alg: string, key: (crypto.KeyObject|Buffer)}} The algorithm and key.
+ */
+function loadJwtKey(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  if (content.includes('-----BEGIN')) {
+    return { alg: 'RS256', key: crypto.createPublicKey(content) };
+  }
+  return { alg: 'HS256', key: Buffer.from(content.trim(), 'utf8') };
+}
+
+/**
+ * Decodes one base64url JSON segment of a JWT.
+ * @param {string} segment - The segment.
+ * @returns {Object} The decoded object.
+ */
+function decodeSegment(segment) {
+  try {
+    return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Malformed token.');
+  }
+}
+
+/**
+ * Verifies a compact JWT and returns its claims. Tokens must carry exp, so none is
+ * valid forever, and sub, which names the principal their calls are limited under.
+ * @param {string} token - The JWT.
+ * @param {{alg: string, key: (crypto.KeyObject|Buffer)}} jwtKey - The key from loadJwtKey.
+ * @param {Object} [expected] - Claims to check when set.
+ * @param {string} [expected.issuer] - Required iss.
+ * @param {string} [expected.audience] - Required aud (or one of them).
+ * @returns {Object} The claims.
+ */
+function verifyJwt(token, jwtKey, { issuer, audience } = {}) {
+  const [headerSegment, payloadSegment, signatureSegment] = token.split('.');
+  const header = decodeSegment(headerSegment);
+  // The algorithm is fixed by the key, never chosen by the token
+  if (header.alg !== jwtKey.alg) {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, `Token must be signed with ${jwtKey.alg}.`);
+  }
+
+  const signed = Buffer.from(`${headerSegment}.${payloadSegment}`);
+  const signature = Buffer.from(signatureSegment || '', 'base64url');
+  let valid;
+  if (jwtKey.alg === 'HS256') {
+    const expectedSignature = crypto.createHmac('sha256', jwtKey.key).update(signed).digest();
+    valid = signature.length === expectedSignature.length && crypto.timingSafeEqual(signature, expectedSignature);
+  } else {
+    valid = crypto.verify('RSA-SHA256', signed, jwtKey.key, signature);
+  }
+  if (!valid) {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Invalid token signature.');
+  }
+
+  const claims = decodeSegment(payloadSegment);
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== 'number') {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Token must have an exp claim.');
+  }
+  if (typeof claims.sub !== 'string' || claims.sub === '') {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Token must have a sub claim.');
+  }
+  if (now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Token has expired.');
+  }
+  if (typeof claims.nbf === 'number' && now < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Token is not valid yet.');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Token issuer is not accepted.');
+  }
+  if (audience && ![].concat(claims.aud || []).includes(audience)) {
+    throw new AuthError(grpc.status.UNAUTHENTICATED, 'Token audience is not accepted.');
+  }
+  return claims;
+}
+
+/**
+ * Reads the scopes of JWT claims, from a space-separated "scope" claim or a "scopes" array.
+ * @param {Object} claims - The claims.
+ * @returns {Array<string>} The scopes.
+ */
+function jwtScopes(claims) {
+  if (Array.isArray(claims.scopes)) {
+    return claims.scopes;
+  }
+  return typeof claims.scope === 'string' ? claims.scope.split(/\s+/).filter(Boolean) : [];
+}
+
+/**
+ * Creates the authenticator shared by the gRPC interceptor and the HTTP gateway.
+ * Bearer tokens that look like JWTs go to the jwt provider, other credentials to
+ * the apikey provider; a provider that is not enabled rejects them.
+ * @param {RedisClient} client - The Redis client instance (API keys live in Redis).
+ * @param {Object} options - Authentication options.
+ * @param {Array<string>} options.providers - Enabled providers: "apikey" and/or "jwt".
+ * @param {string} [options.jwtKeyFile] - Key file for the jwt provider.
+ * @param {string} [options.issuer] - Required JWT issuer.
+ * @param {string} [options.audience] - Required JWT audience.
+ * @returns {{enabled: boolean, authorize: Function}} The authenticator.
+ */
+function createAuthenticator(client, { providers, jwtKeyFile, issuer, audience }) {
+  const enabled = providers.length > 0;
+  if (providers.includes('jwt') && !jwtKeyFile) {
+    throw new Error('The jwt provider needs JWT_KEY_FILE.');
+  }
+  const jwtKey = providers.includes('jwt') ? loadJwtKey(jwtKeyFile) : null;
+  const apiKeyCache = new Map();
+
+  async function apiKeyPrincipal(apiKey) {
+    const cached = apiKeyCache.get(apiKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.principal;
+    }
+    const record = await lookupApiKey(client, apiKey);
+    if (!record) {
+      throw new AuthError(grpc.status.UNAUTHENTICATED, 'Unknown API key.');
+    }
+    const principal = {
+      id: `apikey:${apiKeyRedisKey(apiKey).slice(API_KEY_PREFIX.length)}`,
+      subject: record.name,
+      scopes: record.scopes || [],
+    };
+    apiKeyCache.set(apiKey, { principal, expiresAt: Date.now() + API_KEY_CACHE_MS });
+    return principal;
+  }
+
+  async function authenticate(metadata) {
+    const authorization = parseAuthorization(metadata);
+    if (!authorization) {
+      throw new AuthError(grpc.status.UNAUTHENTICATED, 'Missing authorization metadata.');
+    }
+    const { scheme, credentials } = authorization;
+    const isJwt = scheme === 'bearer' && credentials.split('.').length === 3;
+    const provider = isJwt ? 'jwt' : 'apikey';
+    if (!['bearer', 'apikey'].includes(scheme) || !providers.includes(provider)) {
+      throw new AuthError(grpc.status.UNAUTHENTICATED, 'Unsupported authorization scheme.');
+    }
+    if (isJwt) {
+      const claims = verifyJwt(credentials, jwtKey, { issuer, audience });
+      return { id: `jwt:${claims.sub}`, subject: claims.sub, scopes: jwtScopes(claims) };
+    }
+    return apiKeyPrincipal(credentials);
+  }
+
+  /**
+   * Checks that the caller of an RPC is authenticated and holds its scope. The
+   * principal is remembered against the metadata; see principalOf.
+   * @param {string} path - The full method path.
+   * @param {grpc.Metadata} metadata - The call metadata.
+   * @returns {Promise<Object|null>} The principal ({ id, subject, scopes }), or null for public RPCs.
+   */
+  async function authorize(path, metadata) {
+    const scope = requiredScope(path);
+    if (!enabled || !scope) {
+      return null;
+    }
+    const principal = await authenticate(metadata);
+    if (!principal.scopes.includes(scope) && !principal.scopes.includes(ADMIN_SCOPE)) {
+      throw new AuthError(grpc.status.PERMISSION_DENIED, `${path} requires the ${scope} scope.`);
+    }
+    principals.set(metadata, principal);
+    return principal;
+  }
+
+  return { enabled, authorize };
+}
+
+/**
+ * Looks up who made an authorized call.
+ * @param {grpc.Metadata} metadata - The call metadata passed to authorize.
+ * @returns {Object|null} The principal ({ id, subject, scopes }), or null if the call
+ * was public or not authenticated.
+ */
+function principalOf(metadata) {
+  return principals.get(metadata) || null;
+}
+
+/**
+ * Builds a server interceptor that authorizes every call before its handler runs
+ * and ends rejected calls with UNAUTHENTICATED or PERMISSION_DENIED.
+ * @param {{authorize: Function}} authenticator - From createAuthenticator.
+ * @returns {Function} The interceptor, for new grpc.Server({ interceptors }).
+ */
+function authInterceptor(authenticator) {
+  return (methodDescriptor, call) => new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next(new grpc.ServerListenerBuilder()
+        .withOnReceiveMetadata((metadata, metadataNext) => {
+          authenticator.authorize(methodDescriptor.path, metadata).then(
+            () => metadataNext(metadata),
+            (error) => {
+              if (!(error instanceof AuthError)) {
+                logger.error('Error authorizing call', { error });
+              }
+              call.sendStatus({
+                code: error instanceof AuthError ? error.code : grpc.status.UNAVAILABLE,
+                details: error instanceof AuthError ? error.message : 'Could not verify credentials.',
+                metadata: new grpc.Metadata(),
+              });
+            }
+          );
+        })
+        .build());
+    },
+  });
+}
+
+module.exports = {
+  ADMIN_SCOPE,
+  AuthError,
+  requiredScope,
+  loadJwtKey,
+  verifyJwt,
+  createAuthenticator,
+  principalOf,
+  authInterceptor,
+};
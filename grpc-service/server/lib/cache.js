@@ -0,0 +1,191 @@
+// server/lib/cache.js
+
+const { getDatasetVersion } = require('./datasetMeta');
+const { logger } = require('./logger');
+
+// How long a cached response is served, in milliseconds
+const DEFAULT_TTL_MS = 60000;
+
+// Most responses kept; the least recently used are evicted first
+const DEFAULT_MAX_ENTRIES = 1000;
+
+// How often the dataset version is re-read from Redis, in milliseconds
+const VERSION_REFRESH_MS = 1000;
+
+/**
+ * Serializes a value with object keys sorted, so equal requests give equal cache keys.
+ * @param {*} value - The value.
+ * @returns {string} The canonical JSON.
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Checks whether a call asked to skip the cache with a cache-control: no-cache
+ * (or no-store) header or metadata entry.
+ * @param {Object} call - The gRPC call.
+ * @returns {boolean} True to bypass the cache.
+ */
+function bypassesCache(call) {
+  const values = call.metadata ? call.metadata.get('cache-control') : [];
+  return values.some((value) => /\bno-(cache|store)\b/i.test(String(value)));
+}
+
+/**
+ * Creates an in-process response cache. Responses are keyed by dataset version, RPC
+ * and request, so a bumped version (the uploaders bump it on every change) makes the
+ * old entries unreachable; they are dropped as soon as the new version is seen.
+ * Identical requests arriving while one is in flight share its result.
+ * Errors are never cached.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} [options] - Cache options.
+ * @param {boolean} [options.enabled=true] - Whether responses are cached at all.
+ * @param {number} [options.ttlMs=DEFAULT_TTL_MS] - How long a response is served.
+ * @param {number} [options.maxEntries=DEFAULT_MAX_ENTRIES] - Most responses kept.
+ * @param {number} [options.versionRefreshMs=VERSION_REFRESH_MS] - How often the version is re-read.
+ * @returns {{wrap: Function, stats: Function, clear: Function}} The cache.
+ */
+function createResponseCache(client, {
+  enabled = true,
+  ttlMs = DEFAULT_TTL_MS,
+  maxEntries = DEFAULT_MAX_ENTRIES,
+  versionRefreshMs = VERSION_REFRESH_MS,
+} = {}) {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+  const inFlight = new Map();
+  const counters = { hits: 0, misses: 0, coalesced: 0, bypassed: 0 };
+  let version = null;
+  let versionCheckedAt = 0;
+  let versionRead = null;
+
+  function clear() {
+    entries.clear();
+  }
+
+  function currentVersion() {
+    if (version !== null && Date.now() - versionCheckedAt < versionRefreshMs) {
+      return Promise.resolve(version);
+    }
+    if (!versionRead) {
+      versionRead = getDatasetVersion(client)
+        .then((latest) => {
+          if (latest !== version) {
+            clear();
+            version = latest;
+          }
+          versionCheckedAt = Date.now();
+          return version;
+        })
+        .finally(() => {
+          versionRead = null;
+        });
+    }
+    return versionRead;
+  }
+
+  function store(key, value) {
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Returns the cached response for a request, or loads it (once, however many
+   * identical requests are waiting) and caches it.
+   * @param {string} method - The RPC name.
+   * @param {Object} request - The request.
+   * @param {Function} load - Produces the response; returns a Promise.
+   * @returns {Promise<Object>} The response.
+   */
+  async function get(method, request, load) {
+    let loadedFor;
+    try {
+      loadedFor = await currentVersion();
+    } catch (error) {
+      // Without the version nothing can be served safely; let the handler report the outage
+      logger.error('Cache could not read the dataset version', { error: error.message });
+      counters.bypassed += 1;
+      return load();
+    }
+    const key = `${loadedFor}|${method}|${canonicalJson(request)}`;
+
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      counters.hits += 1;
+      // Re-inserting marks the entry as most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    }
+    entries.delete(key);
+
+    if (inFlight.has(key)) {
+      counters.coalesced += 1;
+      return inFlight.get(key);
+    }
+
+    counters.misses += 1;
+    const pending = load()
+      .then((value) => {
+        // A response loaded across an ingestion may mix old and new data
+        if (version === loadedFor) {
+          store(key, value);
+        }
+        return value;
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, pending);
+    return pending;
+  }
+
+  /**
+   * Wraps a unary handler so its responses go through the cache. Calls that send
+   * cache-control: no-cache go straight to the handler.
+   * @param {string} method - The RPC name.
+   * @param {Function} handler - The unary handler (call, callback).
+   * @returns {Function} The caching handler.
+   */
+  function wrap(method, handler) {
+    return (call, callback) => {
+      if (!enabled || bypassesCache(call)) {
+        counters.bypassed += 1;
+        return handler(call, callback);
+      }
+      const load = () => new Promise((resolve, reject) => {
+        handler(call, (error, response) => (error ? reject(error) : resolve(response)));
+      });
+      get(method, call.request, load).then(
+        (response) => callback(null, response),
+        (error) => callback(error)
+      );
+    };
+  }
+
+  function stats() {
+    return {
+      enabled,
+      ...counters,
+      entries: entries.size,
+      maxEntries,
+      ttlMs,
+      datasetVersion: version === null ? 0 : version,
+    };
+  }
+
+  return { wrap, stats, clear };
+}
+
+module.exports = {
+  DEFAULT_TTL_MS,
+  DEFAULT_MAX_ENTRIES,
+  createResponseCache,
+};
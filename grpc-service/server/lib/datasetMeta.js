@@ -0,0 +1,72 @@
+// server/lib/datasetMeta.js
+
+// Redis key where the uploader records the ingested scope of idx:prizes
+const DATASET_META_KEY = 'meta:prizes';
+
+// Redis key of a counter the uploaders bump whenever they change the dataset
+const DATASET_VERSION_KEY = 'meta:dataset:version';
+
+/**
+ * Reads the dataset metadata written by the uploader.
+ * @param {RedisClient} client - The Redis client instance.
+ * @returns {Promise<Object|null>} The metadata, or null if the dataset predates it.
+ */
+async function getDatasetMeta(client) {
+  return client.json.get(DATASET_META_KEY);
+}
+
+/**
+ * Reads the dataset version, which changes whenever an uploader changes the data.
+ * @param {RedisClient} client - The Redis client instance.
+ * @returns {Promise<number>} The version, or 0 if nothing has been uploaded since versioning began.
+ */
+async function getDatasetVersion(client) {
+  return Number(await client.get(DATASET_VERSION_KEY)) || 0;
+}
+
+/**
+ * Bumps the dataset version, so servers drop responses cached for the previous data.
+ * @param {RedisClient} client - The Redis client instance.
+ * @returns {Promise<number>} The new version.
+ */
+async function bumpDatasetVersion(client) {
+  return client.incr(DATASET_VERSION_KEY);
+}
+
+/**
+ * Validates a category and year range against the ingested scope.
+ * Without metadata nothing can be checked, so the request is allowed.
+ * @param {Object|null} meta - The dataset metadata.
+ * @param {Object} request - The requested scope.
+ * @param {string} [request.category] - The requested category.
+ * @param {number} [request.startYear] - The first requested year.
+ * @param {number} [request.endYear] - The last requested year.
+ * @returns {string|null} An error message, or null if the request is valid.
+ */
+function validateScope(meta, { category, startYear, endYear }) {
+  if (startYear !== undefined && endYear !== undefined && startYear > endYear) {
+    return 'Start year must not be after end year.';
+  }
+  if (!meta) {
+    return null;
+  }
+  if (
+    (startYear !== undefined && startYear < meta.startYear) ||
+    (endYear !== undefined && endYear > meta.endYear)
+  ) {
+    return `Year range must be between ${meta.startYear} and ${meta.endYear}.`;
+  }
+  if (category && Array.isArray(meta.categories) && !meta.categories.includes(category)) {
+    return `Unknown category "${category}". Available categories: ${meta.categories.join(', ')}.`;
+  }
+  return null;
+}
+
+module.exports = {
+  DATASET_META_KEY,
+  DATASET_VERSION_KEY,
+  getDatasetMeta,
+  getDatasetVersion,
+  bumpDatasetVersion,
+  validateScope,
+};
@@ -0,0 +1,126 @@
+// server/lib/embedding.js
+
+// Number of hashed buckets, which is also the VECTOR field dimension in schema/laureates.json
+const EMBEDDING_DIM = 256;
+
+// Redis key where the uploader stores the IDF weights of the hashed buckets
+const EMBEDDING_META_KEY = 'meta:embedding';
+
+// Words that carry no meaning in Nobel motivations
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'his', 'her', 'in',
+  'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'their', 'them', 'this', 'to', 'was',
+  'which', 'who', 'with',
+]);
+
+/**
+ * Strips a few common English suffixes so "catalysis" and "catalytic" or
+ * "cells" and "cell" land in the same bucket more often.
+ * @param {string} token - A lowercase token.
+ * @returns {string} The stemmed token.
+ */
+function stem(token) {
+  if (token.length <= 4) {
+    return token;
+  }
+  return token.replace(/(ations?|ings?|ies|ed|es|s|ic|al|ly)$/, '');
+}
+
+/**
+ * Splits text into normalized terms: accent-folded, lowercase, stemmed
+ * unigrams plus adjacent bigrams.
+ * @param {string} text - The text to tokenize.
+ * @returns {Array<string>} The terms.
+ */
+function tokenize(text) {
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+
+  const bigrams = words.slice(1).map((word, i) => `${words[i]}_${word}`);
+  return [...words, ...bigrams];
+}
+
+/**
+ * Hashes a term into a bucket and a sign (FNV-1a, 32-bit).
+ * The sign halves the bias that bucket collisions add to dot products.
+ * @param {string} term - The term to hash.
+ * @returns {{bucket: number, sign: number}} The bucket index and sign.
+ */
+function hashTerm(term) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < term.length; i++) {
+    hash ^= term.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return { bucket: hash % EMBEDDING_DIM, sign: (hash >>> 31) === 1 ? -1 : 1 };
+}
+
+/**
+ * Counts the hashed term frequencies of a text.
+ * @param {string} text - The text to count.
+ * @returns {Map<number, number>} Signed frequency per bucket.
+ */
+function hashedTermFrequencies(text) {
+  const frequencies = new Map();
+  tokenize(text).forEach((term) => {
+    const { bucket, sign } = hashTerm(term);
+    frequencies.set(bucket, (frequencies.get(bucket) || 0) + sign);
+  });
+  return frequencies;
+}
+
+/**
+ * Computes smoothed IDF weights per bucket from a corpus of texts.
+ * @param {Array<string>} texts - The corpus (e.g. every motivation).
+ * @returns {{dim: number, documents: number, idf: Array<number>}} The embedding model.
+ */
+function buildEmbeddingModel(texts) {
+  const documentFrequency = new Array(EMBEDDING_DIM).fill(0);
+  texts.forEach((text) => {
+    hashedTermFrequencies(text).forEach((_, bucket) => {
+      documentFrequency[bucket] += 1;
+    });
+  });
+  const idf = documentFrequency.map((df) => Math.log((1 + texts.length) / (1 + df)) + 1);
+  return { dim: EMBEDDING_DIM, documents: texts.length, idf };
+}
+
+/**
+ * Embeds a text as an L2-normalized hashed TF-IDF vector.
+ * @param {string} text - The text to embed.
+ * @param {{idf: Array<number>}} model - The model from buildEmbeddingModel.
+ * @returns {Array<number>} A vector of length EMBEDDING_DIM.
+ */
+function embedText(text, model) {
+  const vector = new Array(EMBEDDING_DIM).fill(0);
+  hashedTermFrequencies(text).forEach((frequency, bucket) => {
+    // Sublinear TF keeps repeated words from dominating
+    const tf = Math.sign(frequency) * (1 + Math.log(Math.abs(frequency) || 1));
+    vector[bucket] = frequency === 0 ? 0 : tf * model.idf[bucket];
+  });
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map((value) => value / norm);
+}
+
+/**
+ * Encodes a vector as a FLOAT32 little-endian buffer for KNN query parameters.
+ * @param {Array<number>} vector - The vector.
+ * @returns {Buffer} The binary blob.
+ */
+function vectorToBlob(vector) {
+  return Buffer.from(new Float32Array(vector).buffer);
+}
+
+module.exports = {
+  EMBEDDING_DIM,
+  EMBEDDING_META_KEY,
+  tokenize,
+  buildEmbeddingModel,
+  embedText,
+  vectorToBlob,
+};
@@ -0,0 +1,371 @@
+// server/lib/gateway.js
+
+const http = require('http');
+const https = require('https');
+const grpc = require('@grpc/grpc-js');
+const { logger } = require('./logger');
+const { qualifiedName, buildOpenApiDocument } = require('./openapi');
+const { beginCall } = require('./tracing');
+
+// Where the generated OpenAPI document is served
+const OPENAPI_PATH = '/openapi.json';
+
+// REST routes onto unary RPCs. Path parameters and query parameters are request fields;
+// fixed paths come before parameterised ones so /v1/laureates/count is not read as an id.
+// The streaming RPCs are only available over gRPC.
+const ROUTES = [
+  { path: '/v1/prizes', service: 'PrizeService', method: 'GetPrizesByCategory', summary: 'List prizes by category and year range' },
+  { path: '/v1/prizes/not-awarded', service: 'PrizeService', method: 'GetNotAwardedYears', summary: 'List the years a prize was not awarded' },
+  { path: '/v1/prizes/{year}/{category}', service: 'PrizeService', method: 'GetPrize', summary: 'Retrieve the prize of a category in a year' },
+  { path: '/v1/laureates', service: 'PrizeService', method: 'GetLaureateDetailsByName', summary: 'Retrieve laureates by first name and surname' },
+  { path: '/v1/laureates/count', service: 'PrizeService', method: 'CountLaureatesByCategoryAndYearRange', summary: 'Count laureates in a category and year range' },
+  { path: '/v1/laureates/search', service: 'PrizeService', method: 'CountLaureatesByMotivationKeyword', summary: 'Count laureates by motivation keyword' },
+  { path: '/v1/laureates/semantic', service: 'PrizeService', method: 'SearchMotivationsSemantic', summary: 'Rank laureates by motivation similarity' },
+  { path: '/v1/laureates/match', service: 'PrizeService', method: 'SearchLaureatesByName', summary: 'Fuzzy laureate name search' },
+  { path: '/v1/laureates/multi-prize', service: 'PrizeService', method: 'ListMultiPrizeLaureates', summary: 'List laureates with more than one prize' },
+  { path: '/v1/laureates/{id}', service: 'PrizeService', method: 'GetLaureateById', summary: 'Retrieve a laureate profile by id' },
+  { path: '/v1/organizations', service: 'PrizeService', method: 'GetOrganizationLaureates', summary: 'List organisation laureates' },
+  { path: '/v1/stats/category-year', service: 'StatsService', method: 'GetLaureatesPerCategoryYear', summary: 'Prizes and laureates per category per year' },
+  { path: '/v1/stats/decades', service: 'StatsService', method: 'GetLaureatesPerDecade', summary: 'Prizes and laureates per decade' },
+  { path: '/v1/stats/shares', service: 'StatsService', method: 'GetShareDistribution', summary: 'Shared versus solo prizes' },
+  { path: '/v1/stats/top-categories', service: 'StatsService', method: 'GetTopCategories', summary: 'Categories ranked by laureate count' },
+  { path: '/v1/cache/stats', service: 'StatsService', method: 'GetCacheStats', summary: 'Response cache counters of this server' },
+];
+
+// HTTP status for each gRPC status code, following the grpc-gateway mapping
+const HTTP_STATUS = {
+  [grpc.status.OK]: 200,
+  [grpc.status.CANCELLED]: 499,
+  [grpc.status.UNKNOWN]: 500,
+  [grpc.status.INVALID_ARGUMENT]: 400,
+  [grpc.status.DEADLINE_EXCEEDED]: 504,
+  [grpc.status.NOT_FOUND]: 404,
+  [grpc.status.ALREADY_EXISTS]: 409,
+  [grpc.status.PERMISSION_DENIED]: 403,
+  [grpc.status.RESOURCE_EXHAUSTED]: 429,
+  [grpc.status.FAILED_PRECONDITION]: 400,
+  [grpc.status.ABORTED]: 409,
+  [grpc.status.OUT_OF_RANGE]: 400,
+  [grpc.status.UNIMPLEMENTED]: 501,
+  [grpc.status.INTERNAL]: 500,
+  [grpc.status.UNAVAILABLE]: 503,
+  [grpc.status.DATA_LOSS]: 500,
+  [grpc.status.UNAUTHENTICATED]: 401,
+};
+
+// Protobuf integer types whose query parameters must be whole numbers
+const INTEGER_TYPES = ['TYPE_INT32', 'TYPE_SINT32', 'TYPE_SFIXED32', 'TYPE_UINT32', 'TYPE_FIXED32',
+  'TYPE_INT64', 'TYPE_SINT64', 'TYPE_SFIXED64', 'TYPE_UINT64', 'TYPE_FIXED64'];
+
+/**
+ * Raised when an HTTP request cannot be turned into a gRPC request.
+ * The gateway reports it as INVALID_ARGUMENT.
+ */
+class GatewayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GatewayError';
+  }
+}
+
+/**
+ * Looks up the name of a gRPC status code.
+ * @param {number} code - The status code.
+ * @returns {string} The name, e.g. "NOT_FOUND".
+ */
+function statusName(code) {
+  return Object.keys(grpc.status).find((name) => grpc.status[name] === code) || 'UNKNOWN';
+}
+
+/**
+ * Compiles a route path such as /v1/laureates/{id} into a matcher.
+ * @param {Object} route - A route from ROUTES.
+ * @returns {Object} The route with a `pattern` RegExp and its `params` names.
+ */
+function compileRoute(route) {
+  const params = [];
+  const source = route.path.replace(/\{(\w+)\}/g, (_, name) => {
+    params.push(name);
+    return '([^/]+)';
+  });
+  return { ...route, pattern: new RegExp(`^${source}/?$`), params };
+}
+
+/**
+ * Decodes a percent-encoded path segment.
+ * @param {string} segment - The raw segment.
+ * @returns {string} The decoded value.
+ */
+function decodePathParam(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new GatewayError(`Malformed path segment "${segment}".`);
+  }
+}
+
+/**
+ * Converts a query or path parameter to the type of its request field.
+ * @param {string} value - The raw parameter.
+ * @param {Object} field - The field of the request DescriptorProto.
+ * @param {Array<string>} [enumValues] - The allowed names, for enum fields.
+ * @returns {string|number|boolean} The converted value.
+ */
+function parseValue(value, field, enumValues) {
+  if (INTEGER_TYPES.includes(field.type)) {
+    if (!/^-?\d+$/.test(value)) {
+      throw new GatewayError(`${field.name} must be a whole number.`);
+    }
+    return field.type.endsWith('64') ? value : Number(value);
+  }
+  if (field.type === 'TYPE_DOUBLE' || field.type === 'TYPE_FLOAT') {
+    if (value.trim() === '' || !Number.isFinite(Number(value))) {
+      throw new GatewayError(`${field.name} must be a number.`);
+    }
+    return Number(value);
+  }
+  if (field.type === 'TYPE_BOOL') {
+    if (!['true', 'false', '1', '0'].includes(value)) {
+      throw new GatewayError(`${field.name} must be true or false.`);
+    }
+    return value === 'true' || value === '1';
+  }
+  if (field.type === 'TYPE_ENUM') {
+    const name = value.toUpperCase();
+    if (!enumValues.includes(name)) {
+      throw new GatewayError(`${field.name} must be one of ${enumValues.join(', ')}.`);
+    }
+    return name;
+  }
+  return value;
+}
+
+/**
+ * Builds a gRPC request from path and query parameters. Unknown query parameters
+ * are rejected so typos do not silently widen a query.
+ * @param {Object} requestType - The DescriptorProto of the request message.
+ * @param {Object} pathParams - Path parameter values by field name.
+ * @param {URLSearchParams} query - The query parameters.
+ * @param {Function} enumValuesOf - Returns the value names of an enum field.
+ * @returns {Object} The request object.
+ */
+function buildRequest(requestType, pathParams, query, enumValuesOf) {
+  const fields = new Map(requestType.field.map((field) => [field.name, field]));
+  for (const name of query.keys()) {
+    if (!fields.has(name) || name in pathParams) {
+      throw new GatewayError(`Unknown query parameter "${name}".`);
+    }
+  }
+
+  const request = {};
+  fields.forEach((field, name) => {
+    const enumValues = field.type === 'TYPE_ENUM' ? enumValuesOf(field) : undefined;
+    if (name in pathParams) {
+      request[name] = parseValue(pathParams[name], field, enumValues);
+    } else if (field.label === 'LABEL_REPEATED') {
+      const values = query.getAll(name);
+      if (values.length > 0) {
+        request[name] = values.map((value) => parseValue(value, field, enumValues));
+      }
+    } else if (query.has(name)) {
+      request[name] = parseValue(query.get(name), field, enumValues);
+    }
+  });
+  return request;
+}
+
+/**
+ * Calls a unary handler the way grpc-js would: the request and the response pass
+ * through the method's protobuf (de)serializers, so HTTP clients see exactly the
+ * defaults and enum names gRPC clients do.
+ * @param {Function} handler - The RPC handler (call, callback).
+ * @param {Object} definition - The method definition from the service.
+ * @param {Object} request - The request object.
+ * @param {grpc.Metadata} metadata - Metadata built from the HTTP headers.
+ * @returns {Promise<Object>} The response object.
+ */
+function invokeUnary(handler, definition, request, metadata) {
+  return new Promise((resolve, reject) => {
+    const call = {
+      request: definition.requestDeserialize(definition.requestSerialize(request)),
+      metadata,
+      cancelled: false,
+      getPeer: () => 'http-gateway',
+    };
+    handler(call, (error, response) => {
+      if (error) {
+        reject(error);
+      } else {
+        resolve(definition.responseDeserialize(definition.responseSerialize(response)));
+      }
+    });
+  });
+}
+
+/**
+ * Copies the HTTP headers gRPC handlers may read (e.g. authorization) into metadata.
+ * @param {http.IncomingMessage} req - The HTTP request.
+ * @returns {grpc.Metadata} The metadata.
+ */
+function metadataFromHeaders(req) {
+  const metadata = new grpc.Metadata();
+  Object.entries(req.headers).forEach(([name, value]) => {
+    // Pseudo and binary headers have no plain-text metadata equivalent
+    if (!name.startsWith(':') && !name.endsWith('-bin')) {
+      metadata.set(name, Array.isArray(value) ? value.join(', ') : value);
+    }
+  });
+  return metadata;
+}
+
+/**
+ * Writes a JSON response.
+ * @param {http.ServerResponse} res - The HTTP response.
+ * @param {number} status - The HTTP status.
+ * @param {Object} body - The body.
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+  });
+  res.end(payload);
+}
+
+/**
+ * Writes a gRPC error as JSON, with the HTTP status mapped from the gRPC code.
+ * Throttled calls also get a Retry-After header.
+ * @param {http.ServerResponse} res - The HTTP response.
+ * @param {{code: number, message: string, retryAfterMs: number}} error - The gRPC error.
+ */
+function sendError(res, error) {
+  if (error.retryAfterMs) {
+    res.setHeader('Retry-After', Math.ceil(error.retryAfterMs / 1000));
+  }
+  const code = typeof error.code === 'number' ? error.code : grpc.status.UNKNOWN;
+  sendJson(res, HTTP_STATUS[code] || 500, {
+    code,
+    status: statusName(code),
+    message: error.details || error.message || 'Unknown error',
+  });
+}
+
+/**
+ * Maps an error raised while serving a request to the gRPC status reported for it.
+ * Malformed requests are the caller's fault; errors without a status are logged.
+ * @param {Error|Object} error - The error, or a gRPC status error from a handler.
+ * @returns {{code: number, message: string, retryAfterMs: number}} The status.
+ */
+function toStatus(error) {
+  if (error instanceof GatewayError) {
+    return { code: grpc.status.INVALID_ARGUMENT, message: error.message };
+  }
+  if (typeof error.code === 'number') {
+    return error;
+  }
+  logger.error('Error in HTTP gateway', { error });
+  return { code: grpc.status.INTERNAL, message: 'Internal server error' };
+}
+
+/**
+ * Creates the HTTP/JSON gateway: an HTTP server that maps ROUTES onto the unary
+ * handlers of the gRPC services and serves the generated OpenAPI document.
+ * @param {Object} packageDefinition - The proto-loader packageDefinition.
+ * @param {Object} services - Per service name: { definition, handlers }, where definition
+ * is the grpc-js service definition (e.g. prizeProto.PrizeService.service).
+ * @param {Object} [options] - Gateway options.
+ * @param {string} [options.packageName='prize'] - The proto package.
+ * @param {Function} [options.authorize] - Checks the caller of a method path against the
+ * request metadata, as the gRPC server does; rejects with a gRPC status error.
+ * @param {Function} [options.rateLimit] - Charges a call, given its method path, metadata
+ * and client address; rejects with a gRPC status error (retryAfterMs when throttled).
+ * @param {Object} [options.tls] - https.createServer options; plain HTTP when absent.
+ * @returns {http.Server|https.Server} The server, not yet listening.
+ */
+function createGateway(packageDefinition, services, {
+  packageName = 'prize',
+  authorize = null,
+  rateLimit = null,
+  tls = null,
+} = {}) {
+  const routes = ROUTES.map(compileRoute);
+  const openApiDocument = buildOpenApiDocument(packageDefinition, ROUTES, {
+    packageName,
+    title: 'Nobel Prize API',
+  });
+
+  const enumValuesOf = (field) =>
+    packageDefinition[qualifiedName(field.typeName, packageName)].type.value.map((value) => value.name);
+
+  async function handleRequest(req, res) {
+    try {
+      const url = new URL(req.url, 'http://localhost');
+
+      if (req.method !== 'GET') {
+        res.setHeader('Allow', 'GET');
+        return sendJson(res, 405, { code: grpc.status.UNIMPLEMENTED, status: 'UNIMPLEMENTED', message: 'Only GET is supported.' });
+      }
+      if (url.pathname === OPENAPI_PATH) {
+        return sendJson(res, 200, openApiDocument);
+      }
+
+      let route = null;
+      let match = null;
+      for (const candidate of routes) {
+        match = candidate.pattern.exec(url.pathname);
+        if (match) {
+          route = candidate;
+          break;
+        }
+      }
+      if (!route) {
+        return sendError(res, { code: grpc.status.NOT_FOUND, message: `No route for ${url.pathname}.` });
+      }
+
+      const metadata = metadataFromHeaders(req);
+      const path = `/${packageName}.${route.service}/${route.method}`;
+      const call = beginCall(path, metadata, req.socket.remoteAddress);
+      res.setHeader('X-Request-Id', call.requestId);
+      await call.run(async () => {
+        let status;
+        try {
+          const response = await callRoute(route, match, url, path, metadata, req);
+          sendJson(res, 200, response);
+          status = { code: grpc.status.OK };
+        } catch (error) {
+          status = toStatus(error);
+          sendError(res, status);
+        }
+        call.end(status.code, status.message);
+      });
+    } catch (error) {
+      sendError(res, toStatus(error));
+    }
+  }
+
+  // Authorizes, rate limits and answers a routed call
+  async function callRoute(route, match, url, path, metadata, req) {
+    if (authorize) {
+      await authorize(path, metadata);
+    }
+    if (rateLimit) {
+      await rateLimit(path, metadata, req.socket.remoteAddress);
+    }
+
+    const { definition, handlers } = services[route.service];
+    const methodDefinition = definition[route.method];
+    const pathParams = Object.fromEntries(route.params.map((name, i) => [name, decodePathParam(match[i + 1])]));
+    const request = buildRequest(methodDefinition.requestType.type, pathParams, url.searchParams, enumValuesOf);
+    return invokeUnary(handlers[route.method], methodDefinition, request, metadata);
+  }
+
+  return tls ? https.createServer(tls, handleRequest) : http.createServer(handleRequest);
+}
+
+module.exports = {
+  OPENAPI_PATH,
+  ROUTES,
+  HTTP_STATUS,
+  createGateway,
+};
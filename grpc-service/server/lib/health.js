@@ -0,0 +1,134 @@
+// server/lib/health.js
+
+const { HealthImplementation } = require('grpc-health-check');
+const { logger } = require('./logger');
+
+// How often Redis and the indexes are probed, in milliseconds
+const HEALTH_CHECK_INTERVAL_MS = 5000;
+
+// Index aliases each service reads; a service is SERVING only when all of them exist
+const REQUIRED_INDEXES = {
+  'prize.PrizeService': ['idx:prizes', 'idx:profiles'],
+  'prize.StatsService': ['idx:prizes'],
+};
+
+// The empty service name reports on the server as a whole
+const OVERALL = '';
+
+/**
+ * Checks whether an index (or alias) exists.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {string} indexName - The index or alias.
+ * @returns {Promise<boolean>} True if FT.INFO succeeds.
+ */
+async function indexAvailable(client, indexName) {
+  try {
+    await client.ft.info(indexName);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Probes Redis connectivity and the indexes every service needs.
+ * @param {RedisClient} client - The Redis client instance.
+ * @returns {Promise<Object<string, string>>} SERVING or NOT_SERVING per service name,
+ * including the overall status under ''.
+ */
+async function probeStatuses(client) {
+  const services = Object.keys(REQUIRED_INDEXES);
+  const notServing = () => Object.fromEntries([OVERALL, ...services].map((service) => [service, 'NOT_SERVING']));
+
+  if (!client.isReady) {
+    return notServing();
+  }
+  try {
+    await client.ping();
+  } catch (error) {
+    return notServing();
+  }
+
+  const indexes = [...new Set(Object.values(REQUIRED_INDEXES).flat())];
+  const available = new Map(
+    await Promise.all(indexes.map(async (indexName) => [indexName, await indexAvailable(client, indexName)]))
+  );
+
+  const statuses = {};
+  services.forEach((service) => {
+    statuses[service] = REQUIRED_INDEXES[service].every((indexName) => available.get(indexName))
+      ? 'SERVING'
+      : 'NOT_SERVING';
+  });
+  statuses[OVERALL] = services.every((service) => statuses[service] === 'SERVING') ? 'SERVING' : 'NOT_SERVING';
+  return statuses;
+}
+
+/**
+ * Registers grpc.health.v1.Health on a server and keeps its statuses in step with
+ * Redis: probed on an interval and whenever the client connects or disconnects.
+ * Watchers are only notified when a status actually changes.
+ * @param {grpc.Server} server - The gRPC server.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} [options] - Monitor options.
+ * @param {number} [options.intervalMs=HEALTH_CHECK_INTERVAL_MS] - Time between probes.
+ * @returns {{refresh: Function, stop: Function}} Probe now, or stop probing and report NOT_SERVING.
+ */
+function startHealthMonitor(server, client, { intervalMs = HEALTH_CHECK_INTERVAL_MS } = {}) {
+  const current = Object.fromEntries(
+    [OVERALL, ...Object.keys(REQUIRED_INDEXES)].map((service) => [service, 'NOT_SERVING'])
+  );
+  const health = new HealthImplementation({ ...current });
+  health.addToServer(server);
+
+  let probing = null;
+  let stopped = false;
+  function refresh() {
+    // Overlapping triggers share the probe already in flight
+    if (!probing && !stopped) {
+      probing = probeStatuses(client)
+        .then((statuses) => {
+          if (stopped) {
+            return;
+          }
+          Object.entries(statuses).forEach(([service, status]) => {
+            if (current[service] !== status) {
+              current[service] = status;
+              health.setStatus(service, status);
+              logger.info('Health status changed', { service: service || 'server', status });
+            }
+          });
+        })
+        .catch((error) => logger.error('Health check failed', { error }))
+        .finally(() => {
+          probing = null;
+        });
+    }
+    return probing;
+  }
+
+  ['ready', 'reconnecting', 'end'].forEach((event) => client.on(event, refresh));
+  const timer = setInterval(refresh, intervalMs);
+  timer.unref();
+  refresh();
+
+  // Stopping reports NOT_SERVING, so load balancers drain the server while it shuts down
+  function stop() {
+    stopped = true;
+    clearInterval(timer);
+    ['ready', 'reconnecting', 'end'].forEach((event) => client.off(event, refresh));
+    Object.keys(current).forEach((service) => {
+      current[service] = 'NOT_SERVING';
+      health.setStatus(service, 'NOT_SERVING');
+    });
+  }
+
+  return { refresh, stop };
+}
+
+module.exports = {
+  HEALTH_CHECK_INTERVAL_MS,
+  REQUIRED_INDEXES,
+  probeStatuses,
+  startHealthMonitor,
+};
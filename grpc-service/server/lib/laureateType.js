@@ -0,0 +1,73 @@
+// server/lib/laureateType.js
+
+// Kinds of laureate; organisations only win the peace prize so far
+const LAUREATE_TYPES = {
+  PERSON: 'person',
+  ORGANIZATION: 'organization',
+};
+
+/**
+ * Classifies a laureate as a person or an organisation. Ingestion stores the
+ * result as `type`; older documents without it are classified on the fly from
+ * what the source says: a v2 orgName, or the v1 gender ('org' for organisations).
+ * @param {Object} laureate - A laureate from a prize document.
+ * @returns {string} 'person' or 'organization'.
+ */
+function laureateType(laureate) {
+  if (laureate.type === LAUREATE_TYPES.PERSON || laureate.type === LAUREATE_TYPES.ORGANIZATION) {
+    return laureate.type;
+  }
+  if (laureate.orgName || laureate.gender === 'org') {
+    return LAUREATE_TYPES.ORGANIZATION;
+  }
+  // Mononymous people (Mother Teresa, Le Duc Tho) have no surname but do have a gender
+  if (laureate.gender) {
+    return LAUREATE_TYPES.PERSON;
+  }
+  // Last resort without a gender: the v1 API gives organisations their name as firstname and no surname
+  return laureate.firstname && !laureate.surname ? LAUREATE_TYPES.ORGANIZATION : LAUREATE_TYPES.PERSON;
+}
+
+/**
+ * Returns the name a laureate is known by: the organisation name, or
+ * "firstname surname" for a person.
+ * @param {Object} laureate - A laureate from a prize document.
+ * @returns {string} The display name.
+ */
+function displayName(laureate) {
+  if (laureateType(laureate) === LAUREATE_TYPES.ORGANIZATION) {
+    return laureate.orgName || laureate.firstname || laureate.fullname || '';
+  }
+  return `${laureate.firstname || ''} ${laureate.surname || ''}`.trim();
+}
+
+/**
+ * Marks a laureate with its type and, for organisations, a separate orgName so
+ * the organisation name can be indexed on its own.
+ * @param {Object} laureate - A laureate from the source data.
+ * @returns {Object} The annotated laureate.
+ */
+function annotateLaureateType(laureate) {
+  const type = laureateType(laureate);
+  if (type === LAUREATE_TYPES.ORGANIZATION) {
+    return { ...laureate, type, orgName: displayName(laureate), surname: laureate.surname || '' };
+  }
+  return { ...laureate, type };
+}
+
+/**
+ * Maps a laureate to the LaureateType proto enum name.
+ * @param {Object} laureate - A laureate from a prize document.
+ * @returns {string} 'PERSON' or 'ORGANIZATION'.
+ */
+function toLaureateTypeEnum(laureate) {
+  return laureateType(laureate) === LAUREATE_TYPES.ORGANIZATION ? 'ORGANIZATION' : 'PERSON';
+}
+
+module.exports = {
+  LAUREATE_TYPES,
+  laureateType,
+  displayName,
+  annotateLaureateType,
+  toLaureateTypeEnum,
+};
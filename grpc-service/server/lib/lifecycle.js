@@ -0,0 +1,181 @@
+// server/lib/lifecycle.js
+
+const {
+  ClientClosedError,
+  ClientOfflineError,
+  ConnectionTimeoutError,
+  DisconnectsClientError,
+  SocketClosedUnexpectedlyError,
+} = require('redis');
+const { probeStatuses } = require('./health');
+const { logger } = require('./logger');
+
+// First reconnect delay, doubled on every failed attempt, in milliseconds
+const RECONNECT_BASE_MS = 100;
+
+// Longest wait between reconnect attempts, in milliseconds
+const RECONNECT_MAX_MS = 10000;
+
+// Attempts at startup before the server gives up on Redis and its indexes
+const STARTUP_ATTEMPTS = 10;
+
+// How long SIGTERM waits for in-flight calls before cutting them off, in milliseconds.
+// Cloud Run kills the container 10 seconds after SIGTERM.
+const SHUTDOWN_TIMEOUT_MS = 8000;
+
+// Errors node-redis raises when it has no usable connection
+const CONNECTION_ERRORS = [
+  ClientClosedError,
+  ClientOfflineError,
+  ConnectionTimeoutError,
+  DisconnectsClientError,
+  SocketClosedUnexpectedlyError,
+];
+
+/**
+ * Computes an exponential backoff delay with jitter, so restarted servers do not
+ * reconnect in lockstep.
+ * @param {number} attempt - Zero-based attempt number.
+ * @param {number} baseMs - Delay of the first attempt.
+ * @param {number} maxMs - Longest delay.
+ * @returns {number} The delay in milliseconds.
+ */
+function backoffDelay(attempt, baseMs, maxMs) {
+  const delay = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Creates a node-redis reconnectStrategy with exponential backoff. Until the client
+ * has been ready once it gives up after startupAttempts, so connect() rejects and a
+ * misconfigured server fails fast; afterwards it retries for as long as it takes.
+ * @param {Object} [options] - Strategy options.
+ * @param {number} [options.baseMs=RECONNECT_BASE_MS] - First delay.
+ * @param {number} [options.maxMs=RECONNECT_MAX_MS] - Longest delay.
+ * @param {number} [options.startupAttempts=STARTUP_ATTEMPTS] - Attempts before the first connection.
+ * @returns {{strategy: Function, connected: Function}} The socket.reconnectStrategy, and a
+ * function to call on the client's 'ready' event.
+ */
+function createReconnectStrategy({
+  baseMs = RECONNECT_BASE_MS,
+  maxMs = RECONNECT_MAX_MS,
+  startupAttempts = STARTUP_ATTEMPTS,
+} = {}) {
+  let connectedOnce = false;
+
+  function strategy(retries, cause) {
+    if (!connectedOnce && retries + 1 >= startupAttempts) {
+      return new Error(`Could not connect to Redis after ${retries + 1} attempts: ${cause.message}`);
+    }
+    return backoffDelay(retries, baseMs, maxMs);
+  }
+
+  return {
+    strategy,
+    connected: () => {
+      connectedOnce = true;
+    },
+  };
+}
+
+/**
+ * Checks whether an error means Redis could not be reached, rather than that a
+ * command failed, so callers can be told to retry.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Error} error - The error.
+ * @returns {boolean} True if Redis is unavailable.
+ */
+function isRedisUnavailable(client, error) {
+  return !client.isReady || CONNECTION_ERRORS.some((ErrorClass) => error instanceof ErrorClass);
+}
+
+/**
+ * Waits until Redis answers and every index the services read exists, retrying
+ * with backoff. Meant for startup, after connect() has resolved.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} [options] - Wait options.
+ * @param {number} [options.attempts=STARTUP_ATTEMPTS] - Probes before giving up.
+ * @param {number} [options.baseMs=500] - Delay after the first failed probe.
+ * @param {number} [options.maxMs=RECONNECT_MAX_MS] - Longest delay between probes.
+ * @returns {Promise<void>} Rejects if the indexes are still missing after the last attempt.
+ */
+async function waitUntilReady(client, { attempts = STARTUP_ATTEMPTS, baseMs = 500, maxMs = RECONNECT_MAX_MS } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const statuses = await probeStatuses(client);
+    const missing = Object.keys(statuses).filter((service) => service && statuses[service] !== 'SERVING');
+    if (missing.length === 0) {
+      return;
+    }
+    if (attempt >= attempts) {
+      throw new Error(`Redis or the indexes of ${missing.join(', ')} not ready after ${attempts} attempts.`);
+    }
+    const delay = backoffDelay(attempt - 1, baseMs, maxMs);
+    logger.info('Waiting for Redis and the indexes', { services: missing, attempt, attempts, delayMs: delay });
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Shuts the server down on SIGTERM or SIGINT: health turns NOT_SERVING, the gRPC
+ * server and gateway stop accepting calls and drain the in-flight ones, which are
+ * cut off after timeoutMs, then Redis is closed, the pending spans are flushed and
+ * the process exits.
+ * @param {Object} resources - What to shut down.
+ * @param {grpc.Server} resources.server - The gRPC server.
+ * @param {http.Server} [resources.httpServer] - The HTTP gateway, when this process serves it.
+ * @param {{stop: Function}} resources.healthMonitor - From startHealthMonitor.
+ * @param {RedisClient} resources.redisClient - The Redis client instance.
+ * @param {{shutdown: Function}} resources.tracing - From startTracing.
+ * @param {Object} [options] - Shutdown options.
+ * @param {number} [options.timeoutMs=SHUTDOWN_TIMEOUT_MS] - Longest drain.
+ */
+function handleShutdownSignals({ server, httpServer, healthMonitor, redisClient, tracing }, { timeoutMs = SHUTDOWN_TIMEOUT_MS } = {}) {
+  let shuttingDown = false;
+
+  async function shutdown(signal) {
+    if (shuttingDown) {
+      return;
+    }
+    shuttingDown = true;
+    logger.info('Draining in-flight calls', { signal, timeoutMs });
+    healthMonitor.stop();
+
+    const deadline = setTimeout(() => {
+      logger.warn('Shutdown deadline reached: cancelling the remaining calls');
+      server.forceShutdown();
+      if (httpServer) {
+        httpServer.closeAllConnections();
+      }
+    }, timeoutMs);
+
+    await Promise.all([
+      new Promise((resolve) => server.tryShutdown(resolve)),
+      httpServer && new Promise((resolve) => {
+        httpServer.close(resolve);
+        httpServer.closeIdleConnections();
+      }),
+    ]);
+    clearTimeout(deadline);
+
+    try {
+      // QUIT waits for the replies still pending
+      await redisClient.quit();
+    } catch (error) {
+      await redisClient.disconnect().catch(() => {});
+    }
+    await tracing.shutdown().catch((error) => logger.error('Could not flush the pending spans', { error }));
+    logger.info('Shutdown complete');
+    process.exit(0);
+  }
+
+  ['SIGTERM', 'SIGINT'].forEach((signal) => process.once(signal, () => shutdown(signal)));
+}
+
+module.exports = {
+  SHUTDOWN_TIMEOUT_MS,
+  STARTUP_ATTEMPTS,
+  createReconnectStrategy,
+  isRedisUnavailable,
+  waitUntilReady,
+  handleShutdownSignals,
+};
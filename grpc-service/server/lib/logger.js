@@ -0,0 +1,102 @@
+// server/lib/logger.js
+
+const { AsyncLocalStorage } = require('async_hooks');
+const { trace, isSpanContextValid } = require('@opentelemetry/api');
+
+// Levels in increasing order of importance, with the severity Cloud Logging reads
+const LEVELS = {
+  debug: { rank: 10, severity: 'DEBUG' },
+  info: { rank: 20, severity: 'INFO' },
+  warn: { rank: 30, severity: 'WARNING' },
+  error: { rank: 40, severity: 'ERROR' },
+};
+
+// Request id and method of the call being served, for every line logged on its behalf
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Runs fn with a request context: lines logged from it, synchronously or from the
+ * promises it starts, carry the request id and method.
+ * @param {{requestId: string, method: string}} context - The call being served.
+ * @param {Function} fn - The function to run.
+ * @returns {*} What fn returns.
+ */
+function runWithRequestContext(context, fn) {
+  return requestContext.run(context, fn);
+}
+
+/**
+ * Turns a field value into something JSON.stringify keeps: errors lose their
+ * message and stack otherwise.
+ * @param {*} value - The field value.
+ * @returns {*} The value to log.
+ */
+function serializeField(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.code !== undefined ? { code: value.code } : {}),
+      stack: value.stack,
+    };
+  }
+  return value;
+}
+
+/**
+ * Creates a logger writing one JSON object per line: time, severity, message, the
+ * request context and trace of the current call if any, then the bindings and fields.
+ * Warnings and errors go to stderr, the rest to stdout.
+ * @param {Object} [options] - Logger options.
+ * @param {string} [options.level='info'] - Least important level written (debug, info, warn, error).
+ * @param {Object} [options.bindings] - Fields added to every line.
+ * @returns {Object} The logger: debug, info, warn and error take (message, fields), and
+ * child(bindings) returns a logger with more bindings.
+ */
+function createLogger({ level = 'info', bindings = {} } = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}"; use one of ${Object.keys(LEVELS).join(', ')}.`);
+  }
+  const minRank = LEVELS[level].rank;
+
+  function write(levelName, message, fields = {}) {
+    if (LEVELS[levelName].rank < minRank) {
+      return;
+    }
+    const entry = {
+      time: new Date().toISOString(),
+      severity: LEVELS[levelName].severity,
+      message,
+      ...requestContext.getStore(),
+    };
+    const spanContext = trace.getActiveSpan()?.spanContext();
+    if (spanContext && isSpanContextValid(spanContext)) {
+      entry.traceId = spanContext.traceId;
+      entry.spanId = spanContext.spanId;
+    }
+    Object.entries({ ...bindings, ...fields }).forEach(([name, value]) => {
+      entry[name] = serializeField(value);
+    });
+    const stream = LEVELS[levelName].rank >= LEVELS.warn.rank ? process.stderr : process.stdout;
+    stream.write(`${JSON.stringify(entry)}\n`);
+  }
+
+  return {
+    level,
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    child: (childBindings) => createLogger({ level, bindings: { ...bindings, ...childBindings } }),
+  };
+}
+
+// Logger shared by the server modules; LOG_LEVEL picks the least important level written
+const logger = createLogger({ level: process.env.LOG_LEVEL || 'info' });
+
+module.exports = {
+  LEVELS,
+  createLogger,
+  runWithRequestContext,
+  logger,
+};
@@ -0,0 +1,200 @@
+// server/lib/nameMatch.js
+
+const { MIN_PREFIX_LENGTH, MAX_TEXT_TERMS, QueryError } = require('./queryBuilder');
+
+// Candidates scoring below this are dropped unless the caller asks otherwise
+const DEFAULT_MIN_SCORE = 0.6;
+
+/**
+ * Folds a name for comparison: strips diacritics, lowercases, expands a few
+ * letters NFKD leaves alone, and turns punctuation into spaces.
+ * @param {string} name - The name to fold.
+ * @returns {string} The folded name, e.g. "Gérard Mourou" -> "gerard mourou".
+ */
+function foldName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/ß/g, 'ss')
+    .replace(/æ/g, 'ae')
+    .replace(/ø/g, 'o')
+    .replace(/ł/g, 'l')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9-]+/g, ' ')
+    .trim()
+    .replace(/\s+/g, ' ');
+}
+
+/**
+ * Splits a name into folded tokens. Hyphenated parts are kept both split and
+ * joined, so "Jean-Pierre" yields "jean", "pierre" and "jeanpierre".
+ * @param {string} name - The name to tokenize.
+ * @returns {Array<string>} The tokens.
+ */
+function nameTokens(name) {
+  const tokens = [];
+  foldName(name)
+    .split(' ')
+    .filter(Boolean)
+    .forEach((part) => {
+      const pieces = part.split('-').filter(Boolean);
+      tokens.push(...pieces);
+      if (pieces.length > 1) {
+        tokens.push(pieces.join(''));
+      }
+    });
+  return tokens;
+}
+
+/**
+ * Computes the optimal string alignment distance (Levenshtein plus adjacent
+ * transpositions), so "curei" is one edit away from "curie".
+ * @param {string} a - The first string.
+ * @param {string} b - The second string.
+ * @returns {number} The edit distance.
+ */
+function editDistance(a, b) {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Scores how well a query token matches a candidate token, from 0 to 1.
+ * Exact matches score 1, prefixes score at least 0.85, and anything else
+ * scores by edit distance relative to the longer token.
+ * @param {string} query - The folded query token.
+ * @param {string} candidate - The folded candidate token.
+ * @returns {number} The token score.
+ */
+function tokenScore(query, candidate) {
+  if (query === candidate) {
+    return 1;
+  }
+  if (query.length >= 2 && candidate.startsWith(query)) {
+    return 0.85 + 0.15 * (query.length / candidate.length);
+  }
+  const distance = editDistance(query, candidate);
+  return Math.max(0, 1 - distance / Math.max(query.length, candidate.length));
+}
+
+/**
+ * Scores a candidate name against a query name, from 0 to 1. Every query token
+ * is matched with its best candidate token; extra candidate tokens (middle
+ * names) cost only a little, so "Marie Curie" still finds "Marie Skłodowska Curie".
+ * @param {string} query - The name being searched for.
+ * @param {string} candidate - A laureate name.
+ * @returns {number} The match score.
+ */
+function scoreName(query, candidate) {
+  const queryTokens = nameTokens(query);
+  const candidateTokens = nameTokens(candidate);
+  if (queryTokens.length === 0 || candidateTokens.length === 0) {
+    return 0;
+  }
+  const total = queryTokens.reduce(
+    (sum, token) => sum + Math.max(...candidateTokens.map((candidateToken) => tokenScore(token, candidateToken))),
+    0
+  );
+  const unmatched = Math.max(0, candidateTokens.length - queryTokens.length);
+  return (total / queryTokens.length) * (1 - 0.02 * unmatched);
+}
+
+/**
+ * Lists the names a laureate can be found by.
+ * @param {Object} laureate - A laureate from a prize document.
+ * @returns {Array<string>} The candidate names.
+ */
+function laureateNames(laureate) {
+  const names = [`${laureate.firstname || ''} ${laureate.surname || ''}`.trim()];
+  if (laureate.surname) {
+    names.push(laureate.surname);
+  }
+  if (laureate.fullname) {
+    names.push(laureate.fullname);
+  }
+  (laureate.altNames || []).forEach((name) => names.push(name));
+  return names.filter(Boolean);
+}
+
+/**
+ * Scores a laureate against a query using the best of its names.
+ * @param {string} query - The name being searched for.
+ * @param {Object} laureate - A laureate from a prize document.
+ * @returns {number} The match score.
+ */
+function scoreLaureate(query, laureate) {
+  return Math.max(0, ...laureateNames(laureate).map((name) => scoreName(query, name)));
+}
+
+/**
+ * Builds the text folded into the searchName field at ingestion, so
+ * RediSearch can match names without diacritics.
+ * @param {Object} laureate - A laureate from a prize document.
+ * @returns {string} The folded search text.
+ */
+function searchNameFor(laureate) {
+  return [...new Set(laureateNames(laureate).flatMap(nameTokens))].join(' ');
+}
+
+/**
+ * Builds a RediSearch query that recalls candidates for a name: each token is
+ * matched as a prefix and, when long enough, with fuzzy edit distance. Tokens
+ * are folded to [a-z0-9], so nothing needs escaping; short tokens are matched
+ * exactly so they cannot expand to most of the index.
+ * @param {string} name - The name being searched for.
+ * @returns {string|null} The query, or null if the name has no usable tokens.
+ */
+function buildNameSearchQuery(name) {
+  const tokens = nameTokens(name);
+  if (tokens.length > MAX_TEXT_TERMS) {
+    throw new QueryError(`Names may contain at most ${MAX_TEXT_TERMS} parts.`);
+  }
+
+  const terms = [];
+  tokens.forEach((token) => {
+    if (token.length >= MIN_PREFIX_LENGTH) {
+      terms.push(`${token}*`);
+    } else {
+      terms.push(token);
+    }
+    if (token.length >= 7) {
+      terms.push(`%%${token}%%`);
+    } else if (token.length >= 4) {
+      terms.push(`%${token}%`);
+    }
+  });
+  if (terms.length === 0) {
+    return null;
+  }
+  return `@searchName:(${[...new Set(terms)].join('|')})`;
+}
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  foldName,
+  nameTokens,
+  editDistance,
+  scoreName,
+  scoreLaureate,
+  searchNameFor,
+  buildNameSearchQuery,
+};
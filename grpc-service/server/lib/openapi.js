@@ -0,0 +1,170 @@
+// server/lib/openapi.js
+
+// JSON Schema for each protobuf scalar type (64-bit integers are loaded as strings)
+const SCALAR_SCHEMAS = {
+  TYPE_STRING: { type: 'string' },
+  TYPE_BOOL: { type: 'boolean' },
+  TYPE_INT32: { type: 'integer', format: 'int32' },
+  TYPE_SINT32: { type: 'integer', format: 'int32' },
+  TYPE_SFIXED32: { type: 'integer', format: 'int32' },
+  TYPE_UINT32: { type: 'integer', format: 'int64', minimum: 0 },
+  TYPE_FIXED32: { type: 'integer', format: 'int64', minimum: 0 },
+  TYPE_INT64: { type: 'string', format: 'int64' },
+  TYPE_SINT64: { type: 'string', format: 'int64' },
+  TYPE_SFIXED64: { type: 'string', format: 'int64' },
+  TYPE_UINT64: { type: 'string', format: 'uint64' },
+  TYPE_FIXED64: { type: 'string', format: 'uint64' },
+  TYPE_DOUBLE: { type: 'number', format: 'double' },
+  TYPE_FLOAT: { type: 'number', format: 'float' },
+  TYPE_BYTES: { type: 'string', format: 'byte' },
+};
+
+// Body of every error response
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    code: { type: 'integer', description: 'The gRPC status code.' },
+    status: { type: 'string', description: 'The gRPC status name, e.g. INVALID_ARGUMENT.' },
+    message: { type: 'string' },
+  },
+};
+
+/**
+ * Resolves the type name of a message or enum field to its packageDefinition key.
+ * @param {string} typeName - The field's typeName, e.g. "Laureate" or ".google.protobuf.Empty".
+ * @param {string} packageName - The package the field was declared in.
+ * @returns {string} The fully qualified name, e.g. "prize.Laureate".
+ */
+function qualifiedName(typeName, packageName) {
+  if (typeName.startsWith('.')) {
+    return typeName.slice(1);
+  }
+  return typeName.includes('.') ? typeName : `${packageName}.${typeName}`;
+}
+
+/**
+ * Builds the JSON Schema of a single field, registering the messages and enums it
+ * refers to in the components collected so far.
+ * @param {Object} field - A field of a DescriptorProto.
+ * @param {Object} context - The packageDefinition, package name and collected schemas.
+ * @returns {Object} The field schema.
+ */
+function fieldSchema(field, context) {
+  let schema;
+  if (field.type === 'TYPE_MESSAGE' || field.type === 'TYPE_ENUM') {
+    const name = qualifiedName(field.typeName, context.packageName);
+    addSchema(name, context);
+    schema = { $ref: `#/components/schemas/${name}` };
+  } else {
+    schema = { ...(SCALAR_SCHEMAS[field.type] || { type: 'string' }) };
+  }
+  return field.label === 'LABEL_REPEATED' ? { type: 'array', items: schema } : schema;
+}
+
+/**
+ * Adds the schema of a message or enum, and everything it refers to, to the components.
+ * @param {string} name - The fully qualified type name.
+ * @param {Object} context - The packageDefinition, package name and collected schemas.
+ */
+function addSchema(name, context) {
+  if (context.schemas[name]) {
+    return;
+  }
+  const definition = context.packageDefinition[name];
+  if (!definition) {
+    context.schemas[name] = { type: 'object' };
+    return;
+  }
+
+  if (definition.format.endsWith('EnumDescriptorProto')) {
+    context.schemas[name] = { type: 'string', enum: definition.type.value.map((value) => value.name) };
+    return;
+  }
+
+  // Registered before the fields so self-referencing messages terminate
+  const schema = { type: 'object', properties: {} };
+  context.schemas[name] = schema;
+  const packageName = name.slice(0, name.lastIndexOf('.'));
+  definition.type.field.forEach((field) => {
+    schema.properties[field.name] = fieldSchema(field, { ...context, packageName });
+  });
+}
+
+/**
+ * Builds the parameters of a route: its path parameters, then every other request
+ * field as an optional query parameter.
+ * @param {Object} route - A gateway route.
+ * @param {Object} requestType - The DescriptorProto of the request message.
+ * @param {Object} context - The packageDefinition, package name and collected schemas.
+ * @returns {Array<Object>} The OpenAPI parameters.
+ */
+function routeParameters(route, requestType, context) {
+  const pathParams = (route.path.match(/\{(\w+)\}/g) || []).map((param) => param.slice(1, -1));
+  return requestType.field.map((field) => {
+    const inPath = pathParams.includes(field.name);
+    return {
+      name: field.name,
+      in: inPath ? 'path' : 'query',
+      required: inPath,
+      schema: fieldSchema(field, context),
+      ...(field.label === 'LABEL_REPEATED' ? { style: 'form', explode: true } : {}),
+    };
+  });
+}
+
+/**
+ * Generates an OpenAPI 3 document for the gateway routes from the loaded .proto, so
+ * the document always describes the messages the gRPC services actually use.
+ * @param {Object} packageDefinition - The proto-loader packageDefinition.
+ * @param {Array<Object>} routes - The gateway routes ({ path, service, method, summary }).
+ * @param {Object} options - Document options.
+ * @param {string} options.packageName - The proto package, e.g. "prize".
+ * @param {string} options.title - The API title.
+ * @param {string} [options.version='1.0.0'] - The API version.
+ * @returns {Object} The OpenAPI document.
+ */
+function buildOpenApiDocument(packageDefinition, routes, { packageName, title, version = '1.0.0' }) {
+  const context = { packageDefinition, packageName, schemas: {} };
+  const paths = {};
+
+  routes.forEach((route) => {
+    const method = packageDefinition[`${packageName}.${route.service}`][route.method];
+    const responseName = qualifiedName(method.responseType.type.name, packageName);
+    addSchema(responseName, context);
+
+    paths[route.path] = {
+      get: {
+        operationId: route.method,
+        summary: route.summary,
+        tags: [route.service],
+        parameters: routeParameters(route, method.requestType.type, context),
+        responses: {
+          200: {
+            description: 'OK',
+            content: { 'application/json': { schema: { $ref: `#/components/schemas/${responseName}` } } },
+          },
+          default: {
+            description: 'Error, with the HTTP status mapped from the gRPC status',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+          },
+        },
+      },
+    };
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title,
+      version,
+      description: `Generated from the ${packageName} .proto. Every route calls the gRPC method named by its operationId.`,
+    },
+    paths,
+    components: { schemas: { ...context.schemas, Error: ERROR_SCHEMA } },
+  };
+}
+
+module.exports = {
+  qualifiedName,
+  buildOpenApiDocument,
+};
@@ -0,0 +1,179 @@
+// server/lib/pagination.js
+
+const crypto = require('crypto');
+const { MAX_RESULTS, searchOptions, checkResultSize } = require('./queryBuilder');
+
+// Page size used when a request leaves page_size unset
+const DEFAULT_PAGE_SIZE = 100;
+
+// Largest page a single response may carry
+const MAX_PAGE_SIZE = 1000;
+
+// Documents fetched per FT.SEARCH round trip when reading a whole result set
+const SEARCH_CHUNK_SIZE = 1000;
+
+// Request fields that select a page rather than the result set
+const PAGE_FIELDS = ['page_size', 'page_token'];
+
+/**
+ * Runs FT.SEARCH and yields the matching documents one chunk at a time, following
+ * LIMIT offsets until the result set is exhausted. Callers that stop iterating
+ * stop querying Redis. Every round trip carries the query timeout.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {string} indexName - The index to search.
+ * @param {string} query - The RediSearch query.
+ * @param {Object} [options] - FT.SEARCH options; LIMIT is managed here.
+ * @param {Object} [paging] - How to read the result set.
+ * @param {number} [paging.chunkSize=SEARCH_CHUNK_SIZE] - Documents per round trip.
+ * @param {number} [paging.maxResults] - Reject result sets larger than this.
+ * @yields {Array} The documents of each chunk.
+ */
+async function* searchPages(client, indexName, query, options = {}, { chunkSize = SEARCH_CHUNK_SIZE, maxResults } = {}) {
+  for (let from = 0; ; from += chunkSize) {
+    const results = await client.ft.search(indexName, query, searchOptions({
+      ...options,
+      LIMIT: { from, size: chunkSize },
+    }));
+    if (from === 0 && maxResults !== undefined) {
+      checkResultSize(results.total, maxResults);
+    }
+    if (results.documents.length > 0) {
+      yield results.documents;
+    }
+    if (results.documents.length < chunkSize || from + chunkSize >= results.total) {
+      return;
+    }
+  }
+}
+
+/**
+ * Runs FT.SEARCH and reads every matching document, so nothing is silently cut
+ * off at the first chunk. Result sets too large to hold in memory are rejected.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {string} indexName - The index to search.
+ * @param {string} query - The RediSearch query.
+ * @param {Object} [options] - FT.SEARCH options; LIMIT is managed here.
+ * @returns {Promise<{total: number, documents: Array}>} Every matching document.
+ */
+async function searchAll(client, indexName, query, options = {}) {
+  const documents = [];
+  for await (const chunk of searchPages(client, indexName, query, options, { maxResults: MAX_RESULTS })) {
+    documents.push(...chunk);
+  }
+  return { total: documents.length, documents };
+}
+
+/**
+ * Fingerprints the parts of a request that select the result set, so a token
+ * cannot be replayed against a different query.
+ * @param {Object} request - The gRPC request.
+ * @returns {string} A short fingerprint.
+ */
+function requestFingerprint(request) {
+  const selection = Object.keys(request)
+    .filter((field) => !PAGE_FIELDS.includes(field))
+    .sort()
+    .map((field) => [field, request[field]]);
+  return crypto.createHash('sha1').update(JSON.stringify(selection)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Encodes a page token: the fingerprint of the request and the sort key of the
+ * last item returned.
+ * @param {string} fingerprint - The request fingerprint.
+ * @param {Array} after - The sort key of the last item on the page.
+ * @returns {string} The opaque token.
+ */
+function encodePageToken(fingerprint, after) {
+  return Buffer.from(JSON.stringify({ q: fingerprint, after })).toString('base64url');
+}
+
+/**
+ * Decodes a page token.
+ * @param {string} token - The token from a previous response.
+ * @returns {{q: string, after: Array}|null} The decoded token, or null if it is malformed.
+ */
+function decodePageToken(token) {
+  try {
+    const decoded = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    return decoded && typeof decoded.q === 'string' && Array.isArray(decoded.after) ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Compares two sort keys element by element.
+ * @param {Array} a - The first key.
+ * @param {Array} b - The second key.
+ * @returns {number} Negative, zero or positive.
+ */
+function compareKeys(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === b[i]) {
+      continue;
+    }
+    if (a[i] === undefined) {
+      return -1;
+    }
+    if (b[i] === undefined) {
+      return 1;
+    }
+    return a[i] < b[i] ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Cuts one page out of a full result set. Pages are keyset-based: the token
+ * remembers the sort key of the last item returned, not an offset, so documents
+ * added or removed by a running ingestion never shift or repeat later pages.
+ * @param {Array} items - Every item in the result set.
+ * @param {Object} options - Paging options.
+ * @param {Object} options.request - The gRPC request, with page_size and page_token.
+ * @param {Function} options.keyOf - Returns the unique sort key (an array) of an item.
+ * @returns {{items: Array, total: number, next_page_token: string, error: string|null}} The page,
+ * or an error message when the page size or token is invalid.
+ */
+function paginate(items, { request, keyOf }) {
+  const pageSize = request.page_size || DEFAULT_PAGE_SIZE;
+  if (pageSize < 0 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `page_size must be between 0 (default ${DEFAULT_PAGE_SIZE}) and ${MAX_PAGE_SIZE}.` };
+  }
+
+  const fingerprint = requestFingerprint(request);
+  let after = null;
+  if (request.page_token) {
+    const decoded = decodePageToken(request.page_token);
+    if (!decoded) {
+      return { error: 'page_token is malformed.' };
+    }
+    if (decoded.q !== fingerprint) {
+      return { error: 'page_token does not belong to this request.' };
+    }
+    after = decoded.after;
+  }
+
+  const sorted = items
+    .map((item) => ({ item, key: keyOf(item) }))
+    .sort((a, b) => compareKeys(a.key, b.key));
+  const remaining = after ? sorted.filter(({ key }) => compareKeys(key, after) > 0) : sorted;
+  const page = remaining.slice(0, pageSize);
+
+  return {
+    items: page.map(({ item }) => item),
+    total: sorted.length,
+    next_page_token: remaining.length > pageSize ? encodePageToken(fingerprint, page[page.length - 1].key) : '',
+    error: null,
+  };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  searchPages,
+  searchAll,
+  encodePageToken,
+  decodePageToken,
+  paginate,
+};
@@ -0,0 +1,83 @@
+// server/lib/profiles.js
+
+const { laureateType, displayName, toLaureateTypeEnum } = require('./laureateType');
+
+// Laureate profiles: one document per laureate id with back-references to the prize documents
+const PROFILE_PREFIX = 'profile:';
+
+/**
+ * Returns the Redis key of a laureate profile.
+ * @param {string} id - The laureate id.
+ * @returns {string} The profile key.
+ */
+function profileKey(id) {
+  return `${PROFILE_PREFIX}${id}`;
+}
+
+/**
+ * Builds laureate profiles from prize documents. Laureates who appear in several
+ * prizes (e.g. Marie Curie, Linus Pauling) get one profile listing every prize.
+ * @param {Map<string, Object>} prizeDocuments - Prize documents keyed by Redis key.
+ * @returns {Map<string, Object>} The profiles keyed by Redis key.
+ */
+function buildProfileDocuments(prizeDocuments) {
+  const profiles = new Map();
+
+  for (const [prizeKey, prize] of prizeDocuments) {
+    for (const laureate of prize.laureates || []) {
+      const key = profileKey(laureate.id);
+      if (!profiles.has(key)) {
+        profiles.set(key, {
+          id: laureate.id,
+          type: laureateType(laureate),
+          firstname: laureate.firstname || '',
+          surname: laureate.surname || '',
+          fullname: laureate.fullname || displayName(laureate),
+          prizeCount: 0,
+          prizes: [],
+        });
+      }
+
+      const profile = profiles.get(key);
+      profile.prizes.push({
+        key: prizeKey,
+        year: String(prize.year),
+        category: prize.category,
+        motivation: laureate.motivation || '',
+        share: laureate.share || '',
+      });
+      profile.prizeCount = profile.prizes.length;
+    }
+  }
+
+  // Keep back-references in award order so profile hashes do not depend on input order
+  profiles.forEach((profile) => {
+    profile.prizes.sort((a, b) => Number(a.year) - Number(b.year) || a.category.localeCompare(b.category));
+  });
+
+  return profiles;
+}
+
+/**
+ * Converts a stored profile into a LaureateProfile message.
+ * @param {Object} profile - The profile document.
+ * @returns {Object} The LaureateProfile message.
+ */
+function toLaureateProfile(profile) {
+  return {
+    id: profile.id,
+    type: toLaureateTypeEnum(profile),
+    firstname: profile.firstname,
+    surname: profile.surname,
+    fullname: profile.fullname,
+    prizeCount: profile.prizeCount,
+    prizes: profile.prizes || [],
+  };
+}
+
+module.exports = {
+  PROFILE_PREFIX,
+  profileKey,
+  buildProfileDocuments,
+  toLaureateProfile,
+};
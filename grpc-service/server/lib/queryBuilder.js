@@ -0,0 +1,269 @@
+// server/lib/queryBuilder.js
+
+const { stem } = require('./stemmer');
+
+// Shortest stem a prefix query (e.g. "cat*") may use; shorter stems expand to too many terms
+const MIN_PREFIX_LENGTH = 3;
+
+// Most terms a single text filter may combine
+const MAX_TEXT_TERMS = 8;
+
+// Most values a single TAG filter may combine
+const MAX_TAG_VALUES = 10;
+
+// Longest single TAG value or text term accepted
+const MAX_TOKEN_LENGTH = 64;
+
+// Most documents a query may read into memory before it has to be narrowed
+const MAX_RESULTS = 5000;
+
+// Server-side FT.SEARCH timeout in milliseconds
+const QUERY_TIMEOUT_MS = 2000;
+
+// Anything but letters, digits and underscores is query syntax to RediSearch
+const SPECIAL_CHARACTERS = /[^\p{L}\p{N}_]/gu;
+
+// A plain word with a trailing "*", which textTerms turns into a prefix query
+const PREFIX_TERM = /^[\p{L}\p{N}_]+\*+$/u;
+
+// RediSearch's default stopwords, which it neither indexes nor searches for
+const STOPWORDS = new Set([
+  'a', 'is', 'the', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in', 'into', 'it', 'no',
+  'not', 'of', 'on', 'or', 'such', 'that', 'their', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+  'will', 'with',
+]);
+
+/**
+ * Raised when user input cannot be turned into a safe query.
+ * The gRPC server reports it as INVALID_ARGUMENT.
+ */
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+/**
+ * Escapes every RediSearch special character in a token with a backslash.
+ * @param {string} token - The raw token.
+ * @returns {string} The escaped token.
+ */
+function escapeToken(token) {
+  return token.replace(SPECIAL_CHARACTERS, '\\$&');
+}
+
+/**
+ * Checks the length of a single user-supplied token.
+ * @param {string} token - The token.
+ * @param {string} what - What the token is, for the error message.
+ */
+function checkTokenLength(token, what) {
+  if (token.length > MAX_TOKEN_LENGTH) {
+    throw new QueryError(`${what} must be at most ${MAX_TOKEN_LENGTH} characters.`);
+  }
+}
+
+/**
+ * Builds a TAG filter matching any of the given values, e.g. @category:{chemistry | physics}.
+ * @param {string} field - The TAG field.
+ * @param {string|Array<string>} values - The value or values to match.
+ * @returns {string|null} The filter, or null when no values were given.
+ */
+function tagFilter(field, values) {
+  const list = (Array.isArray(values) ? values : [values])
+    .filter((value) => value !== undefined && value !== null)
+    .map((value) => String(value).trim())
+    .filter(Boolean);
+  if (list.length === 0) {
+    return null;
+  }
+  if (list.length > MAX_TAG_VALUES) {
+    throw new QueryError(`At most ${MAX_TAG_VALUES} ${field} values may be combined.`);
+  }
+  list.forEach((value) => checkTokenLength(value, `A ${field} value`));
+  return `@${field}:{${list.map(escapeToken).join(' | ')}}`;
+}
+
+/**
+ * Builds a NUMERIC range filter, e.g. @year:[2000 2010]. Either bound may be omitted;
+ * 0, the proto3 default, counts as omitted.
+ * @param {string} field - The NUMERIC field.
+ * @param {number} [min] - The inclusive lower bound.
+ * @param {number} [max] - The inclusive upper bound.
+ * @returns {string|null} The filter, or null when neither bound was given.
+ */
+function numericFilter(field, min, max) {
+  const bound = (value, name) => {
+    if (value === undefined || value === null || value === 0) {
+      return null;
+    }
+    if (!Number.isInteger(Number(value))) {
+      throw new QueryError(`${name} must be a whole number.`);
+    }
+    return Number(value);
+  };
+  const low = bound(min, `The lower ${field} bound`);
+  const high = bound(max, `The upper ${field} bound`);
+  if (low === null && high === null) {
+    return null;
+  }
+  if (low !== null && high !== null && low > high) {
+    throw new QueryError(`The lower ${field} bound must not be above the upper bound.`);
+  }
+  return `@${field}:[${low === null ? '-inf' : low} ${high === null ? '+inf' : high}]`;
+}
+
+/**
+ * Splits free text into query terms. A trailing "*" on a plain word makes it a
+ * prefix query, which needs at least MIN_PREFIX_LENGTH characters before the "*";
+ * every other special character is escaped so it is matched literally.
+ * @param {string} text - The user-supplied text.
+ * @param {Object} [options] - Term options.
+ * @param {boolean} [options.allowPrefix=true] - Whether trailing "*" is honoured.
+ * @returns {Array<string>} The escaped terms.
+ */
+function textTerms(text, { allowPrefix = true } = {}) {
+  const tokens = String(text || '').trim().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) {
+    throw new QueryError('Search text cannot be empty.');
+  }
+  if (tokens.length > MAX_TEXT_TERMS) {
+    throw new QueryError(`Search text may contain at most ${MAX_TEXT_TERMS} terms.`);
+  }
+
+  return tokens.map((token) => {
+    checkTokenLength(token, 'A search term');
+    if (!allowPrefix || !token.endsWith('*')) {
+      return escapeToken(token);
+    }
+    const stem = token.replace(/\*+$/, '');
+    if (stem === '') {
+      throw new QueryError('Wildcard-only search terms are not allowed.');
+    }
+    if (stem.search(SPECIAL_CHARACTERS) !== -1) {
+      // Only plain words can be prefixes; anything else is matched literally
+      return escapeToken(token);
+    }
+    if (stem.length < MIN_PREFIX_LENGTH) {
+      throw new QueryError(`Prefix searches need at least ${MIN_PREFIX_LENGTH} letters before "*".`);
+    }
+    return `${stem}*`;
+  });
+}
+
+/**
+ * Builds a TEXT filter requiring every term, e.g. @motivation:(gene edit*). Given
+ * several fields, the terms may occur in any of them, e.g. @motivation|overallMotivation:(war).
+ * @param {string|Array<string>} field - The TEXT field or fields.
+ * @param {string} text - The user-supplied text.
+ * @param {Object} [options] - Passed on to textTerms.
+ * @returns {string} The filter.
+ */
+function textFilter(field, text, options) {
+  const fields = Array.isArray(field) ? field.join('|') : field;
+  return `@${fields}:(${textTerms(text, options).join(' ')})`;
+}
+
+/**
+ * Builds a TEXT filter matching the words in order, e.g. @firstname:"marie".
+ * @param {string} field - The TEXT field.
+ * @param {string} text - The user-supplied text.
+ * @returns {string} The filter.
+ */
+function phraseFilter(field, text) {
+  return `@${field}:"${textTerms(text, { allowPrefix: false }).join(' ')}"`;
+}
+
+/**
+ * Joins filters into one query; with no filters every document matches.
+ * @param {Array<string|null>} filters - Filters from the builders above.
+ * @returns {string} The query.
+ */
+function buildQuery(filters) {
+  const parts = filters.filter(Boolean);
+  return parts.length > 0 ? parts.join(' ') : '*';
+}
+
+/**
+ * Checks whether text matches every term of a keyword search the way the index does:
+ * words are compared case-insensitively and by their English stems ("discoveries"
+ * matches "discovery"), a trailing "*" matches the start of a word, and stopwords
+ * are ignored. Documents can then be narrowed to the laureates that matched.
+ * @param {string} text - The text to check (e.g. a motivation).
+ * @param {string} keyword - The user-supplied search text.
+ * @returns {boolean} True when every term occurs.
+ */
+function matchesKeyword(text, keyword) {
+  const words = String(text || '').toLowerCase().split(SPECIAL_CHARACTERS).filter(Boolean);
+  const stems = new Set(words.map(stem));
+  return String(keyword || '')
+    .toLowerCase()
+    .trim()
+    .split(/\s+/)
+    .filter((term) => term && !STOPWORDS.has(term))
+    .every((term) => {
+      if (PREFIX_TERM.test(term)) {
+        const prefix = term.replace(/\*+$/, '');
+        return words.some((word) => word.startsWith(prefix));
+      }
+      // The index expands a term to itself and its stem, and stores each word with its stem
+      return words.includes(term) || words.includes(stem(term)) || stems.has(stem(term));
+    });
+}
+
+/**
+ * Validates a caller-supplied result limit.
+ * @param {number} value - The requested limit; 0 or unset means the default.
+ * @param {number} defaultValue - The limit used when none is given.
+ * @param {number} max - The largest limit allowed.
+ * @returns {number} The limit to use.
+ */
+function resultLimit(value, defaultValue, max) {
+  if (!value) {
+    return defaultValue;
+  }
+  if (!Number.isInteger(Number(value)) || value < 0) {
+    throw new QueryError('limit must be a positive whole number.');
+  }
+  return Math.min(Number(value), max);
+}
+
+/**
+ * Adds the guardrails every FT.SEARCH call gets.
+ * @param {Object} [options] - FT.SEARCH options.
+ * @returns {Object} The options with TIMEOUT set.
+ */
+function searchOptions(options = {}) {
+  return { TIMEOUT: QUERY_TIMEOUT_MS, ...options };
+}
+
+/**
+ * Rejects queries that would read more documents into memory than allowed.
+ * @param {number} total - The number of matching documents.
+ * @param {number} [max=MAX_RESULTS] - The largest number allowed.
+ */
+function checkResultSize(total, max = MAX_RESULTS) {
+  if (total > max) {
+    throw new QueryError(`The query matches ${total} documents (at most ${max}); narrow it down.`);
+  }
+}
+
+module.exports = {
+  MIN_PREFIX_LENGTH,
+  MAX_TEXT_TERMS,
+  MAX_RESULTS,
+  QUERY_TIMEOUT_MS,
+  QueryError,
+  escapeToken,
+  tagFilter,
+  numericFilter,
+  textTerms,
+  textFilter,
+  phraseFilter,
+  buildQuery,
+  matchesKeyword,
+  resultLimit,
+  searchOptions,
+  checkResultSize,
+};
@@ -0,0 +1,219 @@
+// server/lib/rateLimit.js
+
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+const { principalOf } = require('./auth');
+const { logger } = require('./logger');
+
+// Prefix of the Redis hashes holding the token buckets, followed by the caller
+const RATE_LIMIT_PREFIX = 'ratelimit:';
+
+// Refills a token bucket and takes the call's cost from it in one atomic step.
+// Redis' clock is used so every server instance agrees on the refill.
+// KEYS[1] = bucket; ARGV = capacity, refill per second, cost.
+// Returns { allowed (0/1), milliseconds until the cost is available, tokens left }.
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local rate = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(bucket[1]) or capacity
+local ts = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate / 1000)
+local allowed = 0
+local retryAfter = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retryAfter = math.ceil((cost - tokens) * 1000 / rate)
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity * 1000 / rate) + 1000)
+return { allowed, retryAfter, math.floor(tokens) }
+`;
+
+/**
+ * Raised when a call exceeds its caller's quota. The server reports it as
+ * RESOURCE_EXHAUSTED with retry-after metadata.
+ */
+class RateLimitError extends Error {
+  constructor(message, retryAfterMs) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.code = grpc.status.RESOURCE_EXHAUSTED;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Checks that a bucket setting has a positive capacity and refill rate.
+ * @param {Object} bucket - { capacity, refillPerSecond }.
+ * @param {string} label - Where the setting came from, for the error message.
+ */
+function validateBucket(bucket, label) {
+  if (!(bucket && bucket.capacity > 0 && bucket.refillPerSecond > 0)) {
+    throw new Error(`Rate limit ${label} needs a positive capacity and refillPerSecond.`);
+  }
+}
+
+/**
+ * Reads and validates the rate limit configuration file.
+ * @param {string} file - Path to the JSON file.
+ * @returns {{enabled: boolean, bucket: Object, clients: Object, costs: Object}} The configuration.
+ */
+function loadRateLimitConfig(file) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const clients = config.clients || {};
+  const costs = { default: 1, ...config.costs };
+
+  validateBucket(config.bucket, 'bucket');
+  Object.entries(clients).forEach(([client, bucket]) => validateBucket(bucket, `for client "${client}"`));
+  // A call costing more than a full bucket could never be admitted
+  const smallestCapacity = Math.min(config.bucket.capacity, ...Object.values(clients).map((bucket) => bucket.capacity));
+  Object.entries(costs).forEach(([method, cost]) => {
+    if (!(cost >= 0) || cost > smallestCapacity) {
+      throw new Error(`Rate limit cost of ${method} must be between 0 and ${smallestCapacity}.`);
+    }
+  });
+
+  return { enabled: config.enabled !== false, bucket: config.bucket, clients, costs };
+}
+
+/**
+ * Strips the port from a gRPC peer address, so every connection from a host shares its bucket.
+ * @param {string} peer - The peer, e.g. "10.0.0.7:53412" or "::1:53412".
+ * @returns {string} The address.
+ */
+function peerAddress(peer) {
+  return String(peer).replace(/:\d+$/, '');
+}
+
+/**
+ * Finds the address of the client behind the trusted proxies in front of the server.
+ * Each proxy appends the address it received the call from to x-forwarded-for, so
+ * only the last trustedProxies entries can be believed; earlier ones may be forged.
+ * @param {grpc.Metadata} metadata - The call metadata.
+ * @param {string} peer - The address the call arrived from.
+ * @param {number} trustedProxies - Number of proxies between the clients and the server.
+ * @returns {string} The client address, or peer without trusted proxies or x-forwarded-for.
+ */
+function clientAddress(metadata, peer, trustedProxies) {
+  if (trustedProxies === 0) {
+    return peer;
+  }
+  const hops = metadata.get('x-forwarded-for')
+    .join(',')
+    .split(',')
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+  return hops[Math.max(0, hops.length - trustedProxies)] || peer;
+}
+
+/**
+ * Creates a token-bucket rate limiter stored in Redis, so the limits hold across
+ * every server instance sharing the database. Authenticated callers get a bucket
+ * per credential (sized by the "clients" entry for their name, if any); anonymous
+ * callers get one per client address. If Redis cannot be reached calls are let through.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} config - From loadRateLimitConfig.
+ * @param {Object} [options] - Deployment options.
+ * @param {number} [options.trustedProxies=0] - Proxies in front of the server (e.g. 1 on
+ * Cloud Run). Without them every anonymous caller would share the proxy's bucket.
+ * @returns {{enabled: boolean, limit: Function}} The rate limiter.
+ */
+function createRateLimiter(client, config, { trustedProxies = 0 } = {}) {
+  /**
+   * Takes the cost of a call from its caller's bucket.
+   * @param {string} path - The full method path, e.g. "/prize.PrizeService/GetPrize".
+   * @param {grpc.Metadata} metadata - The call metadata, after authorization.
+   * @param {string} peer - The address the call arrived from; see clientAddress.
+   * @returns {Promise<void>} Rejects with a RateLimitError when the bucket is empty.
+   */
+  async function limit(path, metadata, peer) {
+    const method = path.slice(path.lastIndexOf('/') + 1);
+    const cost = method in config.costs ? config.costs[method] : config.costs.default;
+    if (!config.enabled || cost === 0) {
+      return;
+    }
+
+    const principal = principalOf(metadata);
+    const caller = principal ? principal.id : `peer:${clientAddress(metadata, peer, trustedProxies)}`;
+    const bucket = (principal && config.clients[principal.subject]) || config.bucket;
+
+    let allowed;
+    let retryAfterMs;
+    try {
+      [allowed, retryAfterMs] = await client.eval(TOKEN_BUCKET_SCRIPT, {
+        keys: [`${RATE_LIMIT_PREFIX}${caller}`],
+        arguments: [String(bucket.capacity), String(bucket.refillPerSecond), String(cost)],
+      });
+    } catch (error) {
+      // Rate limiting must not take the service down with Redis
+      logger.error('Rate limiter could not update the bucket', { error: error.message });
+      return;
+    }
+    if (!allowed) {
+      throw new RateLimitError(`Rate limit exceeded for ${method}; retry in ${retryAfterMs} ms.`, retryAfterMs);
+    }
+  }
+
+  return { enabled: config.enabled, limit };
+}
+
+/**
+ * Builds the trailing metadata of a rejected call: retry-after in whole seconds, as
+ * in HTTP, and retry-after-ms for clients that want the exact delay.
+ * @param {number} retryAfterMs - Milliseconds until the call would be admitted.
+ * @returns {grpc.Metadata} The metadata.
+ */
+function retryAfterMetadata(retryAfterMs) {
+  const metadata = new grpc.Metadata();
+  metadata.set('retry-after', String(Math.ceil(retryAfterMs / 1000)));
+  metadata.set('retry-after-ms', String(retryAfterMs));
+  return metadata;
+}
+
+/**
+ * Builds a server interceptor that charges every call to its caller's bucket and
+ * ends rejected calls with RESOURCE_EXHAUSTED. It must come after the auth
+ * interceptor in the server's interceptor list so callers are already known.
+ * @param {{limit: Function}} rateLimiter - From createRateLimiter.
+ * @returns {Function} The interceptor, for new grpc.Server({ interceptors }).
+ */
+function rateLimitInterceptor(rateLimiter) {
+  return (methodDescriptor, call) => new grpc.ServerInterceptingCall(call, {
+    start: (next) => {
+      next(new grpc.ServerListenerBuilder()
+        .withOnReceiveMetadata((metadata, metadataNext) => {
+          rateLimiter.limit(methodDescriptor.path, metadata, peerAddress(call.getPeer())).then(
+            () => metadataNext(metadata),
+            (error) => {
+              if (!(error instanceof RateLimitError)) {
+                logger.error('Error rate limiting call', { error });
+                return metadataNext(metadata);
+              }
+              call.sendStatus({
+                code: error.code,
+                details: error.message,
+                metadata: retryAfterMetadata(error.retryAfterMs),
+              });
+            }
+          );
+        })
+        .build());
+    },
+  });
+}
+
+module.exports = {
+  RATE_LIMIT_PREFIX,
+  RateLimitError,
+  loadRateLimitConfig,
+  peerAddress,
+  clientAddress,
+  createRateLimiter,
+  rateLimitInterceptor,
+};
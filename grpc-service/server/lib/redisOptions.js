@@ -0,0 +1,33 @@
+// server/lib/redisOptions.js
+
+const fs = require('fs');
+
+/**
+ * Builds the options of a Redis client from the environment. A rediss:// URL
+ * connects over TLS; REDIS_CA_FILE trusts a custom CA (e.g. a self-signed test CA),
+ * and REDIS_CERT_FILE/REDIS_KEY_FILE present a client certificate when the server
+ * requires one.
+ * @param {string} [url=process.env.REDIS_URL] - The Redis URL.
+ * @returns {Object} Options for createClient.
+ */
+function redisClientOptions(url = process.env.REDIS_URL) {
+  const options = { url };
+  if (!url || !url.startsWith('rediss://')) {
+    return options;
+  }
+
+  const { REDIS_CA_FILE, REDIS_CERT_FILE, REDIS_KEY_FILE } = process.env;
+  if (Boolean(REDIS_CERT_FILE) !== Boolean(REDIS_KEY_FILE)) {
+    throw new Error('REDIS_CERT_FILE and REDIS_KEY_FILE must be set together.');
+  }
+  options.socket = {
+    tls: true,
+    ...(REDIS_CA_FILE ? { ca: fs.readFileSync(REDIS_CA_FILE) } : {}),
+    ...(REDIS_CERT_FILE ? { cert: fs.readFileSync(REDIS_CERT_FILE), key: fs.readFileSync(REDIS_KEY_FILE) } : {}),
+  };
+  return options;
+}
+
+module.exports = {
+  redisClientOptions,
+};
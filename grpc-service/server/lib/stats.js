@@ -0,0 +1,137 @@
+// server/lib/stats.js
+
+const { QUERY_TIMEOUT_MS, tagFilter, numericFilter, buildQuery } = require('./queryBuilder');
+
+// Index the aggregates run on; prize documents carry a NUMERIC laureateCount and an awarded TAG
+const STATS_INDEX = 'idx:prizes';
+
+// FT.AGGREGATE step and reducer names, as the redis package's AggregateSteps and
+// AggregateGroupByReducers spell them. Kept here so that this module, like the rest of the
+// modules queryRedis.js and the uploaders share, needs nothing from the server's packages.
+const AggregateSteps = { GROUPBY: 'GROUPBY', SORTBY: 'SORTBY', APPLY: 'APPLY', LIMIT: 'LIMIT' };
+const AggregateGroupByReducers = { COUNT: 'COUNT', SUM: 'SUM' };
+
+// Upper bound on grouped rows (categories x years stays well below it)
+const MAX_ROWS = 10000;
+
+/**
+ * Builds the FT.AGGREGATE query for the usual category and year filters. Years a
+ * prize was not awarded are left out, so they count as neither prizes nor solo prizes.
+ * @param {Object} filters - The filters.
+ * @param {string} [filters.category] - Only aggregate this category.
+ * @param {number} [filters.startYear] - The first year, inclusive.
+ * @param {number} [filters.endYear] - The last year, inclusive.
+ * @returns {string} The query.
+ */
+function statsQuery({ category, startYear, endYear } = {}) {
+  return buildQuery([
+    tagFilter('awarded', 'true'),
+    tagFilter('category', category ? category.toLowerCase() : undefined),
+    numericFilter('year', startYear, endYear),
+  ]);
+}
+
+/**
+ * Runs FT.AGGREGATE on the prizes index and converts the numeric columns.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} filters - The category and year filters.
+ * @param {Array} steps - The aggregation pipeline.
+ * @param {Array<string>} numericColumns - Columns to convert to numbers.
+ * @returns {Promise<Array<Object>>} The grouped rows.
+ */
+async function aggregate(client, filters, steps, numericColumns) {
+  const reply = await client.ft.aggregate(STATS_INDEX, statsQuery(filters), {
+    STEPS: steps,
+    TIMEOUT: QUERY_TIMEOUT_MS,
+  });
+  return reply.results.map((row) => {
+    const converted = { ...row };
+    numericColumns.forEach((column) => {
+      converted[column] = Number(row[column] || 0);
+    });
+    return converted;
+  });
+}
+
+// Reducers shared by the groupings: number of prizes and number of laureates
+const PRIZE_AND_LAUREATE_REDUCERS = [
+  { type: AggregateGroupByReducers.COUNT, AS: 'prizes' },
+  { type: AggregateGroupByReducers.SUM, property: '@laureateCount', AS: 'laureates' },
+];
+
+/**
+ * Counts prizes and laureates per category per year.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} filters - The category and year filters.
+ * @returns {Promise<Array<{category: string, year: number, prizes: number, laureates: number}>>} The rows, by year then category.
+ */
+async function laureatesPerCategoryYear(client, filters) {
+  return aggregate(client, filters, [
+    { type: AggregateSteps.GROUPBY, properties: ['@category', '@year'], REDUCE: PRIZE_AND_LAUREATE_REDUCERS },
+    { type: AggregateSteps.SORTBY, BY: ['@year', '@category'], MAX: MAX_ROWS },
+    { type: AggregateSteps.LIMIT, from: 0, size: MAX_ROWS },
+  ], ['year', 'prizes', 'laureates']);
+}
+
+/**
+ * Counts prizes and laureates per decade (1900 covers 1900-1909).
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} filters - The category and year filters.
+ * @returns {Promise<Array<{decade: number, prizes: number, laureates: number}>>} The rows, by decade.
+ */
+async function laureatesPerDecade(client, filters) {
+  return aggregate(client, filters, [
+    { type: AggregateSteps.APPLY, expression: 'floor(@year / 10) * 10', AS: 'decade' },
+    { type: AggregateSteps.GROUPBY, properties: '@decade', REDUCE: PRIZE_AND_LAUREATE_REDUCERS },
+    { type: AggregateSteps.SORTBY, BY: '@decade', MAX: MAX_ROWS },
+    { type: AggregateSteps.LIMIT, from: 0, size: MAX_ROWS },
+  ], ['decade', 'prizes', 'laureates']);
+}
+
+/**
+ * Counts prizes by how many laureates shared them, and sums up solo and shared prizes.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} filters - The category and year filters.
+ * @returns {Promise<{buckets: Array<{laureateCount: number, prizes: number}>, soloPrizes: number, sharedPrizes: number}>} The distribution.
+ */
+async function shareDistribution(client, filters) {
+  const buckets = await aggregate(client, filters, [
+    {
+      type: AggregateSteps.GROUPBY,
+      properties: '@laureateCount',
+      REDUCE: { type: AggregateGroupByReducers.COUNT, AS: 'prizes' },
+    },
+    { type: AggregateSteps.SORTBY, BY: '@laureateCount', MAX: MAX_ROWS },
+    { type: AggregateSteps.LIMIT, from: 0, size: MAX_ROWS },
+  ], ['laureateCount', 'prizes']);
+
+  const sum = (predicate) => buckets.filter(predicate).reduce((total, bucket) => total + bucket.prizes, 0);
+  return {
+    buckets,
+    soloPrizes: sum((bucket) => bucket.laureateCount === 1),
+    sharedPrizes: sum((bucket) => bucket.laureateCount > 1),
+  };
+}
+
+/**
+ * Ranks categories by laureate count.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} filters - The category and year filters.
+ * @param {number} [limit=10] - How many categories to return.
+ * @returns {Promise<Array<{category: string, prizes: number, laureates: number}>>} The rows, most laureates first.
+ */
+async function topCategories(client, filters, limit = 10) {
+  return aggregate(client, filters, [
+    { type: AggregateSteps.GROUPBY, properties: '@category', REDUCE: PRIZE_AND_LAUREATE_REDUCERS },
+    { type: AggregateSteps.SORTBY, BY: [{ BY: '@laureates', DIRECTION: 'DESC' }, '@category'], MAX: limit },
+    { type: AggregateSteps.LIMIT, from: 0, size: limit },
+  ], ['prizes', 'laureates']);
+}
+
+module.exports = {
+  statsQuery,
+  laureatesPerCategoryYear,
+  laureatesPerDecade,
+  shareDistribution,
+  topCategories,
+};
@@ -0,0 +1,210 @@
+// server/lib/stemmer.js
+
+// The English (Porter2) Snowball stemmer RediSearch applies to TEXT fields, so
+// results can be narrowed in code the way the index matched them.
+
+// Letters Porter2 counts as vowels
+const VOWELS = 'aeiouy';
+
+// Words Porter2 stems irregularly, or leaves alone
+const EXCEPTIONS = new Map([
+  ['skis', 'ski'],
+  ['skies', 'sky'],
+  ['dying', 'die'],
+  ['lying', 'lie'],
+  ['tying', 'tie'],
+  ['idly', 'idl'],
+  ['gently', 'gentl'],
+  ['ugly', 'ugli'],
+  ['early', 'earli'],
+  ['only', 'onli'],
+  ['singly', 'singl'],
+  ['sky', 'sky'],
+  ['news', 'news'],
+  ['howe', 'howe'],
+  ['atlas', 'atlas'],
+  ['cosmos', 'cosmos'],
+  ['bias', 'bias'],
+  ['andes', 'andes'],
+]);
+
+// Words left alone once step 1a has run
+const STEP_1A_INVARIANTS = ['inning', 'outing', 'canning', 'herring', 'earring', 'proceed', 'exceed', 'succeed'];
+
+// Prefixes whose R1 starts right after them
+const R1_PREFIXES = ['gener', 'commun', 'arsen'];
+
+// Double consonants step 1b undoubles (hopping -> hop)
+const DOUBLES = ['bb', 'dd', 'ff', 'gg', 'mm', 'nn', 'pp', 'rr', 'tt'];
+
+// Letters a removable "li" may follow
+const LI_ENDINGS = 'cdeghkmnrt';
+
+// Step 2, 3 and 4 suffixes; steps 2 and 3 list the longest first
+const STEP_2 = [
+  ['ization', 'ize'], ['ational', 'ate'], ['fulness', 'ful'], ['ousness', 'ous'], ['iveness', 'ive'],
+  ['tional', 'tion'], ['biliti', 'ble'], ['lessli', 'less'],
+  ['entli', 'ent'], ['ation', 'ate'], ['alism', 'al'], ['aliti', 'al'], ['ousli', 'ous'], ['iviti', 'ive'],
+  ['fulli', 'ful'],
+  ['enci', 'ence'], ['anci', 'ance'], ['abli', 'able'], ['izer', 'ize'], ['ator', 'ate'], ['alli', 'al'],
+  ['bli', 'ble'], ['ogi', 'og'], ['li', ''],
+];
+const STEP_3 = [
+  ['ational', 'ate'], ['tional', 'tion'], ['alize', 'al'], ['icate', 'ic'], ['iciti', 'ic'], ['ative', ''],
+  ['ical', 'ic'], ['ness', ''], ['ful', ''],
+];
+const STEP_4 = [
+  'ement', 'ance', 'ence', 'able', 'ible', 'ment', 'ant', 'ent', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize', 'ion',
+  'al', 'er', 'ic',
+];
+
+const isVowel = (char) => VOWELS.includes(char);
+
+/**
+ * Finds the start of the region after the first non-vowel that follows a vowel.
+ * @param {string} word - The word, with y marked as Y where it is a consonant.
+ * @param {number} from - Where to start looking.
+ * @returns {number} The region start (the word length when the region is empty).
+ */
+function regionAfter(word, from) {
+  for (let i = from + 1; i < word.length; i++) {
+    if (!isVowel(word[i]) && isVowel(word[i - 1])) {
+      return i + 1;
+    }
+  }
+  return word.length;
+}
+
+/**
+ * Tells whether a word ends in a short syllable: a vowel followed by a non-vowel
+ * other than w, x or Y and preceded by a non-vowel, or a vowel then a non-vowel
+ * at the start of the word.
+ * @param {string} word - The word.
+ * @returns {boolean} Whether the last syllable is short.
+ */
+function endsInShortSyllable(word) {
+  const n = word.length;
+  if (n === 2) {
+    return isVowel(word[0]) && !isVowel(word[1]);
+  }
+  return n > 2 && !isVowel(word[n - 3]) && isVowel(word[n - 2]) && !isVowel(word[n - 1]) && !'wxY'.includes(word[n - 1]);
+}
+
+/**
+ * Returns the longest suffix of a list the word ends with.
+ * @param {string} word - The word.
+ * @param {Array<string>} suffixes - The suffixes.
+ * @returns {string|undefined} The suffix.
+ */
+function longestSuffix(word, suffixes) {
+  return suffixes.filter((suffix) => word.endsWith(suffix)).sort((a, b) => b.length - a.length)[0];
+}
+
+/**
+ * Stems a lowercase English word.
+ * @param {string} input - The word.
+ * @returns {string} The stem.
+ */
+function stem(input) {
+  if (input.length <= 2) {
+    return input;
+  }
+  if (EXCEPTIONS.has(input)) {
+    return EXCEPTIONS.get(input);
+  }
+
+  // y is a consonant at the start of the word and after a vowel
+  let word = input.replace(/^y/, 'Y').replace(/([aeiouy])y/g, '$1Y');
+  const prefix = R1_PREFIXES.find((candidate) => word.startsWith(candidate));
+  const r1 = prefix ? prefix.length : regionAfter(word, 0);
+  const r2 = regionAfter(word, r1);
+  const inR1 = (suffix) => word.length - suffix.length >= r1;
+  const inR2 = (suffix) => word.length - suffix.length >= r2;
+  const chop = (suffix, replacement = '') => {
+    word = word.slice(0, word.length - suffix.length) + replacement;
+  };
+
+  // Step 1a: plurals
+  const step1a = longestSuffix(word, ['sses', 'ied', 'ies', 'us', 'ss', 's']);
+  if (step1a === 'sses') {
+    chop('sses', 'ss');
+  } else if (step1a === 'ied' || step1a === 'ies') {
+    chop(step1a, word.length > 4 ? 'i' : 'ie');
+  } else if (step1a === 's' && /[aeiouy]/.test(word.slice(0, -2))) {
+    chop('s');
+  }
+  if (STEP_1A_INVARIANTS.includes(word)) {
+    return word;
+  }
+
+  // Step 1b: past tenses and gerunds
+  const step1b = longestSuffix(word, ['eedly', 'ingly', 'edly', 'eed', 'ing', 'ed']);
+  if (step1b === 'eed' || step1b === 'eedly') {
+    if (inR1(step1b)) {
+      chop(step1b, 'ee');
+    }
+  } else if (step1b && /[aeiouy]/.test(word.slice(0, -step1b.length))) {
+    chop(step1b);
+    if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+      word += 'e';
+    } else if (DOUBLES.some((double) => word.endsWith(double))) {
+      word = word.slice(0, -1);
+    } else if (r1 >= word.length && endsInShortSyllable(word)) {
+      word += 'e';
+    }
+  }
+
+  // Step 1c: a final y after a non-vowel, past the first letter
+  if (word.length > 2 && /[yY]$/.test(word) && !isVowel(word[word.length - 2])) {
+    word = `${word.slice(0, -1)}i`;
+  }
+
+  // Step 2: derivational suffixes
+  const step2 = STEP_2.find(([suffix]) => word.endsWith(suffix));
+  if (step2 && inR1(step2[0])) {
+    const [suffix, replacement] = step2;
+    if (suffix === 'ogi') {
+      if (word[word.length - 4] === 'l') {
+        chop(suffix, replacement);
+      }
+    } else if (suffix === 'li') {
+      if (LI_ENDINGS.includes(word[word.length - 3])) {
+        chop(suffix);
+      }
+    } else {
+      chop(suffix, replacement);
+    }
+  }
+
+  // Step 3: more derivational suffixes
+  const step3 = STEP_3.find(([suffix]) => word.endsWith(suffix));
+  if (step3 && inR1(step3[0])) {
+    const [suffix, replacement] = step3;
+    if (suffix !== 'ative' || inR2(suffix)) {
+      chop(suffix, replacement);
+    }
+  }
+
+  // Step 4: suffixes removed in R2
+  const step4 = longestSuffix(word, STEP_4);
+  if (step4 && inR2(step4)) {
+    if (step4 !== 'ion' || /[st]$/.test(word.slice(0, -3))) {
+      chop(step4);
+    }
+  }
+
+  // Step 5: final e and l
+  if (word.endsWith('e')) {
+    if (inR2('e') || (inR1('e') && !endsInShortSyllable(word.slice(0, -1)))) {
+      chop('e');
+    }
+  } else if (word.endsWith('ll') && inR2('l')) {
+    chop('l');
+  }
+
+  return word.replace(/Y/g, 'y');
+}
+
+module.exports = {
+  stem,
+};
@@ -0,0 +1,41 @@
+// server/lib/streaming.js
+
+/**
+ * Waits until a server stream can take more messages or the client goes away.
+ * @param {ServerWritableStream} call - The server-streaming call.
+ * @returns {Promise<void>} Resolves on 'drain', 'cancelled' or 'close'.
+ */
+function waitForDrain(call) {
+  return new Promise((resolve) => {
+    const done = () => {
+      call.off('drain', done);
+      call.off('cancelled', done);
+      call.off('close', done);
+      resolve();
+    };
+    call.on('drain', done);
+    call.on('cancelled', done);
+    call.on('close', done);
+  });
+}
+
+/**
+ * Writes one message to a server stream, honouring flow control: when the
+ * stream's buffer is full it waits for the client to catch up.
+ * @param {ServerWritableStream} call - The server-streaming call.
+ * @param {Object} message - The message to send.
+ * @returns {Promise<boolean>} False once the client has cancelled, so the caller can stop.
+ */
+async function writeMessage(call, message) {
+  if (call.cancelled || call.destroyed) {
+    return false;
+  }
+  if (!call.write(message)) {
+    await waitForDrain(call);
+  }
+  return !call.cancelled && !call.destroyed;
+}
+
+module.exports = {
+  writeMessage,
+};
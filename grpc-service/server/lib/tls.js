@@ -0,0 +1,68 @@
+// server/lib/tls.js
+
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+
+/**
+ * Reads the server's TLS files. With a client CA, clients must present a
+ * certificate signed by it (mutual TLS).
+ * @param {Object} files - File paths; all optional.
+ * @param {string} [files.certFile] - The server certificate chain (PEM).
+ * @param {string} [files.keyFile] - The server private key (PEM).
+ * @param {string} [files.clientCaFile] - CA that client certificates must chain to (PEM).
+ * @returns {{cert: Buffer, key: Buffer, clientCa: (Buffer|null)}|null} The TLS material,
+ * or null when no certificate is configured (plaintext).
+ */
+function loadServerTls({ certFile, keyFile, clientCaFile }) {
+  if (!certFile && !keyFile) {
+    if (clientCaFile) {
+      throw new Error('A client CA needs a server certificate and key.');
+    }
+    return null;
+  }
+  if (!certFile || !keyFile) {
+    throw new Error('A server certificate and key must be given together.');
+  }
+  return {
+    cert: fs.readFileSync(certFile),
+    key: fs.readFileSync(keyFile),
+    clientCa: clientCaFile ? fs.readFileSync(clientCaFile) : null,
+  };
+}
+
+/**
+ * Builds the gRPC server credentials for the TLS material.
+ * @param {Object|null} tls - From loadServerTls.
+ * @returns {grpc.ServerCredentials} TLS credentials (verifying client certificates when a
+ * client CA is set), or insecure credentials without TLS material.
+ */
+function serverCredentials(tls) {
+  if (!tls) {
+    return grpc.ServerCredentials.createInsecure();
+  }
+  return grpc.ServerCredentials.createSsl(
+    tls.clientCa,
+    [{ cert_chain: tls.cert, private_key: tls.key }],
+    Boolean(tls.clientCa)
+  );
+}
+
+/**
+ * Builds the https.createServer options for the same TLS material, so the HTTP
+ * gateway enforces what the gRPC port does.
+ * @param {Object} tls - From loadServerTls.
+ * @returns {Object} The https options.
+ */
+function httpsOptions(tls) {
+  return {
+    cert: tls.cert,
+    key: tls.key,
+    ...(tls.clientCa ? { ca: tls.clientCa, requestCert: true, rejectUnauthorized: true } : {}),
+  };
+}
+
+module.exports = {
+  loadServerTls,
+  serverCredentials,
+  httpsOptions,
+};
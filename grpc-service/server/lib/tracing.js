@@ -0,0 +1,279 @@
+// server/lib/tracing.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const grpc = require('@grpc/grpc-js');
+const { ROOT_CONTEXT, SpanKind, SpanStatusCode, context, propagation, trace } = require('@opentelemetry/api');
+const { ExportResultCode, hrTimeToMilliseconds, hrTimeToTimeStamp } = require('@opentelemetry/core');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { registerInstrumentations } = require('@opentelemetry/instrumentation');
+const { RedisInstrumentation } = require('@opentelemetry/instrumentation-redis');
+const { defaultResource, resourceFromAttributes } = require('@opentelemetry/resources');
+const { BatchSpanProcessor, ConsoleSpanExporter, NodeTracerProvider } = require('@opentelemetry/sdk-trace-node');
+const { logger, runWithRequestContext } = require('./logger');
+const { peerAddress } = require('./rateLimit');
+
+// Service name spans are reported under, unless OTEL_SERVICE_NAME is set
+const SERVICE_NAME = 'nobel-prize-api';
+
+// Where spans go: an OTLP/HTTP collector, a JSON-lines file, the console, or nowhere
+const TRACE_EXPORTERS = ['otlp', 'file', 'console', 'none'];
+
+// Metadata key (and HTTP header) carrying the request id
+const REQUEST_ID_KEY = 'x-request-id';
+
+// Request ids accepted from callers; anything else is replaced so it cannot garble the logs
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Codes that mark a server span as failed; the others report a problem with the call itself
+const SERVER_ERROR_CODES = [
+  grpc.status.UNKNOWN,
+  grpc.status.DEADLINE_EXCEEDED,
+  grpc.status.UNIMPLEMENTED,
+  grpc.status.INTERNAL,
+  grpc.status.UNAVAILABLE,
+  grpc.status.DATA_LOSS,
+];
+
+// Services probed every few seconds by load balancers: their calls are logged at debug level
+const QUIET_SERVICES = ['grpc.health.v1.Health'];
+
+// Module namespaces of the Redis client: the Redis instrumentation only sees core commands
+const REDIS_MODULES = ['json', 'ft'];
+
+// A no-op until startTracing registers a provider
+const tracer = trace.getTracer(SERVICE_NAME);
+
+// Reads W3C trace context (traceparent, tracestate) from gRPC metadata
+const metadataGetter = {
+  keys: (metadata) => Object.keys(metadata.getMap()),
+  get: (metadata, key) => {
+    const values = metadata.get(key).map(String);
+    return values.length > 0 ? values : undefined;
+  },
+};
+
+/**
+ * Creates a span exporter appending one JSON object per finished span to a file,
+ * for tracing without a collector.
+ * @param {string} file - Path of the file.
+ * @returns {Object} The SpanExporter.
+ */
+function createFileSpanExporter(file) {
+  const stream = fs.createWriteStream(file, { flags: 'a' });
+
+  const toJson = (span) => ({
+    traceId: span.spanContext().traceId,
+    spanId: span.spanContext().spanId,
+    parentSpanId: span.parentSpanContext?.spanId,
+    name: span.name,
+    kind: SpanKind[span.kind],
+    service: span.resource.attributes['service.name'],
+    startTime: hrTimeToTimeStamp(span.startTime),
+    durationMs: hrTimeToMilliseconds(span.duration),
+    status: { code: SpanStatusCode[span.status.code], message: span.status.message },
+    attributes: span.attributes,
+    events: span.events.map((event) => ({ name: event.name, time: hrTimeToTimeStamp(event.time), attributes: event.attributes })),
+  });
+
+  return {
+    export(spans, resultCallback) {
+      stream.write(spans.map((span) => `${JSON.stringify(toJson(span))}\n`).join(''), (error) => {
+        resultCallback(error ? { code: ExportResultCode.FAILED, error } : { code: ExportResultCode.SUCCESS });
+      });
+    },
+    forceFlush: () => Promise.resolve(),
+    shutdown: () => new Promise((resolve) => stream.end(resolve)),
+  };
+}
+
+/**
+ * Starts exporting spans and instruments the Redis client, which then records a
+ * span for every core command sent on behalf of a traced call (see traceRedisModules
+ * for the others). Must run before redis is first required, or its commands are not
+ * instrumented.
+ * @param {Object} [options] - Tracing options.
+ * @param {string} [options.exporter] - One of TRACE_EXPORTERS (defaults to OTEL_TRACES_EXPORTER,
+ * then 'none'). The OTLP exporter reads its endpoint from OTEL_EXPORTER_OTLP_ENDPOINT.
+ * @param {string} [options.file] - File of the 'file' exporter (defaults to TRACES_FILE, then traces.jsonl).
+ * @param {string} [options.serviceName] - Defaults to OTEL_SERVICE_NAME, then SERVICE_NAME.
+ * @returns {{enabled: boolean, shutdown: Function}} shutdown() flushes the pending spans.
+ */
+function startTracing({
+  exporter = process.env.OTEL_TRACES_EXPORTER || 'none',
+  file = process.env.TRACES_FILE || 'traces.jsonl',
+  serviceName = process.env.OTEL_SERVICE_NAME || SERVICE_NAME,
+} = {}) {
+  if (!TRACE_EXPORTERS.includes(exporter)) {
+    throw new Error(`Unknown trace exporter "${exporter}"; use one of ${TRACE_EXPORTERS.join(', ')}.`);
+  }
+  if (exporter === 'none') {
+    return { enabled: false, shutdown: () => Promise.resolve() };
+  }
+
+  const spanExporter = {
+    otlp: () => new OTLPTraceExporter(),
+    file: () => createFileSpanExporter(file),
+    console: () => new ConsoleSpanExporter(),
+  }[exporter]();
+  const provider = new NodeTracerProvider({
+    resource: defaultResource().merge(resourceFromAttributes({ 'service.name': serviceName })),
+    spanProcessors: [new BatchSpanProcessor(spanExporter)],
+  });
+  // Also installs the W3C trace context propagator and the async context manager
+  provider.register();
+  registerInstrumentations({
+    tracerProvider: provider,
+    // Background commands (health probes, startup) stay out of the traces
+    instrumentations: [new RedisInstrumentation({ requireParentSpan: true })],
+  });
+  return { enabled: true, shutdown: () => provider.shutdown() };
+}
+
+/**
+ * Records a span for every RedisJSON and RediSearch command sent on behalf of a
+ * traced call, named and labelled like the Redis instrumentation's spans.
+ * @param {RedisClient} client - The Redis client instance.
+ * @returns {RedisClient} The client.
+ */
+function traceRedisModules(client) {
+  REDIS_MODULES.forEach((namespace) => {
+    const commands = client[namespace];
+    // Walks the prototype too, where node-redis defines the module commands
+    for (const name in commands) {
+      const command = commands[name];
+      if (typeof command !== 'function') {
+        continue;
+      }
+      const operation = `${namespace}.${name}`.toUpperCase();
+      commands[name] = function tracedCommand(...args) {
+        if (!trace.getSpan(context.active())) {
+          return command.apply(this, args);
+        }
+        return tracer.startActiveSpan(`redis-${operation}`, {
+          kind: SpanKind.CLIENT,
+          attributes: {
+            'db.system.name': 'redis',
+            'db.operation.name': operation,
+            // The key or index only: queries may hold what callers searched for
+            'db.query.text': `${operation} ${args[0]}`,
+          },
+        }, async (span) => {
+          try {
+            return await command.apply(this, args);
+          } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+            throw error;
+          } finally {
+            span.end();
+          }
+        });
+      };
+    }
+  });
+  return client;
+}
+
+/**
+ * Starts serving a call: settles its request id (the caller's, or a new one), starts
+ * its server span as a child of the caller's trace, if any, and logs its outcome
+ * once it ends. Shared by the gRPC interceptor and the HTTP gateway.
+ * @param {string} path - The full method path, e.g. /prize.PrizeService/GetPrize.
+ * @param {grpc.Metadata} metadata - The request metadata.
+ * @param {string} peer - Address of the caller.
+ * @returns {{requestId: string, run: Function, end: Function}} run(fn) calls fn inside the
+ * call's span and request context; end(code, details) finishes the call (only the first time).
+ */
+function beginCall(path, metadata, peer) {
+  const [, service, method] = path.split('/');
+  const received = metadata.get(REQUEST_ID_KEY)[0];
+  const requestId = typeof received === 'string' && REQUEST_ID_PATTERN.test(received) ? received : crypto.randomUUID();
+
+  const parent = propagation.extract(ROOT_CONTEXT, metadata, metadataGetter);
+  const span = tracer.startSpan(path.slice(1), {
+    kind: SpanKind.SERVER,
+    attributes: {
+      'rpc.system': 'grpc',
+      'rpc.service': service,
+      'rpc.method': method,
+      'client.address': peer,
+      'request.id': requestId,
+    },
+  }, parent);
+  const callContext = trace.setSpan(parent, span);
+  const requestFields = { requestId, rpc: path };
+  const startedAt = process.hrtime.bigint();
+  let ended = false;
+
+  const run = (fn) => context.with(callContext, () => runWithRequestContext(requestFields, fn));
+
+  function end(code, details) {
+    if (ended) {
+      return;
+    }
+    ended = true;
+    span.setAttribute('rpc.grpc.status_code', code);
+    if (SERVER_ERROR_CODES.includes(code)) {
+      span.setStatus({ code: SpanStatusCode.ERROR, message: details });
+    }
+    const log = QUIET_SERVICES.includes(service) ? logger.debug : logger.info;
+    run(() => log('Call finished', {
+      peer,
+      code: grpc.status[code] || 'UNKNOWN',
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+    }));
+    span.end();
+  }
+
+  return { requestId, run, end };
+}
+
+/**
+ * Builds a server interceptor that gives every call a request id, a server span and
+ * a request context for its logs, and returns the request id in the trailers. It
+ * must come first in the server's interceptor list, so the calls other interceptors
+ * reject are traced too.
+ * @returns {Function} The interceptor, for new grpc.Server({ interceptors }).
+ */
+function tracingInterceptor() {
+  return (methodDescriptor, call) => {
+    let served = null;
+    return new grpc.ServerInterceptingCall(call, {
+      start: (next) => {
+        next(new grpc.ServerListenerBuilder()
+          .withOnReceiveMetadata((metadata, metadataNext) => {
+            served = beginCall(methodDescriptor.path, metadata, peerAddress(call.getPeer()));
+            served.run(() => metadataNext(metadata));
+          })
+          .withOnReceiveMessage((message, messageNext) => served.run(() => messageNext(message)))
+          .withOnReceiveHalfClose((halfCloseNext) => served.run(halfCloseNext))
+          // Also fires once the status is sent, when the call has already ended
+          .withOnCancel(() => {
+            if (served) {
+              served.end(grpc.status.CANCELLED, 'Cancelled by the client');
+            }
+          })
+          .build());
+      },
+      sendStatus: (status, statusNext) => {
+        const metadata = status.metadata || new grpc.Metadata();
+        if (served) {
+          metadata.set(REQUEST_ID_KEY, served.requestId);
+          served.end(status.code, status.details);
+        }
+        statusNext({ ...status, metadata });
+      },
+    });
+  };
+}
+
+module.exports = {
+  TRACE_EXPORTERS,
+  REQUEST_ID_KEY,
+  createFileSpanExporter,
+  startTracing,
+  traceRedisModules,
+  beginCall,
+  tracingInterceptor,
+};
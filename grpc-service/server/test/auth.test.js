@@ -0,0 +1,106 @@
+// server/test/auth.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const grpc = require('@grpc/grpc-js');
+const { AuthError, verifyJwt } = require('../lib/auth');
+
+const SECRET = Buffer.from('test-secret');
+const HS256_KEY = { alg: 'HS256', key: SECRET };
+const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const RS256_KEY = { alg: 'RS256', key: publicKey };
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+/**
+ * Builds a compact JWT.
+ * @param {Object} claims - The payload.
+ * @param {Object} [options] - Signing options.
+ * @param {string} [options.alg='HS256'] - The alg header.
+ * @param {Function} [options.sign] - Signs the "header.payload" buffer; HMAC with SECRET by default.
+ * @returns {string} The token.
+ */
+function token(claims, { alg = 'HS256', sign = (data) => crypto.createHmac('sha256', SECRET).update(data).digest() } = {}) {
+  const signed = `${base64url({ alg, typ: 'JWT' })}.${base64url(claims)}`;
+  return `${signed}.${sign(Buffer.from(signed)).toString('base64url')}`;
+}
+
+/**
+ * Asserts that verifyJwt rejects a token as UNAUTHENTICATED with the given message.
+ * @param {Function} verify - Calls verifyJwt.
+ * @param {RegExp} message - The expected message.
+ */
+function assertUnauthenticated(verify, message) {
+  assert.throws(verify, (error) => {
+    assert.ok(error instanceof AuthError);
+    assert.equal(error.code, grpc.status.UNAUTHENTICATED);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+describe('verifyJwt', () => {
+  const valid = () => ({ sub: 'alice', exp: now() + 60 });
+
+  it('returns the claims of a valid HS256 token', () => {
+    assert.equal(verifyJwt(token(valid()), HS256_KEY).sub, 'alice');
+  });
+
+  it('returns the claims of a valid RS256 token', () => {
+    const rsToken = token(valid(), { alg: 'RS256', sign: (data) => crypto.sign('RSA-SHA256', data, privateKey) });
+    assert.equal(verifyJwt(rsToken, RS256_KEY).sub, 'alice');
+  });
+
+  describe('algorithm pinning', () => {
+    it('rejects unsigned tokens', () => {
+      const unsigned = `${base64url({ alg: 'none' })}.${base64url(valid())}.`;
+      assertUnauthenticated(() => verifyJwt(unsigned, HS256_KEY), /signed with HS256/);
+    });
+
+    it('rejects HS256 tokens signed with the RS256 public key', () => {
+      const pem = publicKey.export({ type: 'spki', format: 'pem' });
+      const forged = token(valid(), { sign: (data) => crypto.createHmac('sha256', pem).update(data).digest() });
+      assertUnauthenticated(() => verifyJwt(forged, RS256_KEY), /signed with RS256/);
+    });
+
+    it('rejects tokens whose signature does not match', () => {
+      const [header, , signature] = token(valid()).split('.');
+      const tampered = `${header}.${base64url({ ...valid(), sub: 'mallory' })}.${signature}`;
+      assertUnauthenticated(() => verifyJwt(tampered, HS256_KEY), /Invalid token signature/);
+    });
+
+    it('rejects malformed tokens', () => {
+      assertUnauthenticated(() => verifyJwt('not-a-token', HS256_KEY), /Malformed token/);
+    });
+  });
+
+  describe('claims', () => {
+    it('requires exp', () => {
+      assertUnauthenticated(() => verifyJwt(token({ sub: 'alice' }), HS256_KEY), /exp claim/);
+      assertUnauthenticated(() => verifyJwt(token({ sub: 'alice', exp: String(now() + 60) }), HS256_KEY), /exp claim/);
+    });
+
+    it('requires a non-empty sub', () => {
+      assertUnauthenticated(() => verifyJwt(token({ exp: now() + 60 }), HS256_KEY), /sub claim/);
+      assertUnauthenticated(() => verifyJwt(token({ sub: '', exp: now() + 60 }), HS256_KEY), /sub claim/);
+    });
+
+    it('rejects expired tokens, allowing for clock skew', () => {
+      assert.equal(verifyJwt(token({ sub: 'alice', exp: now() - 10 }), HS256_KEY).sub, 'alice');
+      assertUnauthenticated(() => verifyJwt(token({ sub: 'alice', exp: now() - 120 }), HS256_KEY), /expired/);
+    });
+
+    it('rejects tokens that are not valid yet', () => {
+      assertUnauthenticated(() => verifyJwt(token({ ...valid(), nbf: now() + 120 }), HS256_KEY), /not valid yet/);
+    });
+
+    it('checks the issuer and audience when configured', () => {
+      const claims = { ...valid(), iss: 'issuer', aud: ['api', 'other'] };
+      assert.equal(verifyJwt(token(claims), HS256_KEY, { issuer: 'issuer', audience: 'api' }).sub, 'alice');
+      assertUnauthenticated(() => verifyJwt(token(claims), HS256_KEY, { issuer: 'someone-else' }), /issuer/);
+      assertUnauthenticated(() => verifyJwt(token(claims), HS256_KEY, { audience: 'admin' }), /audience/);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+// server/test/datasetMeta.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateScope } = require('../lib/datasetMeta');
+
+const META = { startYear: 2013, endYear: 2023, categories: ['chemistry', 'peace', 'physics'] };
+
+describe('validateScope', () => {
+  it('accepts requests inside the stored scope', () => {
+    assert.equal(validateScope(META, { category: 'peace', startYear: 2015, endYear: 2020 }), null);
+    assert.equal(validateScope(META, {}), null);
+  });
+
+  it('rejects years and categories outside it', () => {
+    assert.match(validateScope(META, { startYear: 2000 }), /between 2013 and 2023/);
+    assert.match(validateScope(META, { endYear: 2024 }), /between 2013 and 2023/);
+    assert.match(validateScope(META, { category: 'economics' }), /Unknown category "economics"/);
+  });
+
+  it('rejects inverted ranges even without metadata', () => {
+    assert.match(validateScope(null, { startYear: 2020, endYear: 2015 }), /must not be after/);
+    assert.equal(validateScope(null, { startYear: 2015, endYear: 2020 }), null);
+  });
+});
@@ -0,0 +1,110 @@
+// server/test/helpers/luaRedis.js
+
+const { lua, lauxlib, lualib, to_luastring, to_jsstring } = require('fengari');
+
+/**
+ * Pushes a Redis reply onto the Lua stack the way Redis converts replies: arrays
+ * become tables, nil becomes false, everything else a string.
+ * @param {Object} L - The Lua state.
+ * @param {*} value - The reply.
+ */
+function pushReply(L, value) {
+  if (Array.isArray(value)) {
+    lua.lua_createtable(L, value.length, 0);
+    value.forEach((item, index) => {
+      pushReply(L, item);
+      lua.lua_rawseti(L, -2, index + 1);
+    });
+  } else if (value === null) {
+    lua.lua_pushboolean(L, false);
+  } else {
+    lua.lua_pushstring(L, to_luastring(String(value)));
+  }
+}
+
+/**
+ * Reads a Lua table of numbers the way Redis converts a script's reply: numbers
+ * are truncated to integers.
+ * @param {Object} L - The Lua state, with the table on top.
+ * @returns {Array<number>} The reply.
+ */
+function readReply(L) {
+  const reply = [];
+  for (let i = 1; ; i++) {
+    lua.lua_rawgeti(L, -1, i);
+    if (lua.lua_isnil(L, -1)) {
+      return reply;
+    }
+    reply.push(Math.trunc(lua.lua_tonumber(L, -1)));
+    lua.lua_pop(L, 1);
+  }
+}
+
+/**
+ * Creates a stand-in for a Redis client's eval that runs scripts in a Lua VM over
+ * an in-memory store. It knows the commands the rate limiter's script calls
+ * (TIME, HMGET, HSET and PEXPIRE), and its clock is set by the test.
+ * @returns {{eval: Function, hashes: Map<string, Object>, ttls: Map<string, number>, clock: {now: number}}} The client.
+ */
+function createLuaRedis() {
+  const hashes = new Map();
+  const ttls = new Map();
+  const clock = { now: 1700000000000 };
+
+  const commands = {
+    TIME: () => [String(Math.floor(clock.now / 1000)), String((clock.now % 1000) * 1000)],
+    HMGET: (key, ...fields) => fields.map((field) => {
+      const hash = hashes.get(key) || {};
+      return field in hash ? hash[field] : null;
+    }),
+    HSET: (key, ...pairs) => {
+      const hash = hashes.get(key) || {};
+      for (let i = 0; i < pairs.length; i += 2) {
+        hash[pairs[i]] = pairs[i + 1];
+      }
+      hashes.set(key, hash);
+      return pairs.length / 2;
+    },
+    PEXPIRE: (key, milliseconds) => {
+      ttls.set(key, Number(milliseconds));
+      return 1;
+    },
+  };
+
+  function redisCall(L) {
+    const args = [];
+    for (let i = 1; i <= lua.lua_gettop(L); i++) {
+      args.push(to_jsstring(lua.lua_tolstring(L, i)));
+    }
+    const [command, ...rest] = args;
+    if (!commands[command]) {
+      return lauxlib.luaL_error(L, to_luastring(`Unsupported command ${command}`));
+    }
+    pushReply(L, commands[command](...rest));
+    return 1;
+  }
+
+  async function evalScript(script, { keys = [], arguments: argv = [] } = {}) {
+    const L = lauxlib.luaL_newstate();
+    lualib.luaL_openlibs(L);
+    lua.lua_createtable(L, 0, 1);
+    lua.lua_pushjsfunction(L, redisCall);
+    lua.lua_setfield(L, -2, to_luastring('call'));
+    lua.lua_setglobal(L, to_luastring('redis'));
+    pushReply(L, keys);
+    lua.lua_setglobal(L, to_luastring('KEYS'));
+    pushReply(L, argv);
+    lua.lua_setglobal(L, to_luastring('ARGV'));
+
+    if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+      throw new Error(to_jsstring(lua.lua_tostring(L, -1)));
+    }
+    return readReply(L);
+  }
+
+  return { eval: evalScript, hashes, ttls, clock };
+}
+
+module.exports = {
+  createLuaRedis,
+};
@@ -0,0 +1,45 @@
+// server/test/laureateType.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { laureateType, displayName, annotateLaureateType, toLaureateTypeEnum } = require('../lib/laureateType');
+
+describe('laureateType', () => {
+  it('trusts the stored type', () => {
+    assert.equal(laureateType({ type: 'organization', firstname: 'Marie', surname: 'Curie' }), 'organization');
+  });
+
+  it('takes organisations from the v2 orgName and the v1 gender', () => {
+    assert.equal(laureateType({ orgName: 'World Food Programme' }), 'organization');
+    assert.equal(laureateType({ firstname: 'UNICEF', gender: 'org' }), 'organization');
+  });
+
+  it('classifies people known by a single name as people', () => {
+    assert.equal(laureateType({ firstname: 'Mother Teresa', gender: 'female' }), 'person');
+    assert.equal(laureateType({ firstname: 'Le Duc Tho', gender: 'male' }), 'person');
+  });
+
+  it('falls back to the name without a gender', () => {
+    assert.equal(laureateType({ firstname: 'Institute of International Law' }), 'organization');
+    assert.equal(laureateType({ firstname: 'Marie', surname: 'Curie' }), 'person');
+  });
+});
+
+describe('annotateLaureateType', () => {
+  it('gives organisations an orgName and an empty surname', () => {
+    assert.deepEqual(annotateLaureateType({ id: '482', firstname: 'Red Cross', gender: 'org' }), {
+      id: '482',
+      firstname: 'Red Cross',
+      gender: 'org',
+      type: 'organization',
+      orgName: 'Red Cross',
+      surname: '',
+    });
+  });
+
+  it('names and maps people', () => {
+    const laureate = annotateLaureateType({ firstname: 'Mother Teresa', gender: 'female' });
+    assert.equal(displayName(laureate), 'Mother Teresa');
+    assert.equal(toLaureateTypeEnum(laureate), 'PERSON');
+  });
+});
@@ -0,0 +1,73 @@
+// server/test/pagination.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodePageToken, decodePageToken, paginate } = require('../lib/pagination');
+
+const ITEMS = Array.from({ length: 5 }, (_, i) => ({ id: `l${i}`, year: 2000 + (i % 3) }));
+const keyOf = (item) => [item.year, item.id];
+
+/**
+ * Fetches every page of a request.
+ * @param {Object} request - The request, with page_size.
+ * @returns {Array<Array<string>>} The ids on each page.
+ */
+function allPages(request) {
+  const pages = [];
+  let pageToken = '';
+  do {
+    const page = paginate(ITEMS, { request: { ...request, page_token: pageToken }, keyOf });
+    assert.equal(page.error, null);
+    pages.push(page.items.map((item) => item.id));
+    pageToken = page.next_page_token;
+  } while (pageToken);
+  return pages;
+}
+
+describe('paginate', () => {
+  it('walks the sorted result set page by page', () => {
+    assert.deepEqual(allPages({ category: 'physics', page_size: 2 }), [['l0', 'l3'], ['l1', 'l4'], ['l2']]);
+  });
+
+  it('resumes after the last item, not at an offset, when items are added', () => {
+    const first = paginate(ITEMS, { request: { page_size: 2 }, keyOf });
+    const grown = [{ id: 'l9', year: 1990 }, ...ITEMS];
+    const second = paginate(grown, { request: { page_size: 2, page_token: first.next_page_token }, keyOf });
+    assert.deepEqual(second.items.map((item) => item.id), ['l1', 'l4']);
+  });
+
+  it('rejects page sizes out of range', () => {
+    assert.match(paginate(ITEMS, { request: { page_size: 1001 }, keyOf }).error, /page_size/);
+    assert.match(paginate(ITEMS, { request: { page_size: -1 }, keyOf }).error, /page_size/);
+  });
+
+  describe('page tokens', () => {
+    const firstPage = () => paginate(ITEMS, { request: { category: 'physics', page_size: 2 }, keyOf });
+
+    it('reject malformed tokens', () => {
+      ['garbage', Buffer.from('{"q":1}').toString('base64url'), Buffer.from('[]').toString('base64url')].forEach((token) => {
+        assert.match(paginate(ITEMS, { request: { page_token: token }, keyOf }).error, /malformed/);
+      });
+    });
+
+    it('reject tokens issued for another request', () => {
+      const { next_page_token: token } = firstPage();
+      const page = paginate(ITEMS, { request: { category: 'peace', page_size: 2, page_token: token }, keyOf });
+      assert.match(page.error, /does not belong to this request/);
+    });
+
+    it('reject tokens whose fingerprint was edited', () => {
+      const decoded = decodePageToken(firstPage().next_page_token);
+      const lastCharacter = decoded.q.endsWith('0') ? '1' : '0';
+      const tampered = encodePageToken(`${decoded.q.slice(0, -1)}${lastCharacter}`, decoded.after);
+      const page = paginate(ITEMS, { request: { category: 'physics', page_size: 2, page_token: tampered }, keyOf });
+      assert.match(page.error, /does not belong to this request/);
+    });
+
+    it('may change the page size between pages', () => {
+      const { next_page_token: token } = firstPage();
+      const page = paginate(ITEMS, { request: { category: 'physics', page_size: 10, page_token: token }, keyOf });
+      assert.deepEqual(page.items.map((item) => item.id), ['l1', 'l4', 'l2']);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+// server/test/queryBuilder.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  QueryError,
+  escapeToken,
+  tagFilter,
+  numericFilter,
+  textTerms,
+  textFilter,
+  phraseFilter,
+  buildQuery,
+  matchesKeyword,
+  resultLimit,
+  checkResultSize,
+} = require('../lib/queryBuilder');
+const { stem } = require('../lib/stemmer');
+
+describe('escapeToken', () => {
+  it('escapes every RediSearch special character', () => {
+    assert.equal(escapeToken('a-b|c}@d'), 'a\\-b\\|c\\}\\@d');
+    assert.equal(escapeToken('x) | @year:[0 9999] (y'), 'x\\)\\ \\|\\ \\@year\\:\\[0\\ 9999\\]\\ \\(y');
+  });
+
+  it('leaves letters, digits and underscores alone', () => {
+    assert.equal(escapeToken('Curie_1911é'), 'Curie_1911é');
+  });
+});
+
+describe('tagFilter', () => {
+  it('combines values and escapes each of them', () => {
+    assert.equal(tagFilter('category', ['chemistry', 'peace']), '@category:{chemistry | peace}');
+    assert.equal(tagFilter('category', 'peace} | {physics'), '@category:{peace\\}\\ \\|\\ \\{physics}');
+  });
+
+  it('is left out without values', () => {
+    assert.equal(tagFilter('category', undefined), null);
+    assert.equal(tagFilter('category', ['', '  ']), null);
+  });
+
+  it('limits how many values and how long they may be', () => {
+    assert.throws(() => tagFilter('category', Array.from({ length: 11 }, (_, i) => `c${i}`)), QueryError);
+    assert.throws(() => tagFilter('category', 'x'.repeat(65)), QueryError);
+  });
+});
+
+describe('numericFilter', () => {
+  it('builds open-ended ranges, treating 0 as unset', () => {
+    assert.equal(numericFilter('year', 2000, 2010), '@year:[2000 2010]');
+    assert.equal(numericFilter('year', 2000, 0), '@year:[2000 +inf]');
+    assert.equal(numericFilter('year', undefined, 2010), '@year:[-inf 2010]');
+    assert.equal(numericFilter('year', 0, 0), null);
+  });
+
+  it('rejects fractional and inverted bounds', () => {
+    assert.throws(() => numericFilter('year', '2000]', 2010), QueryError);
+    assert.throws(() => numericFilter('year', 2010, 2000), /must not be above/);
+  });
+});
+
+describe('textTerms', () => {
+  it('escapes terms and keeps prefix queries on plain words', () => {
+    assert.deepEqual(textTerms('gene edit*'), ['gene', 'edit*']);
+    assert.deepEqual(textTerms('-war @year:*'), ['\\-war', '\\@year\\:\\*']);
+  });
+
+  it('matches "*" literally where prefixes are not allowed', () => {
+    assert.deepEqual(textTerms('edit*', { allowPrefix: false }), ['edit\\*']);
+  });
+
+  it('rejects empty, wildcard-only, short-prefix and overlong searches', () => {
+    assert.throws(() => textTerms('  '), /cannot be empty/);
+    assert.throws(() => textTerms('*'), /Wildcard-only/);
+    assert.throws(() => textTerms('ab*'), /at least 3 letters/);
+    assert.throws(() => textTerms('a b c d e f g h i'), /at most 8 terms/);
+  });
+
+  it('builds text and phrase filters', () => {
+    assert.equal(textFilter(['motivation', 'overallMotivation'], 'war'), '@motivation|overallMotivation:(war)');
+    assert.equal(phraseFilter('firstname', 'Marie*'), '@firstname:"Marie\\*"');
+    assert.equal(buildQuery([null, '@a:{b}', '@year:[1 2]']), '@a:{b} @year:[1 2]');
+    assert.equal(buildQuery([null]), '*');
+  });
+});
+
+describe('matchesKeyword', () => {
+  const motivation = '"for their discoveries concerning the gene-editing of Organisms"';
+
+  it('matches words by their stems, as the index does', () => {
+    assert.equal(matchesKeyword(motivation, 'discovery'), true);
+    assert.equal(matchesKeyword(motivation, 'ORGANISM concerns'), true);
+    assert.equal(matchesKeyword(motivation, 'edits'), true);
+  });
+
+  it('does not match inside words', () => {
+    assert.equal(matchesKeyword(motivation, 'cover'), false);
+    assert.equal(matchesKeyword(motivation, 'gan'), false);
+  });
+
+  it('matches prefixes at the start of words', () => {
+    assert.equal(matchesKeyword(motivation, 'disc* gene'), true);
+    assert.equal(matchesKeyword(motivation, 'iscov*'), false);
+  });
+
+  it('ignores stopwords and needs every other term', () => {
+    assert.equal(matchesKeyword(motivation, 'the discovery of'), true);
+    assert.equal(matchesKeyword(motivation, 'discovery peace'), false);
+  });
+});
+
+describe('stem', () => {
+  it('follows the Snowball English stemmer', () => {
+    const expected = {
+      discoveries: 'discoveri',
+      discovery: 'discoveri',
+      generously: 'generous',
+      organisms: 'organ',
+      organizations: 'organ',
+      hopping: 'hop',
+      relational: 'relat',
+      skies: 'sky',
+      constructor: 'constructor',
+    };
+    Object.entries(expected).forEach(([word, root]) => assert.equal(stem(word), root, word));
+  });
+});
+
+describe('result guards', () => {
+  it('validates limits', () => {
+    assert.equal(resultLimit(0, 10, 100), 10);
+    assert.equal(resultLimit(500, 10, 100), 100);
+    assert.throws(() => resultLimit(-1, 10, 100), QueryError);
+  });
+
+  it('rejects result sets that are too large', () => {
+    assert.doesNotThrow(() => checkResultSize(10, 10));
+    assert.throws(() => checkResultSize(11, 10), /narrow it down/);
+  });
+});
@@ -0,0 +1,148 @@
+// server/test/rateLimit.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const grpc = require('@grpc/grpc-js');
+const {
+  RATE_LIMIT_PREFIX,
+  RateLimitError,
+  loadRateLimitConfig,
+  peerAddress,
+  clientAddress,
+  createRateLimiter,
+} = require('../lib/rateLimit');
+const { createLuaRedis } = require('./helpers/luaRedis');
+
+const PATH = '/prize.PrizeService/GetPrize';
+
+/**
+ * Builds a configuration with one bucket and the given costs.
+ * @param {Object} [costs] - Costs by method name.
+ * @returns {Object} The configuration, as loadRateLimitConfig returns it.
+ */
+function config(costs = {}) {
+  return { enabled: true, bucket: { capacity: 3, refillPerSecond: 1 }, clients: {}, costs: { default: 1, ...costs } };
+}
+
+/**
+ * Writes a rate limit configuration to a temporary file.
+ * @param {Object} content - The configuration.
+ * @returns {string} The file path.
+ */
+function writeConfig(content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ratelimit-')), 'rateLimits.json');
+  fs.writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+describe('token bucket script', () => {
+  it('admits calls until the bucket is empty, then reports when the next one fits', async () => {
+    const redis = createLuaRedis();
+    const limiter = createRateLimiter(redis, config());
+
+    for (let i = 0; i < 3; i++) {
+      await limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1');
+    }
+    await assert.rejects(limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1'), (error) => {
+      assert.ok(error instanceof RateLimitError);
+      assert.equal(error.code, grpc.status.RESOURCE_EXHAUSTED);
+      assert.equal(error.retryAfterMs, 1000);
+      return true;
+    });
+  });
+
+  it('refills at the configured rate on the Redis clock, up to the capacity', async () => {
+    const redis = createLuaRedis();
+    const limiter = createRateLimiter(redis, config());
+    const bucketKey = `${RATE_LIMIT_PREFIX}peer:10.0.0.1`;
+
+    for (let i = 0; i < 3; i++) {
+      await limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1');
+    }
+    redis.clock.now += 1500;
+    await limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1');
+    assert.equal(Number(redis.hashes.get(bucketKey).tokens), 0.5);
+
+    redis.clock.now += 60000;
+    await limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1');
+    assert.equal(Number(redis.hashes.get(bucketKey).tokens), 2);
+    // The bucket expires once it would have refilled completely
+    assert.equal(redis.ttls.get(bucketKey), 4000);
+  });
+
+  it('charges each method its cost and lets free methods through without touching Redis', async () => {
+    const redis = createLuaRedis();
+    const limiter = createRateLimiter(redis, config({ GetPrize: 2, Check: 0 }));
+
+    await limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1');
+    await assert.rejects(limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1'), RateLimitError);
+    await limiter.limit('/grpc.health.v1.Health/Check', new grpc.Metadata(), '10.0.0.2');
+    assert.equal(redis.hashes.has(`${RATE_LIMIT_PREFIX}peer:10.0.0.2`), false);
+  });
+
+  it('keeps a bucket per client address', async () => {
+    const redis = createLuaRedis();
+    const limiter = createRateLimiter(redis, config({ GetPrize: 3 }));
+
+    await limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1');
+    await limiter.limit(PATH, new grpc.Metadata(), '10.0.0.2');
+    await assert.rejects(limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1'), RateLimitError);
+  });
+
+  it('lets calls through when Redis cannot be reached', async () => {
+    const limiter = createRateLimiter({ eval: async () => { throw new Error('connection refused'); } }, config());
+    await limiter.limit(PATH, new grpc.Metadata(), '10.0.0.1');
+  });
+});
+
+describe('clientAddress', () => {
+  const forwarded = (value) => {
+    const metadata = new grpc.Metadata();
+    metadata.set('x-forwarded-for', value);
+    return metadata;
+  };
+
+  it('ignores x-forwarded-for without trusted proxies', () => {
+    assert.equal(clientAddress(forwarded('203.0.113.9'), '10.0.0.1', 0), '10.0.0.1');
+  });
+
+  it('takes the entry the trusted proxy appended, not the ones the client sent', () => {
+    assert.equal(clientAddress(forwarded('198.51.100.1, 203.0.113.9'), '10.0.0.1', 1), '203.0.113.9');
+    assert.equal(clientAddress(forwarded('198.51.100.1, 203.0.113.9, 10.1.1.1'), '10.0.0.1', 2), '203.0.113.9');
+  });
+
+  it('falls back to the peer without x-forwarded-for', () => {
+    assert.equal(clientAddress(new grpc.Metadata(), '10.0.0.1', 1), '10.0.0.1');
+  });
+
+  it('strips the port from peers', () => {
+    assert.equal(peerAddress('10.0.0.7:53412'), '10.0.0.7');
+    assert.equal(peerAddress('::1:53412'), '::1');
+  });
+});
+
+describe('loadRateLimitConfig', () => {
+  it('loads the shipped configuration', () => {
+    const loaded = loadRateLimitConfig(path.join(__dirname, '..', 'rateLimits.json'));
+    assert.equal(loaded.enabled, true);
+    assert.equal(loaded.costs.Check, 0);
+  });
+
+  it('rejects buckets without a positive capacity or refill rate', () => {
+    assert.throws(() => loadRateLimitConfig(writeConfig({ bucket: { capacity: 0, refillPerSecond: 1 } })), /positive capacity/);
+    assert.throws(
+      () => loadRateLimitConfig(writeConfig({ bucket: { capacity: 5, refillPerSecond: 1 }, clients: { ci: { capacity: 5 } } })),
+      /for client "ci"/
+    );
+  });
+
+  it('rejects costs no bucket could ever pay', () => {
+    assert.throws(
+      () => loadRateLimitConfig(writeConfig({ bucket: { capacity: 5, refillPerSecond: 1 }, costs: { StreamPrizes: 6 } })),
+      /between 0 and 5/
+    );
+  });
+});
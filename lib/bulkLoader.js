@@ -0,0 +1,304 @@
+// lib/bulkLoader.js
+
+const fs = require('fs');
+const path = require('path');
+const { contentHash } = require('./upsertPlan');
+
+// Default directory for checkpoint files (relative to the repository root)
+const DEFAULT_CHECKPOINT_DIR = path.join(__dirname, '..', '.checkpoints');
+
+/**
+ * yargs option definitions for bulk loading shared by the uploaders.
+ */
+const bulkOptions = {
+  'batch-size': {
+    description: 'Number of documents written per pipeline',
+    type: 'number',
+    default: 100,
+  },
+  concurrency: {
+    description: 'Number of pipelines in flight at once',
+    type: 'number',
+    default: 4,
+  },
+  multi: {
+    description: 'Wrap each batch in MULTI/EXEC instead of a plain pipeline',
+    type: 'boolean',
+    default: false,
+  },
+  retries: {
+    description: 'Retries per batch, with exponential backoff and jitter',
+    type: 'number',
+    default: 5,
+  },
+  checkpoint: {
+    description: 'Checkpoint file used to resume an interrupted load',
+    type: 'string',
+  },
+  resume: {
+    description: 'Resume from an existing checkpoint (use --no-resume to start over)',
+    type: 'boolean',
+    default: true,
+  },
+};
+
+/**
+ * yargs check for the bulk options: a batch size or concurrency that is not a positive
+ * whole number would loop forever or start no workers at all.
+ * @param {Object} argv - The parsed yargs arguments.
+ * @returns {boolean} true when the options are usable.
+ * @throws {Error} Naming the first invalid option.
+ */
+function checkBulkOptions(argv) {
+  ['batch-size', 'concurrency'].forEach((name) => {
+    if (!Number.isInteger(argv[name]) || argv[name] < 1) {
+      throw new Error(`--${name} must be a positive whole number.`);
+    }
+  });
+  if (!Number.isInteger(argv.retries) || argv.retries < 0) {
+    throw new Error('--retries must be a whole number, 0 or more.');
+  }
+  return true;
+}
+
+/**
+ * Computes a "full jitter" exponential backoff delay.
+ * @param {number} attempt - The zero-based retry attempt.
+ * @param {number} baseDelayMs - The delay before the first retry.
+ * @param {number} maxDelayMs - The upper bound on any delay.
+ * @returns {number} The delay in milliseconds.
+ */
+function backoffDelay(attempt, baseDelayMs = 100, maxDelayMs = 5000) {
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+}
+
+/**
+ * Runs an async function, retrying failures with exponential backoff and jitter.
+ * @param {Function} fn - The function to run.
+ * @param {Object} [options] - Retry options.
+ * @param {number} [options.retries=5] - Maximum number of retries.
+ * @param {number} [options.baseDelayMs=100] - The delay before the first retry.
+ * @param {number} [options.maxDelayMs=5000] - The upper bound on any delay.
+ * @param {string} [options.label='operation'] - Name used in retry warnings.
+ * @returns {Promise<*>} The result of fn.
+ */
+async function withRetry(fn, { retries = 5, baseDelayMs = 100, maxDelayMs = 5000, label = 'operation' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries) {
+        throw error;
+      }
+      const delay = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+      console.warn(`Retrying ${label} in ${Math.round(delay)} ms (Attempt ${attempt + 1}): ${error.message}`);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Creates a progress reporter that draws a live bar on a terminal,
+ * or logs every 10% when output is redirected.
+ * @param {number} total - The total number of operations.
+ * @param {string} [label='Loading'] - Text shown before the bar.
+ * @returns {{tick: Function, done: Function}} The reporter.
+ */
+function createProgress(total, label = 'Loading') {
+  const stream = process.stderr;
+  const startedAt = Date.now();
+  let completed = 0;
+  let lastLoggedStep = -1;
+
+  const rate = () => completed / Math.max((Date.now() - startedAt) / 1000, 0.001);
+
+  function render() {
+    const ratio = total === 0 ? 1 : completed / total;
+    const throughput = rate();
+    if (stream.isTTY) {
+      const width = 30;
+      const filled = Math.round(ratio * width);
+      const eta = throughput > 0 ? Math.ceil((total - completed) / throughput) : 0;
+      stream.write(
+        `\r${label} [${'#'.repeat(filled)}${'-'.repeat(width - filled)}] ` +
+          `${Math.floor(ratio * 100)}% ${completed}/${total} ${throughput.toFixed(1)} docs/s ETA ${eta}s `
+      );
+    } else {
+      const step = Math.floor(ratio * 10);
+      if (step !== lastLoggedStep) {
+        lastLoggedStep = step;
+        console.log(`${label}: ${completed}/${total} (${Math.floor(ratio * 100)}%) ${throughput.toFixed(1)} docs/s`);
+      }
+    }
+  }
+
+  return {
+    tick(count = 1) {
+      completed += count;
+      render();
+    },
+    done() {
+      if (stream.isTTY) {
+        stream.write('\n');
+      }
+      const seconds = (Date.now() - startedAt) / 1000;
+      console.log(`${label}: ${completed} operations in ${seconds.toFixed(1)} s (${rate().toFixed(1)} docs/s).`);
+    },
+  };
+}
+
+/**
+ * Reads a checkpoint file if it belongs to the same load.
+ * @param {string} checkpointPath - The checkpoint file path.
+ * @param {string} fingerprint - Identifies the desired dataset.
+ * @returns {Set<string>} The keys already written or deleted.
+ */
+function loadCheckpoint(checkpointPath, fingerprint) {
+  if (!fs.existsSync(checkpointPath)) {
+    return new Set();
+  }
+  try {
+    const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, 'utf8'));
+    if (checkpoint.fingerprint !== fingerprint) {
+      console.log('Checkpoint belongs to a different dataset; starting over.');
+      return new Set();
+    }
+    return new Set(checkpoint.completed);
+  } catch (error) {
+    console.warn(`Ignoring unreadable checkpoint ${checkpointPath}: ${error.message}`);
+    return new Set();
+  }
+}
+
+/**
+ * Writes the checkpoint file.
+ * @param {string} checkpointPath - The checkpoint file path.
+ * @param {string} fingerprint - Identifies the desired dataset.
+ * @param {Set<string>} completed - The keys already written or deleted.
+ */
+function saveCheckpoint(checkpointPath, fingerprint, completed) {
+  fs.mkdirSync(path.dirname(checkpointPath), { recursive: true });
+  fs.writeFileSync(
+    checkpointPath,
+    JSON.stringify({ fingerprint, updatedAt: new Date().toISOString(), completed: [...completed] })
+  );
+}
+
+/**
+ * Fingerprints the desired dataset of a plan. Completed writes turn into
+ * "unchanged" entries when the plan is rebuilt, so the fingerprint only
+ * depends on the desired keys and hashes, not on the actions.
+ * @param {Object} plan - The plan from buildPlan.
+ * @returns {string} The fingerprint.
+ */
+function planFingerprint(plan) {
+  const desired = [...plan.create, ...plan.update, ...plan.unchanged]
+    .map(({ key, hash }) => `${key}=${hash}`)
+    .sort();
+  return contentHash(desired);
+}
+
+/**
+ * Applies a plan in pipelined batches: writes created and updated documents,
+ * deletes vanished ones, and keeps the content hash index in step.
+ * Progress is checkpointed after every batch so an interrupted load resumes.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} plan - The plan from buildPlan.
+ * @param {Object} options - How to write.
+ * @param {string} options.hashesKey - Redis HASH that maps document keys to content hashes.
+ * @param {string} options.name - Name of the load, used for the default checkpoint file.
+ * @param {number} [options.batchSize=100] - Documents per pipeline.
+ * @param {number} [options.concurrency=4] - Pipelines in flight at once.
+ * @param {boolean} [options.multi=false] - Use MULTI/EXEC instead of a plain pipeline.
+ * @param {number} [options.retries=5] - Retries per batch.
+ * @param {string} [options.checkpoint] - Checkpoint file path.
+ * @param {boolean} [options.resume=true] - Whether to honour an existing checkpoint.
+ */
+async function applyPlanInBatches(client, plan, options) {
+  const {
+    hashesKey,
+    name,
+    batchSize = 100,
+    concurrency = 4,
+    multi = false,
+    retries = 5,
+    checkpoint,
+    resume = true,
+  } = options;
+
+  const checkpointPath = checkpoint || path.join(DEFAULT_CHECKPOINT_DIR, `${name}.json`);
+  const fingerprint = planFingerprint(plan);
+  const completed = resume ? loadCheckpoint(checkpointPath, fingerprint) : new Set();
+
+  const operations = [
+    ...[...plan.create, ...plan.update].map((entry) => ({ type: 'set', ...entry })),
+    ...plan.delete.map((entry) => ({ type: 'delete', ...entry })),
+  ].filter(({ key }) => !completed.has(key));
+
+  if (completed.size > 0) {
+    console.log(`Resuming from checkpoint: ${completed.size} operations already done.`);
+  }
+
+  const batches = [];
+  for (let i = 0; i < operations.length; i += batchSize) {
+    batches.push(operations.slice(i, i + batchSize));
+  }
+
+  const progress = createProgress(operations.length, `Loading ${name}`);
+  let nextBatch = 0;
+  let failed = false;
+
+  async function runBatch(batch, batchIndex) {
+    await withRetry(async () => {
+      const pipeline = client.multi();
+      for (const operation of batch) {
+        if (operation.type === 'set') {
+          pipeline.json.set(operation.key, '.', operation.doc);
+          pipeline.hSet(hashesKey, operation.key, operation.hash);
+        } else {
+          pipeline.del(operation.key);
+          pipeline.hDel(hashesKey, operation.key);
+        }
+      }
+      return multi ? pipeline.exec() : pipeline.execAsPipeline();
+    }, { retries, label: `batch ${batchIndex + 1}/${batches.length}` });
+
+    batch.forEach(({ key }) => completed.add(key));
+    saveCheckpoint(checkpointPath, fingerprint, completed);
+    progress.tick(batch.length);
+  }
+
+  // Each worker takes the next unstarted batch until none are left
+  async function worker() {
+    while (!failed && nextBatch < batches.length) {
+      const batchIndex = nextBatch++;
+      try {
+        await runBatch(batches[batchIndex], batchIndex);
+      } catch (error) {
+        failed = true; // Stop the other workers; the checkpoint keeps what finished
+        throw error;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(concurrency, batches.length)) }, worker));
+  progress.done();
+
+  // The load finished, so there is nothing left to resume
+  if (fs.existsSync(checkpointPath)) {
+    fs.unlinkSync(checkpointPath);
+  }
+}
+
+module.exports = {
+  DEFAULT_CHECKPOINT_DIR,
+  bulkOptions,
+  checkBulkOptions,
+  backoffDelay,
+  withRetry,
+  createProgress,
+  loadCheckpoint,
+  saveCheckpoint,
+  planFingerprint,
+  applyPlanInBatches,
+};
@@ -0,0 +1,131 @@
+// lib/indexSchema.js
+
+const fs = require('fs');
+const path = require('path');
+const { contentHash } = require('./upsertPlan');
+
+// Directory holding the declarative index schemas
+const SCHEMA_DIR = path.join(__dirname, '..', 'schema');
+
+/**
+ * Loads a declarative index schema from the schema directory.
+ * @param {string} name - The schema name (e.g. 'prizes' for schema/prizes.json).
+ * @returns {Object} The schema, with alias, on, prefix and fields.
+ */
+function loadIndexSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Returns the Redis key that records which index version an alias points to.
+ * @param {string} alias - The index alias.
+ * @returns {string} The metadata key.
+ */
+function indexMetaKey(alias) {
+  return `meta:index:${alias}`;
+}
+
+/**
+ * Lists the versioned indexes that exist for an alias.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {string} alias - The index alias.
+ * @returns {Promise<Array<{name: string, version: number}>>} The versioned indexes.
+ */
+async function listIndexVersions(client, alias) {
+  const pattern = new RegExp(`^${alias.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:v(\\d+)$`);
+  const indexes = await client.ft._list();
+  return indexes
+    .map((name) => {
+      const match = pattern.exec(name);
+      return match ? { name, version: parseInt(match[1], 10) } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Waits until RediSearch has finished indexing the existing documents.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {string} indexName - The index to wait for.
+ * @param {number} [timeoutMs=120000] - How long to wait before giving up.
+ */
+async function waitForIndexing(client, indexName, timeoutMs = 120000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const info = await client.ft.info(indexName);
+    if (Number(info.indexing) === 0 && Number(info.percentIndexed) >= 1) {
+      return;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${indexName} to finish indexing.`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 250));
+  }
+}
+
+/**
+ * Builds a new versioned index from a schema and atomically repoints the alias to it.
+ * Readers keep using the alias, so they never see a missing index. Old versions are
+ * dropped afterwards without deleting documents.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} schema - The schema from loadIndexSchema.
+ * @param {Object} [options] - Reindex options.
+ * @param {boolean} [options.force=false] - Rebuild even if the schema is unchanged.
+ * @returns {Promise<string>} The name of the index the alias points to.
+ */
+async function reindex(client, schema, { force = false } = {}) {
+  const { alias } = schema;
+  const schemaHash = contentHash(schema);
+  const metaKey = indexMetaKey(alias);
+
+  const meta = await client.json.get(metaKey);
+  const existing = await client.ft._list();
+  // Before aliases were used, the alias name was itself a plain index
+  const legacyIndex = existing.includes(alias);
+
+  if (!force && !legacyIndex && meta && meta.schemaHash === schemaHash && existing.includes(meta.index)) {
+    console.log(`Index "${alias}" -> "${meta.index}" is up to date.`);
+    return meta.index;
+  }
+
+  const versions = await listIndexVersions(client, alias);
+  const nextVersion = versions.reduce((max, { version }) => Math.max(max, version), 0) + 1;
+  const indexName = `${alias}:v${nextVersion}`;
+
+  await client.ft.create(indexName, schema.fields, {
+    ON: schema.on,
+    PREFIX: schema.prefix,
+  });
+  console.log(`Created index "${indexName}", waiting for it to finish indexing...`);
+  await waitForIndexing(client, indexName);
+
+  if (legacyIndex) {
+    // One-off migration: the plain index has to go before its name can become an alias
+    await client.ft.dropIndex(alias, { DD: false });
+    console.log(`Dropped legacy index "${alias}" to replace it with an alias.`);
+  }
+
+  await client.ft.aliasUpdate(alias, indexName);
+  await client.json.set(metaKey, '.', {
+    index: indexName,
+    version: nextVersion,
+    schemaHash,
+    createdAt: new Date().toISOString(),
+  });
+  console.log(`Alias "${alias}" now points to "${indexName}".`);
+
+  for (const { name } of versions) {
+    await client.ft.dropIndex(name, { DD: false });
+    console.log(`Dropped previous index "${name}".`);
+  }
+
+  return indexName;
+}
+
+module.exports = {
+  SCHEMA_DIR,
+  loadIndexSchema,
+  indexMetaKey,
+  listIndexVersions,
+  waitForIndexing,
+  reindex,
+};
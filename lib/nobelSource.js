@@ -0,0 +1,212 @@
+// lib/nobelSource.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Default source used when no --source option is given
+const DEFAULT_SOURCE = 'http://api.nobelprize.org/v1/prize.json';
+
+// Laureates document loaded with the default source; its gender ('org') tells organisations apart
+const DEFAULT_LAUREATES_SOURCE = 'http://api.nobelprize.org/v1/laureate.json';
+
+// Default directory for timestamped snapshots (relative to the repository root)
+const DEFAULT_SNAPSHOT_DIR = process.env.NOBEL_SNAPSHOT_DIR || path.join(__dirname, '..', 'snapshots');
+
+/**
+ * Reads all of stdin and returns it as a string.
+ * @returns {Promise<string>} The raw stdin contents.
+ */
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    process.stdin.on('data', (chunk) => chunks.push(chunk));
+    process.stdin.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    process.stdin.on('error', reject);
+  });
+}
+
+/**
+ * Parses a JSON string, naming the source in the error message if it fails.
+ * @param {string} text - The raw JSON text.
+ * @param {string} source - A description of where the text came from.
+ * @returns {Object} The parsed data.
+ */
+function parseJson(text, source) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON from ${source}: ${error.message}`);
+  }
+}
+
+/**
+ * Loads Nobel Prize data from a URL, a local JSON file, or stdin ('-').
+ * @param {string} source - The URL, file path, or '-' for stdin.
+ * @returns {Promise<Object>} The loaded data in JSON format.
+ */
+async function loadSource(source = DEFAULT_SOURCE) {
+  if (source === '-') {
+    return parseJson(await readStdin(), 'stdin');
+  }
+
+  if (/^https?:\/\//i.test(source)) {
+    // The global fetch (Node 18+): the nobel-prize-redis package does not depend on node-fetch
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  const filePath = path.resolve(source);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Source file not found: ${filePath}`);
+  }
+  return parseJson(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+/**
+ * Saves fetched data as a timestamped snapshot file.
+ * @param {Object} data - The data to save.
+ * @param {string} snapshotDir - The directory that holds snapshots.
+ * @returns {string} The path of the written snapshot.
+ */
+function saveSnapshot(data, snapshotDir = DEFAULT_SNAPSHOT_DIR) {
+  fs.mkdirSync(snapshotDir, { recursive: true });
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const snapshotPath = path.join(snapshotDir, `nobel_${timestamp}.json`);
+  fs.writeFileSync(snapshotPath, JSON.stringify(data));
+  return snapshotPath;
+}
+
+/**
+ * Lists the snapshot files in a directory, oldest first.
+ * @param {string} snapshotDir - The directory that holds snapshots.
+ * @returns {Array<string>} The snapshot file paths.
+ */
+function listSnapshots(snapshotDir = DEFAULT_SNAPSHOT_DIR) {
+  if (!fs.existsSync(snapshotDir)) {
+    return [];
+  }
+  // ISO timestamps in the file names sort chronologically
+  return fs
+    .readdirSync(snapshotDir)
+    .filter((name) => /^nobel_.*\.json$/.test(name))
+    .sort()
+    .map((name) => path.join(snapshotDir, name));
+}
+
+/**
+ * Resolves a --from-snapshot value to a file path.
+ * Accepts 'latest', a snapshot file name, or a path.
+ * @param {string} ref - The snapshot reference.
+ * @param {string} snapshotDir - The directory that holds snapshots.
+ * @returns {string} The resolved snapshot path.
+ */
+function resolveSnapshot(ref, snapshotDir = DEFAULT_SNAPSHOT_DIR) {
+  if (!ref || ref === 'latest') {
+    const snapshots = listSnapshots(snapshotDir);
+    if (snapshots.length === 0) {
+      throw new Error(`No snapshots found in ${snapshotDir}`);
+    }
+    return snapshots[snapshots.length - 1];
+  }
+
+  const inDir = path.join(snapshotDir, ref);
+  return fs.existsSync(inDir) ? inDir : path.resolve(ref);
+}
+
+/**
+ * Fetches Nobel Prize data according to the CLI options.
+ * Data loaded from a source is saved as a snapshot unless disabled;
+ * data loaded from a snapshot is returned as-is.
+ * @param {Object} options - The source options.
+ * @param {string} [options.source] - URL, file path, or '-' for stdin.
+ * @param {string} [options.laureatesSource] - Laureates document merged into the source data
+ * (defaults to DEFAULT_LAUREATES_SOURCE with the default source).
+ * @param {string|boolean} [options.fromSnapshot] - Snapshot to reuse instead of the source.
+ * @param {string} [options.snapshotDir] - Directory that holds snapshots.
+ * @param {boolean} [options.snapshot=true] - Whether to save a snapshot after loading.
+ * @returns {Promise<Object>} The fetched data in JSON format.
+ */
+async function fetchNobelData(options = {}) {
+  const {
+    source = DEFAULT_SOURCE,
+    laureatesSource = source === DEFAULT_SOURCE ? DEFAULT_LAUREATES_SOURCE : undefined,
+    fromSnapshot,
+    snapshotDir = DEFAULT_SNAPSHOT_DIR,
+    snapshot = true,
+  } = options;
+
+  // A bare --from-snapshot arrives as an empty string and means "latest"
+  if (fromSnapshot !== undefined && fromSnapshot !== false) {
+    const snapshotPath = resolveSnapshot(fromSnapshot, snapshotDir);
+    console.log(`Loading snapshot ${snapshotPath}...`);
+    return loadSource(snapshotPath);
+  }
+
+  console.log(`Loading data from ${source === '-' ? 'stdin' : source}...`);
+  const data = await loadSource(source);
+
+  // Laureate details (v1 gender; v2 gender, birth and affiliations) live in a separate
+  // document; keep them in the same snapshot
+  if (laureatesSource) {
+    console.log(`Loading laureates from ${laureatesSource}...`);
+    const laureatesData = await loadSource(laureatesSource);
+    data.laureates = laureatesData.laureates || [];
+  }
+
+  if (snapshot) {
+    const snapshotPath = saveSnapshot(data, snapshotDir);
+    console.log(`Saved snapshot to ${snapshotPath}`);
+  }
+
+  return data;
+}
+
+/**
+ * yargs option definitions shared by the uploaders.
+ */
+const sourceOptions = {
+  source: {
+    description: 'Data source: a URL, a local JSON file, or - for stdin',
+    type: 'string',
+    default: DEFAULT_SOURCE,
+  },
+  'laureates-source': {
+    description: 'A URL or local JSON file with the laureates document: v1 laureate.json (gender) or v2 '
+      + `laureates (gender, birth, affiliations); defaults to ${DEFAULT_LAUREATES_SOURCE} with the default source`,
+    type: 'string',
+  },
+  format: {
+    description: 'Data model of the source',
+    choices: ['auto', 'v1', 'v2'],
+    default: 'auto',
+  },
+  'from-snapshot': {
+    description: 'Reuse a saved snapshot (file name, path, or "latest") instead of the source',
+    type: 'string',
+  },
+  'snapshot-dir': {
+    description: 'Directory where snapshots are saved and looked up',
+    type: 'string',
+    default: DEFAULT_SNAPSHOT_DIR,
+  },
+  snapshot: {
+    description: 'Save a timestamped snapshot of the loaded data (use --no-snapshot to skip)',
+    type: 'boolean',
+    default: true,
+  },
+};
+
+module.exports = {
+  DEFAULT_SOURCE,
+  DEFAULT_LAUREATES_SOURCE,
+  DEFAULT_SNAPSHOT_DIR,
+  loadSource,
+  saveSnapshot,
+  listSnapshots,
+  resolveSnapshot,
+  fetchNobelData,
+  sourceOptions,
+};
@@ -0,0 +1,222 @@
+// lib/nobelV2.js
+
+const { annotateLaureateType } = require('../grpc-service/server/lib/laureateType');
+
+// Maps Nobel Prize API v2 category names onto the v1 category slugs used as keys and TAG values
+const V2_CATEGORY_SLUGS = {
+  Chemistry: 'chemistry',
+  'Economic Sciences': 'economics',
+  Literature: 'literature',
+  Peace: 'peace',
+  Physics: 'physics',
+  'Physiology or Medicine': 'medicine',
+};
+
+/**
+ * Picks the English value of a v2 multilingual field.
+ * @param {Object} field - A v2 field such as { en, se, no }.
+ * @returns {string} The English value, or an empty string.
+ */
+function en(field) {
+  return (field && field.en) || '';
+}
+
+/**
+ * Converts a v2 portion ("1/2") into a v1 share ("2").
+ * @param {string} portion - The v2 prize portion.
+ * @returns {string} The v1 share.
+ */
+function portionToShare(portion) {
+  if (!portion) {
+    return '1';
+  }
+  const [numerator, denominator] = String(portion).split('/').map(Number);
+  if (!denominator) {
+    return '1';
+  }
+  return String(Math.round(denominator / numerator));
+}
+
+/**
+ * Converts a v2 category into a v1 category slug.
+ * @param {Object|string} category - The v2 category field.
+ * @returns {string} The v1 category slug.
+ */
+function toCategorySlug(category) {
+  const name = typeof category === 'string' ? category : en(category);
+  return V2_CATEGORY_SLUGS[name] || name.toLowerCase().replace(/\s+/g, '-');
+}
+
+/**
+ * Collects the distinct names of a laureate across all languages.
+ * @param {Object} laureate - A v2 laureate entry.
+ * @returns {Array<string>} The distinct name variants.
+ */
+function collectNames(laureate) {
+  const names = new Set();
+  ['knownName', 'fullName', 'orgName', 'nativeName'].forEach((field) => {
+    const value = laureate[field];
+    if (typeof value === 'string') {
+      names.add(value);
+    } else if (value) {
+      Object.values(value).forEach((name) => names.add(name));
+    }
+  });
+  return [...names].filter(Boolean);
+}
+
+/**
+ * Maps a v2 birth (or founding) block onto a flat object.
+ * @param {Object} birth - The v2 birth or founded block.
+ * @returns {Object|undefined} The flattened birth data.
+ */
+function normalizeBirth(birth) {
+  if (!birth) {
+    return undefined;
+  }
+  const year = parseInt(String(birth.date || '').slice(0, 4), 10);
+  const place = birth.place || {};
+  return {
+    date: birth.date || '',
+    year: isNaN(year) ? undefined : year,
+    city: en(place.city),
+    country: en(place.country),
+    countryNow: en(place.countryNow),
+  };
+}
+
+/**
+ * Maps v2 affiliations onto flat objects.
+ * @param {Array} affiliations - The v2 affiliations of a prize.
+ * @returns {Array<Object>} The flattened affiliations.
+ */
+function normalizeAffiliations(affiliations = []) {
+  return affiliations.map((affiliation) => ({
+    name: en(affiliation.name),
+    city: en(affiliation.city),
+    country: en(affiliation.country),
+  }));
+}
+
+/**
+ * Maps a v2 prize laureate, enriched with its laureate document, onto the
+ * v1 laureate shape plus the v2-only fields.
+ * @param {Object} entry - The laureate entry from a v2 nobelPrizes document.
+ * @param {Object} details - The matching v2 laureates document, if any.
+ * @param {Object} prize - The v2 prize the entry belongs to.
+ * @returns {Object} The normalized laureate.
+ */
+function normalizeLaureate(entry, details, prize) {
+  const laureate = { ...(details || {}), ...entry };
+  const isOrganization = Boolean(laureate.orgName);
+
+  // The laureate document lists every prize; pick the one matching this prize for affiliations
+  const prizeEntry = ((details && details.nobelPrizes) || []).find(
+    (p) => p.awardYear === prize.awardYear && toCategorySlug(p.category) === toCategorySlug(prize.category)
+  ) || {};
+
+  const motivation = en(entry.motivation || prizeEntry.motivation);
+
+  return {
+    id: String(laureate.id),
+    type: isOrganization ? 'organization' : 'person',
+    // Organisations carry their name in firstname, as in the v1 API
+    firstname: isOrganization ? en(laureate.orgName) : en(laureate.givenName) || en(laureate.knownName),
+    surname: isOrganization ? '' : en(laureate.familyName),
+    // v1 motivations are wrapped in double quotes
+    motivation: motivation ? `"${motivation}"` : '',
+    share: portionToShare(entry.portion || prizeEntry.portion),
+    fullname: en(laureate.fullName) || en(laureate.knownName) || en(laureate.orgName),
+    altNames: collectNames(laureate),
+    gender: laureate.gender || '',
+    birth: normalizeBirth(laureate.birth || laureate.founded),
+    affiliations: normalizeAffiliations(prizeEntry.affiliations),
+  };
+}
+
+/**
+ * Normalizes Nobel Prize API v2 data into v1-shaped prize objects.
+ * @param {Object} data - An object with `nobelPrizes` and, optionally, `laureates`.
+ * @returns {Object} An object with a v1-style `prizes` array.
+ */
+function normalizeV2(data) {
+  const laureatesById = new Map();
+  (data.laureates || []).forEach((laureate) => laureatesById.set(String(laureate.id), laureate));
+
+  const prizes = (data.nobelPrizes || []).map((prize) => ({
+    year: String(prize.awardYear),
+    category: toCategorySlug(prize.category),
+    // Set on shared prizes and on years the prize was not awarded
+    overallMotivation: en(prize.topMotivation),
+    laureates: (prize.laureates || []).map((entry) =>
+      normalizeLaureate(entry, laureatesById.get(String(entry.id)), prize)
+    ),
+    dateAwarded: prize.dateAwarded || '',
+    prizeAmount: prize.prizeAmount,
+    prizeAmountAdjusted: prize.prizeAmountAdjusted,
+  }));
+
+  return { prizes };
+}
+
+/**
+ * Copies each laureate's gender from a v1 laureates document (laureate.json) onto
+ * the prize laureates, which lack it, so organisations (gender 'org') can be told
+ * apart from people known by one name.
+ * @param {Object} data - An object with a v1 `prizes` array and, optionally, `laureates`.
+ * @returns {Object} An object with the `prizes` array, genders filled in.
+ */
+function withV1Genders(data) {
+  const { laureates = [], ...rest } = data;
+  const genders = new Map(laureates.map((laureate) => [String(laureate.id), laureate.gender]));
+  return {
+    ...rest,
+    prizes: data.prizes.map((prize) => ({
+      ...prize,
+      laureates: (prize.laureates || []).map((laureate) => {
+        const gender = laureate.gender || genders.get(String(laureate.id));
+        return gender ? { ...laureate, gender } : laureate;
+      }),
+    })),
+  };
+}
+
+/**
+ * Marks every laureate as a person or an organisation.
+ * @param {Object} data - An object with a v1-style `prizes` array.
+ * @returns {Object} The same shape, with `type` (and `orgName`) on each laureate.
+ */
+function annotateLaureateTypes(data) {
+  return {
+    ...data,
+    prizes: data.prizes.map((prize) => ({
+      ...prize,
+      laureates: (prize.laureates || []).map(annotateLaureateType),
+    })),
+  };
+}
+
+/**
+ * Detects the data model of the loaded data and returns v1-shaped prizes,
+ * with every laureate marked as a person or an organisation.
+ * @param {Object} data - Data in either the v1 (`prizes`) or v2 (`nobelPrizes`) model.
+ * @param {string} [format='auto'] - Force 'v1' or 'v2', or detect with 'auto'.
+ * @returns {Object} An object with a v1-style `prizes` array.
+ */
+function normalizeNobelData(data, format = 'auto') {
+  if (format === 'v2' || (format === 'auto' && Array.isArray(data.nobelPrizes))) {
+    return annotateLaureateTypes(normalizeV2(data));
+  }
+  if (!Array.isArray(data.prizes)) {
+    throw new Error('Unrecognised data model: expected a v1 "prizes" or v2 "nobelPrizes" array.');
+  }
+  return annotateLaureateTypes(withV1Genders(data));
+}
+
+module.exports = {
+  V2_CATEGORY_SLUGS,
+  portionToShare,
+  toCategorySlug,
+  normalizeV2,
+  normalizeNobelData,
+};
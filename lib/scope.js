@@ -0,0 +1,146 @@
+// lib/scope.js
+
+const { DATASET_META_KEY } = require('../grpc-service/server/lib/datasetMeta');
+const { parseIdentityKey } = require('./upsertPlan');
+
+// The first year Nobel Prizes were awarded
+const FIRST_NOBEL_YEAR = 1901;
+
+/**
+ * yargs option definitions for the ingestion scope shared by the uploaders.
+ */
+const scopeOptions = {
+  'start-year': {
+    description: 'First prize year to ingest',
+    type: 'number',
+    default: 2013,
+  },
+  'end-year': {
+    description: 'Last prize year to ingest',
+    type: 'number',
+    default: 2023,
+  },
+  'all-years': {
+    description: `Ingest the full history, from ${FIRST_NOBEL_YEAR} to the current year`,
+    type: 'boolean',
+    default: false,
+  },
+  category: {
+    description: 'Only ingest these categories (repeatable, e.g. --category physics --category chemistry)',
+    type: 'array',
+    string: true,
+  },
+};
+
+/**
+ * Turns the parsed CLI options into a validated ingestion scope.
+ * @param {Object} argv - The parsed yargs arguments.
+ * @returns {{startYear: number, endYear: number, categories: Array<string>|null}} The scope.
+ */
+function resolveScope(argv) {
+  const startYear = argv.allYears ? FIRST_NOBEL_YEAR : argv.startYear;
+  const endYear = argv.allYears ? new Date().getFullYear() : argv.endYear;
+
+  if (!Number.isInteger(startYear) || !Number.isInteger(endYear)) {
+    throw new Error('Start and end years must be whole numbers.');
+  }
+  if (startYear < FIRST_NOBEL_YEAR) {
+    throw new Error(`Start year cannot be before ${FIRST_NOBEL_YEAR}.`);
+  }
+  if (startYear > endYear) {
+    throw new Error('Start year must not be after end year.');
+  }
+
+  const categories = argv.category && argv.category.length > 0
+    ? argv.category.map((category) => category.toLowerCase())
+    : null;
+
+  return { startYear, endYear, categories };
+}
+
+/**
+ * Tells whether a prize is inside the ingestion scope. Prizes without a parsable year never are.
+ * @param {Object} prize - The prize object.
+ * @param {Object} scope - The scope from resolveScope.
+ * @returns {boolean} Whether the prize is ingested.
+ */
+function prizeInScope(prize, { startYear, endYear, categories }) {
+  const year = parseInt(prize.year, 10);
+  if (isNaN(year) || year < startYear || year > endYear) {
+    return false;
+  }
+  return !categories || categories.includes(prize.category);
+}
+
+/**
+ * Filters prizes to the ones inside the ingestion scope.
+ * @param {Object} data - The complete Nobel Prize data.
+ * @param {Object} scope - The scope from resolveScope.
+ * @returns {Array} An array of filtered prize objects.
+ */
+function filterDataByScope(data, scope) {
+  return data.prizes.filter((prize) => prizeInScope(prize, scope));
+}
+
+/**
+ * Groups stored document keys (prize or laureate keys, see identityKey) into one
+ * entry per prize, with the laureate ids the keys name.
+ * @param {Iterable<string>} keys - The stored keys.
+ * @returns {Array<{year: number, category: string, laureates: Array<string>}>} The prizes.
+ */
+function prizesFromKeys(keys) {
+  const prizes = new Map();
+  for (const key of keys) {
+    const { year, category, ids } = parseIdentityKey(key);
+    const prizeId = `${year}:${category}`;
+    if (!prizes.has(prizeId)) {
+      prizes.set(prizeId, { year, category, laureates: [] });
+    }
+    prizes.get(prizeId).laureates.push(...ids);
+  }
+  return [...prizes.values()];
+}
+
+/**
+ * Describes what is stored, for the server and CLI to validate requests against.
+ * A narrower run keeps the documents earlier runs stored outside its scope, so the
+ * years and categories span both the run's scope and every stored prize.
+ * @param {Object} scope - The scope from resolveScope.
+ * @param {Array} storedPrizes - Every stored prize, e.g. from prizesFromKeys.
+ * @param {Object} [extra] - Additional fields to record (e.g. the source).
+ * @returns {Object} The dataset metadata.
+ */
+function buildDatasetMeta(scope, storedPrizes, extra = {}) {
+  const years = storedPrizes.map((prize) => Number(prize.year));
+  const categories = new Set([...(scope.categories || []), ...storedPrizes.map((prize) => prize.category)]);
+  return {
+    startYear: Math.min(scope.startYear, ...years),
+    endYear: Math.max(scope.endYear, ...years),
+    categories: [...categories].sort(),
+    prizeCount: storedPrizes.length,
+    laureateCount: storedPrizes.reduce((total, prize) => total + (prize.laureates || []).length, 0),
+    ingestedAt: new Date().toISOString(),
+    ...extra,
+  };
+}
+
+/**
+ * Records the ingested scope in Redis.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} meta - The metadata from buildDatasetMeta.
+ * @param {string} [key] - The metadata key.
+ */
+async function writeDatasetMeta(client, meta, key = DATASET_META_KEY) {
+  await client.json.set(key, '.', meta);
+}
+
+module.exports = {
+  FIRST_NOBEL_YEAR,
+  scopeOptions,
+  resolveScope,
+  prizeInScope,
+  filterDataByScope,
+  prizesFromKeys,
+  buildDatasetMeta,
+  writeDatasetMeta,
+};
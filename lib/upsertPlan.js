@@ -0,0 +1,147 @@
+// lib/upsertPlan.js
+
+const crypto = require('crypto');
+
+/**
+ * Builds a deterministic Redis key from a prize's stable identity.
+ * Laureate ids are sorted so the key does not depend on source ordering.
+ * @param {string} prefix - The key prefix (e.g. 'prize').
+ * @param {string|number} year - The prize year.
+ * @param {string} category - The prize category.
+ * @param {Array<string>} ids - The laureate ids that identify the document.
+ * @returns {string} The Redis key.
+ */
+function identityKey(prefix, year, category, ids = []) {
+  const idPart = ids.length > 0 ? [...ids].map(String).sort().join('-') : 'none';
+  return `${prefix}:${year}:${category}:${idPart}`;
+}
+
+/**
+ * Splits a key built by identityKey back into its parts.
+ * @param {string} key - The Redis key.
+ * @returns {{prefix: string, year: number, category: string, ids: Array<string>}} The parts.
+ */
+function parseIdentityKey(key) {
+  const [prefix, year, category, idPart = 'none'] = key.split(':');
+  return { prefix, year: Number(year), category, ids: idPart === 'none' ? [] : idPart.split('-') };
+}
+
+/**
+ * Serializes a value to JSON with object keys sorted, so equal content always hashes the same.
+ * @param {*} value - The value to serialize.
+ * @returns {string} The canonical JSON string.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Computes the content hash of a document.
+ * @param {Object} doc - The JSON document.
+ * @returns {string} The SHA-1 hex digest of the canonical JSON.
+ */
+function contentHash(doc) {
+  return crypto.createHash('sha1').update(stableStringify(doc)).digest('hex');
+}
+
+/**
+ * Reads the keys currently stored under a prefix and their recorded content hashes.
+ * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} options - Where to look.
+ * @param {string} options.match - SCAN pattern for the document keys (e.g. 'prize:*').
+ * @param {string} options.hashesKey - Redis HASH that maps document keys to content hashes.
+ * @returns {Promise<{keys: Set<string>, hashes: Object}>} The existing state.
+ */
+async function loadExistingState(client, { match, hashesKey }) {
+  const keys = new Set();
+  for await (const key of client.scanIterator({ MATCH: match, COUNT: 500 })) {
+    keys.add(key);
+  }
+  const hashes = await client.hGetAll(hashesKey);
+  return { keys, hashes };
+}
+
+/**
+ * Compares the desired documents with what is stored and decides what to do with each key.
+ * @param {Map<string, Object>} documents - Desired documents keyed by Redis key.
+ * @param {{keys: Set<string>, hashes: Object}} existing - The state from loadExistingState.
+ * @param {Set<string>} [sourceKeys] - Every key the unfiltered source produces. Stored keys in
+ * it are kept even when outside the ingestion scope; defaults to the keys of documents.
+ * @returns {Object} The plan, with create, update, unchanged and delete entries.
+ */
+function buildPlan(documents, existing, sourceKeys = new Set(documents.keys())) {
+  const plan = { create: [], update: [], unchanged: [], delete: [] };
+
+  for (const [key, doc] of documents) {
+    const hash = contentHash(doc);
+    if (!existing.keys.has(key)) {
+      plan.create.push({ key, doc, hash });
+    } else if (existing.hashes[key] !== hash) {
+      plan.update.push({ key, doc, hash });
+    } else {
+      plan.unchanged.push({ key, hash });
+    }
+  }
+
+  // Anything stored under the prefix that the source no longer produces is removed;
+  // documents a narrower scope merely skipped stay
+  for (const key of existing.keys) {
+    if (!documents.has(key) && !sourceKeys.has(key)) {
+      plan.delete.push({ key });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Lists the keys stored once a plan is applied: its documents, and the stored ones
+ * outside the scope it was built for, which it keeps.
+ * @param {Object} plan - The plan from buildPlan.
+ * @param {{keys: Set<string>}} existing - The state the plan was built against.
+ * @returns {Set<string>} The stored keys.
+ */
+function storedKeysAfter(plan, existing) {
+  const deleted = new Set(plan.delete.map(({ key }) => key));
+  const keys = new Set([...existing.keys].filter((key) => !deleted.has(key)));
+  [...plan.create, ...plan.update, ...plan.unchanged].forEach(({ key }) => keys.add(key));
+  return keys;
+}
+
+/**
+ * Prints a summary of the plan, and every affected key when detailed.
+ * @param {Object} plan - The plan from buildPlan.
+ * @param {boolean} [detailed=false] - Whether to list each key.
+ */
+function printPlan(plan, detailed = false) {
+  console.log(
+    `Plan: ${plan.create.length} to create, ${plan.update.length} to update, ` +
+      `${plan.delete.length} to delete, ${plan.unchanged.length} unchanged.`
+  );
+  if (detailed) {
+    plan.create.forEach(({ key }) => console.log(`  + ${key}`));
+    plan.update.forEach(({ key }) => console.log(`  ~ ${key}`));
+    plan.delete.forEach(({ key }) => console.log(`  - ${key}`));
+  }
+}
+
+module.exports = {
+  identityKey,
+  parseIdentityKey,
+  stableStringify,
+  contentHash,
+  loadExistingState,
+  buildPlan,
+  storedKeysAfter,
+  printPlan,
+};
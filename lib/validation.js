@@ -0,0 +1,264 @@
+// lib/validation.js
+
+const fs = require('fs');
+const path = require('path');
+
+// Categories the Nobel Prize data uses as TAG values
+const KNOWN_CATEGORIES = ['chemistry', 'economics', 'literature', 'medicine', 'peace', 'physics'];
+
+// Default directory for validation reports (relative to the repository root)
+const DEFAULT_REPORT_DIR = path.join(__dirname, '..', 'reports');
+
+/**
+ * yargs option definitions for the validation stage shared by the uploaders.
+ */
+const validationOptions = {
+  report: {
+    description: 'Path of the JSON validation report (defaults to reports/validation_<timestamp>.json)',
+    type: 'string',
+  },
+  strict: {
+    description: 'Fail the load when any error-level validation rule fires',
+    type: 'boolean',
+    default: false,
+  },
+};
+
+/**
+ * Tells whether a prize year is a four-digit year.
+ * @param {*} year - The year from the source.
+ * @returns {boolean} Whether it parses.
+ */
+function isParsableYear(year) {
+  return /^\d{4}$/.test(String(year).trim());
+}
+
+/**
+ * Rules applied to each prize. Each check returns a list of issues, where an
+ * issue is a message plus an optional laureate id.
+ */
+const PRIZE_RULES = [
+  {
+    id: 'year-unparsable',
+    level: 'error',
+    description: 'The prize year is not a whole number',
+    check(prize) {
+      return isParsableYear(prize.year) ? [] : [{ message: `Unparsable year "${prize.year}".` }];
+    },
+  },
+  {
+    id: 'category-unknown',
+    level: 'error',
+    description: 'The category is not one of the known Nobel categories',
+    check(prize) {
+      return KNOWN_CATEGORIES.includes(prize.category) ? [] : [{ message: `Unknown category "${prize.category}".` }];
+    },
+  },
+  {
+    id: 'shares-sum',
+    level: 'error',
+    description: 'The shares of the laureates of a prize add up to one',
+    check(prize) {
+      const laureates = prize.laureates || [];
+      if (laureates.length === 0) {
+        return [];
+      }
+      const issues = [];
+      let total = 0;
+      laureates.forEach((laureate) => {
+        const share = Number(laureate.share);
+        if (!Number.isFinite(share) || share <= 0) {
+          issues.push({ laureateId: laureate.id, message: `Unparsable share "${laureate.share}".` });
+        } else {
+          total += 1 / share;
+        }
+      });
+      if (issues.length === 0 && Math.abs(total - 1) > 1e-6) {
+        issues.push({ message: `Shares add up to ${total.toFixed(4)} instead of 1.` });
+      }
+      return issues;
+    },
+  },
+  {
+    id: 'laureate-duplicate-id',
+    level: 'error',
+    description: 'A laureate id appears more than once within a prize',
+    check(prize) {
+      const seen = new Set();
+      const issues = [];
+      (prize.laureates || []).forEach((laureate) => {
+        if (seen.has(laureate.id)) {
+          issues.push({ laureateId: laureate.id, message: `Duplicate laureate id "${laureate.id}".` });
+        }
+        seen.add(laureate.id);
+      });
+      return issues;
+    },
+  },
+  {
+    id: 'laureate-name-missing',
+    level: 'error',
+    description: 'A laureate has neither a firstname nor a surname',
+    check(prize) {
+      return (prize.laureates || [])
+        .filter((laureate) => !laureate.firstname && !laureate.surname)
+        .map((laureate) => ({ laureateId: laureate.id, message: 'Laureate has no firstname or surname.' }));
+    },
+  },
+  {
+    id: 'motivation-quoting',
+    level: 'warning',
+    description: 'A motivation is missing its surrounding double quotes or has unbalanced quotes',
+    check(prize) {
+      const issues = [];
+      (prize.laureates || []).forEach((laureate) => {
+        const motivation = laureate.motivation;
+        if (!motivation) {
+          issues.push({ laureateId: laureate.id, message: 'Motivation is missing.' });
+          return;
+        }
+        const trimmed = motivation.trim();
+        if (!trimmed.startsWith('"') || !trimmed.endsWith('"')) {
+          issues.push({ laureateId: laureate.id, message: 'Motivation is not wrapped in double quotes.' });
+        } else if ((trimmed.match(/"/g) || []).length % 2 !== 0) {
+          issues.push({ laureateId: laureate.id, message: 'Motivation has unbalanced double quotes.' });
+        }
+      });
+      return issues;
+    },
+  },
+  {
+    id: 'motivation-whitespace',
+    level: 'warning',
+    description: 'A motivation has leading, trailing, repeated or non-space whitespace',
+    check(prize) {
+      const issues = [];
+      (prize.laureates || []).forEach((laureate) => {
+        const motivation = laureate.motivation || '';
+        if (motivation !== motivation.trim() || /^"\s|\s"$/.test(motivation.trim())) {
+          issues.push({ laureateId: laureate.id, message: 'Motivation has leading or trailing whitespace.' });
+        }
+        if (/ {2,}/.test(motivation)) {
+          issues.push({ laureateId: laureate.id, message: 'Motivation has repeated spaces.' });
+        }
+        if (/[\t\r\n\u00a0]/.test(motivation)) {
+          issues.push({ laureateId: laureate.id, message: 'Motivation contains tabs, line breaks or non-breaking spaces.' });
+        }
+      });
+      return issues;
+    },
+  },
+];
+
+/**
+ * Runs every rule over every prize and builds a machine-readable report. Issues of
+ * prizes outside the ingestion scope are reported apart; those of prizes whose year
+ * does not parse count as in scope, since their scope cannot be told.
+ * @param {Array} prizes - The prizes to validate.
+ * @param {Array} [rules=PRIZE_RULES] - The rules to apply.
+ * @param {Function} [inScope] - Tells whether a prize is ingested; all are by default.
+ * @returns {Object} The report, with a summary and the list of issues.
+ */
+function validatePrizes(prizes, rules = PRIZE_RULES, inScope = () => true) {
+  const issues = [];
+  let prizesInScope = 0;
+
+  prizes.forEach((prize) => {
+    const counted = !isParsableYear(prize.year) || inScope(prize);
+    prizesInScope += counted ? 1 : 0;
+    rules.forEach((rule) => {
+      rule.check(prize).forEach((issue) => {
+        issues.push({
+          rule: rule.id,
+          level: rule.level,
+          year: prize.year,
+          category: prize.category,
+          inScope: counted,
+          ...issue,
+        });
+      });
+    });
+  });
+
+  const count = (level, counted) => issues.filter((issue) => issue.level === level && issue.inScope === counted).length;
+  const byRule = {};
+  rules.forEach((rule) => {
+    const ruleIssues = issues.filter((issue) => issue.rule === rule.id);
+    byRule[rule.id] = {
+      level: rule.level,
+      description: rule.description,
+      count: ruleIssues.filter((issue) => issue.inScope).length,
+      outOfScope: ruleIssues.filter((issue) => !issue.inScope).length,
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    summary: {
+      prizes: prizesInScope,
+      errors: count('error', true),
+      warnings: count('warning', true),
+      outOfScope: {
+        prizes: prizes.length - prizesInScope,
+        errors: count('error', false),
+        warnings: count('warning', false),
+      },
+      byRule,
+    },
+    issues,
+  };
+}
+
+/**
+ * Writes a validation report to disk.
+ * @param {Object} report - The report from validatePrizes.
+ * @param {string} [reportPath] - Where to write it; defaults to a timestamped file in reports/.
+ * @returns {string} The path of the written report.
+ */
+function writeReport(report, reportPath) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const outputPath = reportPath || path.join(DEFAULT_REPORT_DIR, `validation_${timestamp}.json`);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, JSON.stringify(report, null, 2));
+  return outputPath;
+}
+
+/**
+ * Runs the validation stage: validates, writes the report, prints a summary,
+ * and throws in strict mode when error-level rules fired on prizes in scope.
+ * @param {Array} prizes - The prizes to validate, before scope filtering.
+ * @param {Object} [options] - Validation options.
+ * @param {string} [options.report] - Path of the JSON report.
+ * @param {boolean} [options.strict=false] - Fail on error-level issues.
+ * @param {Function} [inScope] - Tells whether a prize is ingested; all are by default.
+ * @returns {Object} The report.
+ */
+function runValidationStage(prizes, { report: reportPath, strict = false } = {}, inScope) {
+  const report = validatePrizes(prizes, PRIZE_RULES, inScope);
+  const outputPath = writeReport(report, reportPath);
+  const { outOfScope } = report.summary;
+
+  console.log(
+    `Validation: ${report.summary.errors} errors, ${report.summary.warnings} warnings ` +
+      `across ${report.summary.prizes} prizes in scope; ${outOfScope.errors} errors, ` +
+      `${outOfScope.warnings} warnings across ${outOfScope.prizes} prizes outside it (report: ${outputPath}).`
+  );
+  Object.entries(report.summary.byRule)
+    .filter(([, rule]) => rule.count + rule.outOfScope > 0)
+    .forEach(([id, rule]) => console.log(`  ${rule.level.padEnd(7)} ${id}: ${rule.count} (+${rule.outOfScope} out of scope)`));
+
+  if (strict && report.summary.errors > 0) {
+    throw new Error(`Validation failed with ${report.summary.errors} errors (--strict).`);
+  }
+  return report;
+}
+
+module.exports = {
+  KNOWN_CATEGORIES,
+  isParsableYear,
+  PRIZE_RULES,
+  validationOptions,
+  validatePrizes,
+  writeReport,
+  runValidationStage,
+};
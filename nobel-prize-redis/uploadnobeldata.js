@@ -1,215 +1,192 @@
 // uploadnobeldata.js
 
 const { createClient } = require('redis');
-const Buffer = require('buffer').Buffer;
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { fetchNobelData, sourceOptions } = require('../lib/nobelSource');
+const { normalizeNobelData } = require('../lib/nobelV2');
+const { identityKey, loadExistingState, buildPlan, storedKeysAfter, printPlan } = require('../lib/upsertPlan');
+const { bulkOptions, checkBulkOptions, applyPlanInBatches } = require('../lib/bulkLoader');
+const { loadIndexSchema, reindex } = require('../lib/indexSchema');
+const { validationOptions, runValidationStage } = require('../lib/validation');
+const {
+  scopeOptions,
+  resolveScope,
+  prizeInScope,
+  filterDataByScope,
+  prizesFromKeys,
+  buildDatasetMeta,
+  writeDatasetMeta,
+} = require('../lib/scope');
+const { EMBEDDING_META_KEY, buildEmbeddingModel, embedText } = require('../grpc-service/server/lib/embedding');
+const { laureateType } = require('../grpc-service/server/lib/laureateType');
+const { bumpDatasetVersion } = require('../grpc-service/server/lib/datasetMeta');
+const { redisClientOptions } = require('../grpc-service/server/lib/redisOptions');
 require('dotenv').config(); // For environment variables
 
 /**
- * Function to fetch Nobel Prize data from the API.
- * @returns {Promise<Object>} - The fetched Nobel Prize data.
+ * Function to build the hashed TF-IDF embedding model from every motivation in the source.
+ * Laureate documents outside the scope of a run stay stored with their vectors, so the
+ * weights must not depend on the scope.
+ * @param {Array} prizes - Every prize in the source, before scope filtering.
+ * @returns {Object} - The model, with the IDF weight of each bucket.
  */
-async function fetchNobelData() {
-  const response = await fetch('http://api.nobelprize.org/v1/prize.json');
-  if (!response.ok) {
-    throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
-  }
-  const data = await response.json();
-  return data;
-}
-
-/**
- * Function to filter prizes within a specified year range.
- * @param {Object} data - The complete Nobel Prize data.
- * @param {number} startYear - The start year for filtering.
- * @param {number} endYear - The end year for filtering.
- * @returns {Array} - An array of filtered prizes.
- */
-async function filterDataByYear(data, startYear, endYear) {
-  const filteredPrizes = data.prizes.filter((prize) => {
-    const year = parseInt(prize.year, 10);
-    return !isNaN(year) && year >= startYear && year <= endYear;
-  });
-  return filteredPrizes;
+function buildMotivationModel(prizes) {
+  const motivations = prizes.flatMap((prize) =>
+    (prize.laureates || []).map((laureate) => laureate.motivation || '')
+  );
+  return buildEmbeddingModel(motivations);
 }
 
 /**
- * Character Code Embedding Function
- * Converts a full name string into a numerical vector based on character ASCII codes.
- * @param {string} fullName - The full name of the laureate.
- * @returns {Array<number>} - A numerical vector of length 128.
+ * Function to validate laureate data.
+ * @param {Object} laureate - The laureate object.
+ * @throws Will throw an error if validation fails.
  */
-function someVectorEmbeddingFunction(fullName) {
-  const vector = new Array(128).fill(0);
-  for (let i = 0; i < Math.min(fullName.length, 128); i++) {
-    vector[i] = fullName.charCodeAt(i) / 255; // Normalize ASCII code
+function validateLaureate(laureate) {
+  if (!laureate.firstname && !laureate.surname) {
+    throw new Error('Laureate must have at least a firstname or surname.');
+  }
+  if (!laureate.motivation) {
+    laureate.motivation = '';
   }
-  return vector;
 }
 
-/**
- * Function to generate a vector for a laureate.
- * @param {Object} laureate - The laureate object.
- * @returns {Array<number>} - A numerical vector of length 128.
- */
-function generateLaureateVector(laureate) {
-  const fullName = `${laureate.firstname || ''} ${laureate.surname || ''}`.trim();
-  return someVectorEmbeddingFunction(fullName);
-}
+// Where laureate documents live and where their content hashes are recorded
+const LAUREATE_KEYS = {
+  match: 'laureate:*',
+  hashesKey: 'meta:laureates:hashes',
+};
 
 /**
- * Function to encode a vector array into a binary string.
- * Converts an array of numbers into a Buffer and then to a binary string using 'latin1' encoding.
- * @param {Array<number>} vector - The numerical vector.
- * @returns {string} - The binary string representation of the vector.
+ * Function to build the Redis key of a laureate document.
+ * @param {number} year - The prize year.
+ * @param {string} category - The prize category.
+ * @param {Object} laureate - The laureate object.
+ * @returns {string} - The laureate key.
  */
-function encodeVector(vector) {
-  const buffer = Buffer.alloc(4 * vector.length); // FLOAT32, 4 bytes each
-  vector.forEach((value, index) => {
-    buffer.writeFloatLE(value, index * 4);
-  });
-  return buffer.toString('latin1'); // Binary-safe string
+function laureateKey(year, category, laureate) {
+  return identityKey('laureate', year, category, [laureate.id]);
 }
 
 /**
- * Function to validate laureate data.
- * @param {Object} laureate - The laureate object.
- * @throws Will throw an error if validation fails.
+ * Function to list the keys of every laureate document the source produces, in scope or not.
+ * @param {Array} prizes - Every prize in the source.
+ * @returns {Set<string>} - The laureate keys.
  */
-function validateLaureate(laureate) {
-  if (!laureate.firstname && !laureate.surname) {
-    throw new Error('Laureate must have at least a firstname or surname.');
-  }
-  if (!laureate.motivation) {
-    laureate.motivation = '';
+function buildSourceLaureateKeys(prizes) {
+  const keys = new Set();
+  for (const { year, category, laureates } of prizes) {
+    const parsedYear = parseInt(year, 10);
+    if (isNaN(parsedYear)) {
+      continue;
+    }
+    (laureates || [])
+      .filter((laureate) => laureate.firstname || laureate.surname)
+      .forEach((laureate) => keys.add(laureateKey(parsedYear, category, laureate)));
   }
+  return keys;
 }
 
 /**
- * Function to safely set JSON in Redis with retries.
- * @param {Object} client - The Redis client.
- * @param {string} key - The Redis key.
- * @param {string} path - The JSON path.
- * @param {Object} data - The data to set.
- * @param {number} retries - Current retry count.
+ * Function to build one document per laureate, keyed by year, category and laureate id.
+ * Each document carries the embedding of its motivation for KNN search.
+ * @param {Array} filteredData - An array of filtered prize objects.
+ * @param {Object} model - The embedding model from buildMotivationModel.
+ * @returns {Map<string, Object>} - The documents keyed by Redis key.
  */
-async function safeJsonSet(client, key, path, data, retries = 0) {
-  const MAX_RETRIES = 3;
-  try {
-    await client.json.set(key, path, data);
-  } catch (error) {
-    if (retries < MAX_RETRIES) {
-      console.warn(`Retrying json.set for key: ${key} (Attempt ${retries + 1})`);
-      await safeJsonSet(client, key, path, data, retries + 1);
-    } else {
-      console.error(`Failed to set key ${key} after ${MAX_RETRIES} attempts:`, error);
+function buildLaureateDocuments(filteredData, model) {
+  const documents = new Map();
+
+  for (const prize of filteredData) {
+    const { year, category, laureates } = prize;
+    if (laureates && laureates.length > 0) {
+      for (const laureate of laureates) {
+        try {
+          validateLaureate(laureate);
+        } catch (validationError) {
+          console.error(`Validation error for laureate: ${JSON.stringify(laureate)} - ${validationError.message}`);
+          continue; // Skip invalid laureate
+        }
+
+        // Parse year as integer and validate
+        const parsedYear = parseInt(year, 10);
+        if (isNaN(parsedYear)) {
+          console.error(`Invalid year (${year}) for prize: ${JSON.stringify(prize)}. Skipping laureate.`);
+          continue; // Skip laureate with invalid year
+        }
+
+        const key = laureateKey(parsedYear, category, laureate);
+        const vector = embedText(laureate.motivation, model);
+
+        documents.set(key, {
+          id: laureate.id,
+          type: laureateType(laureate),
+          firstname: laureate.firstname || '',
+          surname: laureate.surname || '',
+          year: parsedYear, // Convert year to number
+          category,
+          motivation: laureate.motivation || '',
+          overallMotivation: prize.overallMotivation || '',
+          // JSON indexes read vectors as arrays of numbers. An empty or stopword-only
+          // motivation embeds as a zero vector, which has no cosine distance: leave it out
+          ...(vector.some((value) => value !== 0) ? { vector } : {})
+        });
+      }
     }
   }
+
+  return documents;
 }
 
 /**
  * Function to upload filtered Nobel Prize data to Redis.
- * Creates one document per laureate.
+ * Creates one document per laureate, writing only changed documents and
+ * deleting those that vanished from the source (not those outside the scope).
  * @param {Array} filteredData - An array of filtered prize objects.
+ * @param {Object} [options] - Upload options.
+ * @param {Array} [options.sourcePrizes] - Every prize in the source, before scope filtering
+ * (defaults to filteredData).
+ * @param {boolean} [options.dryRun=false] - Print the plan without writing anything.
+ * @param {Object} [options.scope] - The ingestion scope; meta:laureates records it with the stored laureates.
+ * @param {Object} [options.bulk] - Batch size, concurrency, retry and checkpoint settings.
  */
-async function uploadDataToRedis(filteredData) {
-  const client = createClient({
-    // Use environment variable for Redis URL
-    url: process.env.REDIS_URL,
-  });
+async function uploadDataToRedis(filteredData, { sourcePrizes = filteredData, dryRun = false, scope, bulk = {} } = {}) {
+  const client = createClient(redisClientOptions());
 
   client.on('error', (err) => console.error('Redis Client Error', err));
 
   try {
     await client.connect();
 
-    let laureateIndex = 1;
-
-    // Optional: Drop existing index to avoid schema conflicts
-    try {
-      await client.ft.dropIndex('idx:laureates');
-      console.log('Existing index "idx:laureates" dropped.');
-    } catch (dropError) {
-      if (dropError.message.includes('Unknown Index name')) {
-        console.log('Index "idx:laureates" does not exist, no need to drop.');
-      } else {
-        throw dropError;
-      }
-    }
+    const model = buildMotivationModel(sourcePrizes);
+    const documents = buildLaureateDocuments(filteredData, model);
+    const existing = await loadExistingState(client, LAUREATE_KEYS);
+    const plan = buildPlan(documents, existing, buildSourceLaureateKeys(sourcePrizes));
 
-    // Iterate over the filtered data and upload each laureate as a separate document
-    for (const prize of filteredData) {
-      const { year, category, laureates } = prize;
-      if (laureates && laureates.length > 0) {
-        for (const laureate of laureates) {
-          try {
-            validateLaureate(laureate);
-          } catch (validationError) {
-            console.error(`Validation error for laureate: ${JSON.stringify(laureate)} - ${validationError.message}`);
-            continue; // Skip invalid laureate
-          }
-
-          const firstName = laureate.firstname || '';
-          const lastName = laureate.surname || '';
-          const fullName = `${firstName} ${lastName}`.trim().replace(/\s+/g, '_'); // Replace spaces with underscores for key
-          const key = `laureate:${year}:${category}:${laureateIndex}`;
-          const vector = generateLaureateVector(laureate);
-          const encodedVector = encodeVector(vector);
-
-          // Parse year as integer and validate
-          const parsedYear = parseInt(year, 10);
-          if (isNaN(parsedYear)) {
-            console.error(`Invalid year (${year}) for prize: ${JSON.stringify(prize)}. Skipping laureate.`);
-            continue; // Skip laureate with invalid year
-          }
-
-          console.log(`Uploading laureate data for key: ${key}`);
-          console.log({
-            year: parsedYear, // Ensure year is a number
-            category,
-            motivation: laureate.motivation || '',
-            vector: encodedVector
-          });
-
-          // Set the JSON object in Redis with 'year' as a number
-          await safeJsonSet(client, key, '.', {
-            year: parsedYear, // Convert year to number
-            category,
-            motivation: laureate.motivation || '',
-            vector: encodedVector
-          });
-
-          console.log(`Uploaded laureate: ${key}`);
-          laureateIndex++;
-        }
-      }
+    printPlan(plan, dryRun);
+    if (dryRun) {
+      return;
     }
 
-    // Create an index on the JSON documents with vector field
-    try {
-      await client.ft.create(
-        'idx:laureates',
-        [
-          '$.year', 'NUMERIC', 'SORTABLE', 'AS', 'year',
-          '$.category', 'TAG', 'SORTABLE', 'AS', 'category',
-          '$.motivation', 'TEXT', 'AS', 'motivation',
-          '$.vector', 'VECTOR', 'FLAT', 'TYPE', 'FLOAT32', 'DIM', '128', 'DISTANCE_METRIC', 'COSINE', 'AS', 'vector'
-        ],
-        {
-          ON: 'JSON',
-          PREFIX: 'laureate:',
-        }
-      );
-      console.log('Index with vector field created successfully.');
-    } catch (error) {
-      if (error.message.includes('Index already exists')) {
-        console.log('Index already exists, skipping creation.');
-      } else {
-        throw error;
-      }
+    await applyPlanInBatches(client, plan, { ...bulk, ...LAUREATE_KEYS, name: 'laureates' });
+
+    // The server embeds search queries with the same IDF weights
+    await client.json.set(EMBEDDING_META_KEY, '.', model);
+
+    if (scope) {
+      const storedPrizes = prizesFromKeys(storedKeysAfter(plan, existing));
+      await writeDatasetMeta(client, buildDatasetMeta(scope, storedPrizes), 'meta:laureates');
     }
 
+    // Point idx:laureates at an index built from the current schema
+    await reindex(client, loadIndexSchema('laureates'));
+
+    // Servers drop the responses they cached for the previous data
+    console.log(`Dataset version is now ${await bumpDatasetVersion(client)}.`);
   } catch (error) {
     console.error('Error uploading data to Redis:', error);
+    process.exitCode = 1; // Let CI see a failed load
   } finally {
     await client.quit();
   }
@@ -219,20 +196,42 @@ async function uploadDataToRedis(filteredData) {
  * Main function to orchestrate the workflow.
  */
 async function main() {
-  const startYear = 2013;
-  const endYear = 2023;
+  const argv = yargs(hideBin(process.argv))
+    .options(sourceOptions)
+    .options(scopeOptions)
+    .options(bulkOptions)
+    .check(checkBulkOptions)
+    .options(validationOptions)
+    .option('dry-run', {
+      description: 'Print the create/update/delete plan without writing to Redis',
+      type: 'boolean',
+      default: false,
+    })
+    .help()
+    .alias('help', 'h')
+    .argv;
+
+  const scope = resolveScope(argv);
 
   console.log('Fetching Nobel Prize data...');
-  const data = await fetchNobelData();
+  const data = normalizeNobelData(await fetchNobelData(argv), argv.format);
+
+  // Before filtering, which drops unparsable years unseen; --strict only fails on the scope
+  console.log('Validating source data...');
+  runValidationStage(data.prizes, argv, (prize) => prizeInScope(prize, scope));
 
-  console.log(`Filtering data from ${startYear} to ${endYear}...`);
-  const filteredData = await filterDataByYear(data, startYear, endYear);
+  const categoryNote = scope.categories ? ` (${scope.categories.join(', ')})` : '';
+  console.log(`Filtering data from ${scope.startYear} to ${scope.endYear}${categoryNote}...`);
+  const filteredData = filterDataByScope(data, scope);
 
-  console.log('Uploading filtered data to Redis...');
-  await uploadDataToRedis(filteredData);
+  console.log(argv.dryRun ? 'Planning upload (dry run)...' : 'Uploading filtered data to Redis...');
+  await uploadDataToRedis(filteredData, { sourcePrizes: data.prizes, dryRun: argv.dryRun, scope, bulk: argv });
 
-  console.log('Data upload complete.');
+  console.log(argv.dryRun ? 'Dry run complete.' : 'Data upload complete.');
 }
 
 // Execute the main function
-main().catch((error) => console.error('Error in main execution:', error));
+main().catch((error) => {
+  console.error('Error in main execution:', error);
+  process.exitCode = 1; // Let CI see a failed load (e.g. under --strict)
+});
@@ -2,16 +2,34 @@
 const { createClient } = require('redis');
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const { getDatasetMeta, validateScope } = require('./grpc-service/server/lib/datasetMeta');
+const { loadIndexSchema, reindex } = require('./lib/indexSchema');
+const { DEFAULT_MIN_SCORE, scoreLaureate, buildNameSearchQuery } = require('./grpc-service/server/lib/nameMatch');
+const { searchAll } = require('./grpc-service/server/lib/pagination');
+const { createApiKey, revokeApiKey } = require('./grpc-service/server/lib/apiKeys');
+const {
+  tagFilter,
+  numericFilter,
+  textFilter,
+  phraseFilter,
+  buildQuery,
+  matchesKeyword,
+} = require('./grpc-service/server/lib/queryBuilder');
+const {
+  laureatesPerCategoryYear,
+  laureatesPerDecade,
+  shareDistribution,
+  topCategories,
+} = require('./grpc-service/server/lib/stats');
+const { redisClientOptions } = require('./grpc-service/server/lib/redisOptions');
 require('dotenv').config(); // Load environment variables from .env
 
 /**
- * Creates a RediSearch index with detailed field specifications.
- * Ensure this is run before performing any queries.
+ * Builds a new version of the RediSearch index from schema/prizes.json and
+ * swaps the idx:prizes alias to it. Documents are never deleted.
  */
 async function createIndex() {
-  const client = createClient({
-    url: process.env.REDIS_URL,
-  });
+  const client = createClient(redisClientOptions());
 
   client.on('error', (err) => console.error('Redis Client Error', err));
 
@@ -19,53 +37,7 @@ async function createIndex() {
     await client.connect();
     console.log('Connected to Redis successfully.');
 
-    const indexName = 'idx:prizes';
-
-    // Attempt to drop the index if it exists to avoid duplication errors
-    try {
-      await client.ft.dropIndex(indexName, { DD: true });
-      console.log(`Index "${indexName}" dropped successfully.`);
-    } catch (error) {
-      if (error.message.includes('Unknown Index name')) {
-        console.log(`Index "${indexName}" does not exist. Proceeding to create it.`);
-      } else {
-        throw error; // Re-throw if it's a different error
-      }
-    }
-
-    await client.ft.create(
-      indexName, // Index name
-      {
-        '$.year': {
-          type: 'NUMERIC',
-          AS: 'year',
-          SORTABLE: true, // Enable sorting on the 'year' field
-        },
-        '$.category': {
-          type: 'TAG',
-          AS: 'category',
-          SEPARATOR: ',', // Define a separator for TAG fields if needed
-        },
-        '$.laureates[*].firstname': {
-          type: 'TEXT',
-          AS: 'firstname',
-        },
-        '$.laureates[*].surname': {
-          type: 'TEXT',
-          AS: 'surname',
-        },
-        '$.laureates[*].motivation': {
-          type: 'TEXT',
-          AS: 'motivation',
-        },
-      },
-      {
-        ON: 'JSON', // Specify that we're indexing JSON documents
-        PREFIX: ['prize:'], // All keys starting with "prize:" will be indexed
-      }
-    );
-
-    console.log(`Index "${indexName}" created successfully.`);
+    await reindex(client, loadIndexSchema('prizes'), { force: true });
   } catch (error) {
     console.error('Error creating index:', error);
   } finally {
@@ -75,12 +47,11 @@ async function createIndex() {
 }
 
 /**
- * Retrieves all prizes in the "chemistry" category.
+ * Retrieves the prizes in the given categories and year range, sorted by year.
+ * With no categories, every category is listed.
  */
-async function performChemistryCategoryQuery() {
-  const client = createClient({
-    url: process.env.REDIS_URL,
-  });
+async function performCategoryQuery(categories = [], startYear, endYear, sort = 'asc') {
+  const client = createClient(redisClientOptions());
 
   client.on('error', (err) => console.error('Redis Client Error', err));
 
@@ -88,13 +59,22 @@ async function performChemistryCategoryQuery() {
     await client.connect();
     console.log('Connected to Redis successfully.');
 
+    // Validate against the scope recorded by the uploader
+    const meta = await getDatasetMeta(client);
+    for (const category of categories.length > 0 ? categories : [undefined]) {
+      const scopeError = validateScope(meta, { category, startYear, endYear });
+      if (scopeError) {
+        throw new Error(scopeError);
+      }
+    }
+
     const indexName = 'idx:prizes';
-    const query = '@category:{chemistry}';
+    const query = buildQuery([tagFilter('category', categories), numericFilter('year', startYear, endYear)]);
 
     console.log(`Executing query on index "${indexName}" with query "${query}"...`);
-    const results = await client.ft.search(indexName, query, {
-      RETURN: ['$.year', '$.category', '$.laureates'],
-      LIMIT: { from: 0, size: 1000 },
+    const results = await searchAll(client, indexName, query, {
+      RETURN: ['$.year', '$.category', '$.overallMotivation', '$.laureates'],
+      SORTBY: { BY: 'year', DIRECTION: sort === 'desc' ? 'DESC' : 'ASC' },
     });
 
     if (results.total > 0) {
@@ -110,6 +90,12 @@ async function performChemistryCategoryQuery() {
         console.log(`Result ${idx + 1}:`);
         console.log(`Year: ${doc.value['$.year']}`);
         console.log(`Category: ${doc.value['$.category']}`);
+        if (doc.value['$.overallMotivation']) {
+          console.log(`Overall Motivation: ${doc.value['$.overallMotivation']}`);
+        }
+        if (laureates.length === 0) {
+          console.log('Not awarded');
+        }
         console.log(`Laureates:`);
         laureates.forEach((laureate, laureateIdx) => {
           console.log(`  Laureate ${laureateIdx + 1}:`);
@@ -122,7 +108,7 @@ async function performChemistryCategoryQuery() {
         console.log('---------------------------');
       });
     } else {
-      console.log('No results found for category: chemistry');
+      console.log(`No results found for query: ${query}`);
     }
   } catch (error) {
     console.error('Error performing query:', error);
@@ -137,9 +123,7 @@ async function performChemistryCategoryQuery() {
  * Additionally, it displays detailed information about each laureate.
  */
 async function countLaureates(category, startYear, endYear) {
-  const client = createClient({
-    url: process.env.REDIS_URL,
-  });
+  const client = createClient(redisClientOptions());
 
   client.on('error', (err) => console.error('Redis Client Error', err));
 
@@ -150,16 +134,17 @@ async function countLaureates(category, startYear, endYear) {
     await client.connect();
     console.log('Connected to Redis successfully.');
 
-    if (startYear < 2013 || endYear > 2023) {
-      throw new Error('Year range must be between 2013 and 2023.');
+    // Validate against the scope recorded by the uploader
+    const scopeError = validateScope(await getDatasetMeta(client), { category, startYear, endYear });
+    if (scopeError) {
+      throw new Error(scopeError);
     }
 
-    const query = `@category:{${category}} @year:[${startYear} ${endYear}]`;
+    const query = buildQuery([tagFilter('category', category), numericFilter('year', startYear, endYear)]);
     console.log(`Executing query 1 on index "idx:prizes" with query "${query}"...`);
 
-    const results = await client.ft.search('idx:prizes', query, {
+    const results = await searchAll(client, 'idx:prizes', query, {
       RETURN: ['$.year', '$.category', '$.laureates'],
-      LIMIT: { from: 0, size: 1000 },
     });
 
     //console.log(`Total Prizes Found: ${results.total}`);
@@ -234,9 +219,7 @@ async function countLaureates(category, startYear, endYear) {
  * Additionally, it displays detailed information about each matching laureate.
  */
 async function countLaureatesByMotivation(keyword) {
-  const client = createClient({
-    url: process.env.REDIS_URL,
-  });
+  const client = createClient(redisClientOptions());
 
   client.on('error', (err) => console.error('Redis Client Error', err));
 
@@ -248,14 +231,16 @@ async function countLaureatesByMotivation(keyword) {
     console.log('Connected to Redis successfully.');
 
     const indexName = 'idx:prizes';
-    const query = `@motivation:(${keyword})`;
+    // Prize-level motivations (including the notes on years not awarded) are searched too
+    const query = textFilter(['motivation', 'overallMotivation'], keyword);
     console.log(`Executing query 2 on index "${indexName}" with query "${query}"...`);
 
-    const results = await client.ft.search(indexName, query, {
-      RETURN: ['$.year', '$.category', '$.laureates'],
-      LIMIT: { from: 0, size: 1000 },
+    const results = await searchAll(client, indexName, query, {
+      RETURN: ['$.year', '$.category', '$.overallMotivation', '$.laureates'],
     });
 
+    const notAwarded = [];
+
     //console.log(`Total Prizes Found with motivations containing "${keyword}": ${results.total}`);
 
     results.documents.forEach((doc, idx) => {
@@ -272,9 +257,16 @@ async function countLaureatesByMotivation(keyword) {
       // console.log(`  Category: ${doc.value['$.category']}`);
       // console.log(`  Laureates:`);
 
-      if (Array.isArray(laureates)) {
+      // A prize-level match covers every laureate of the prize
+      const overallMotivation = doc.value['$.overallMotivation'] || '';
+      const prizeMatches = matchesKeyword(overallMotivation, keyword);
+      if (Array.isArray(laureates) && laureates.length === 0) {
+        if (prizeMatches) {
+          notAwarded.push({ year: doc.value['$.year'], category: doc.value['$.category'], overallMotivation });
+        }
+      } else if (Array.isArray(laureates)) {
         laureates.forEach((laureate, laureateIdx) => {
-          if (laureate.motivation.toLowerCase().includes(keyword.toLowerCase())) {
+          if (prizeMatches || matchesKeyword(laureate.motivation, keyword)) {
             totalMatchingLaureates += 1;
             // console.log(`    Laureate ${laureateIdx + 1}:`);
             // console.log(`      ID: ${laureate.id}`);
@@ -291,6 +283,7 @@ async function countLaureatesByMotivation(keyword) {
               firstname: laureate.firstname,
               surname: laureate.surname,
               motivation: laureate.motivation,
+              overallMotivation,
               share: laureate.share,
             });
           }
@@ -312,9 +305,19 @@ async function countLaureatesByMotivation(keyword) {
       console.log(`  First Name: ${laureate.firstname}`);
       console.log(`  Surname: ${laureate.surname}`);
       console.log(`  Motivation: ${laureate.motivation}`);
+      if (laureate.overallMotivation) {
+        console.log(`  Overall Motivation: ${laureate.overallMotivation}`);
+      }
       console.log(`  Share: ${laureate.share}`);
       console.log('---------------------------');
     });
+
+    if (notAwarded.length > 0) {
+      console.log('\nYears not awarded whose notes cover the keyword:');
+      notAwarded.forEach((prize) => {
+        console.log(`  ${prize.year} ${prize.category}: ${prize.overallMotivation}`);
+      });
+    }
   } catch (error) {
     console.error('Error performing query 2:', error);
   } finally {
@@ -329,9 +332,7 @@ async function countLaureatesByMotivation(keyword) {
  * Retrieves the year, category, and motivation of a laureate based on their first and last names.
  */
 async function getLaureateDetails(firstname, surname) {
-  const client = createClient({
-    url: process.env.REDIS_URL,
-  });
+  const client = createClient(redisClientOptions());
 
   client.on('error', (err) => console.error('Redis Client Error', err));
 
@@ -339,15 +340,14 @@ async function getLaureateDetails(firstname, surname) {
     await client.connect();
     console.log('Connected to Redis successfully.');
 
-    // Construct the query to match firstname and surname using exact match
-    const query = `@firstname:=="${firstname}" @surname:=="${surname}"`;
+    // Construct the query to match firstname and surname as escaped phrases
+    const query = buildQuery([phraseFilter('firstname', firstname), phraseFilter('surname', surname)]);
 
     console.log(`Executing query 3 on index "idx:prizes" with query "${query}"...`);
 
     // Perform search and return the full JSON document along with the key
-    const results = await client.ft.search('idx:prizes', query, {
+    const results = await searchAll(client, 'idx:prizes', query, {
       RETURN: ['$', '__key'],
-      LIMIT: { from: 0, size: 1000 },
     });
 
     if (results.total === 0) {
@@ -360,22 +360,14 @@ async function getLaureateDetails(firstname, surname) {
     for (const doc of results.documents) {
       //console.log('Document Value:', doc.value);
 
-      // Attempt to parse the JSON document
-      let data;
-      if (doc.value['$']) {
-        try {
-          data = JSON.parse(doc.value['$']);
-        } catch (parseError) {
-          console.error('Error parsing JSON from doc.value["$"]:', parseError);
-          continue; // Skip this document
-        }
-      } else {
-        // If '$' field is missing, fetch the JSON directly from Redis
+      // node-redis merges a returned '$' document into doc.value
+      let data = doc.value;
+      if (!Array.isArray(data.laureates)) {
+        // If the document did not come back, fetch the JSON directly from Redis
         try {
-          const rawData = await client.json.get(doc.value['__key']);
-          data = rawData;
+          data = await client.json.get(doc.id);
         } catch (fetchError) {
-          console.error(`Error fetching JSON data for key "${doc.value['__key']}":`, fetchError);
+          console.error(`Error fetching JSON data for key "${doc.id}":`, fetchError);
           continue; // Skip this document
         }
       }
@@ -385,8 +377,8 @@ async function getLaureateDetails(firstname, surname) {
       if (Array.isArray(laureates)) {
         const matchingLaureate = laureates.find(
           (laureate) =>
-            laureate.firstname.toLowerCase() === firstname.toLowerCase() &&
-            laureate.surname.toLowerCase() === surname.toLowerCase()
+            (laureate.firstname || '').toLowerCase() === firstname.toLowerCase() &&
+            (laureate.surname || '').toLowerCase() === surname.toLowerCase()
         );
 
         if (matchingLaureate) {
@@ -416,10 +408,220 @@ async function getLaureateDetails(firstname, surname) {
   }
 }
 
+/**
+ * Finds laureates by a partial, misspelt or unaccented name and prints
+ * the candidates ranked by match score.
+ */
+async function searchLaureatesByName(name, limit = 10) {
+  const client = createClient(redisClientOptions());
+
+  client.on('error', (err) => console.error('Redis Client Error', err));
+
+  try {
+    await client.connect();
+    console.log('Connected to Redis successfully.');
+
+    const query = buildNameSearchQuery(name);
+    if (!query) {
+      throw new Error('Name must contain at least one letter or digit.');
+    }
+
+    console.log(`Executing fuzzy query 3 on index "idx:prizes" with query "${query}"...`);
+
+    const results = await searchAll(client, 'idx:prizes', query, {
+      RETURN: ['$'],
+    });
+
+    const candidates = [];
+    results.documents.forEach((doc) => {
+      // node-redis merges a returned '$' document into doc.value
+      const data = doc.value;
+
+      (data.laureates || []).forEach((laureate) => {
+        const score = scoreLaureate(name, laureate);
+        if (score >= DEFAULT_MIN_SCORE) {
+          candidates.push({
+            score: Number(score.toFixed(3)),
+            year: data.year,
+            category: data.category,
+            firstname: laureate.firstname,
+            surname: laureate.surname,
+            motivation: laureate.motivation,
+          });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => b.score - a.score || a.year - b.year);
+
+    if (candidates.length > 0) {
+      console.log('\nCandidates:');
+      console.log(JSON.stringify(candidates.slice(0, limit), null, 2));
+    } else {
+      console.log(`\nNo laureate found matching "${name}".`);
+    }
+  } catch (error) {
+    console.error('Error performing query 3:', error);
+  } finally {
+    await client.quit();
+    console.log('Disconnected from Redis.');
+  }
+}
+
+/**
+ * Lists the years a prize was not awarded, with the note the source records for each.
+ */
+async function listNotAwardedYears(category, startYear, endYear) {
+  const client = createClient(redisClientOptions());
+
+  client.on('error', (err) => console.error('Redis Client Error', err));
+
+  try {
+    await client.connect();
+    console.log('Connected to Redis successfully.');
+
+    // Validate against the scope recorded by the uploader
+    const scopeError = validateScope(await getDatasetMeta(client), { category, startYear, endYear });
+    if (scopeError) {
+      throw new Error(scopeError);
+    }
+
+    const indexName = 'idx:prizes';
+    const query = buildQuery([
+      tagFilter('awarded', 'false'),
+      tagFilter('category', category),
+      numericFilter('year', startYear, endYear),
+    ]);
+    console.log(`Executing query on index "${indexName}" with query "${query}"...`);
+
+    const results = await searchAll(client, indexName, query, {
+      RETURN: ['$.year', '$.category', '$.overallMotivation'],
+      SORTBY: { BY: 'year', DIRECTION: 'ASC' },
+    });
+
+    console.log(`\nYears not awarded: ${results.total}\n`);
+    results.documents.forEach((doc) => {
+      console.log(`${doc.value['$.year']} ${doc.value['$.category']}: ${doc.value['$.overallMotivation'] || ''}`);
+    });
+  } catch (error) {
+    console.error('Error listing years not awarded:', error);
+  } finally {
+    await client.quit();
+    console.log('Disconnected from Redis.');
+  }
+}
+
+/**
+ * Prints the aggregate statistics computed in Redis with FT.AGGREGATE:
+ * laureates per category per year, per decade, shared versus solo prizes
+ * and the top categories.
+ */
+async function printStatistics(filters, limit = 10) {
+  const client = createClient(redisClientOptions());
+
+  client.on('error', (err) => console.error('Redis Client Error', err));
+
+  try {
+    await client.connect();
+    console.log('Connected to Redis successfully.');
+
+    // Validate against the scope recorded by the uploader
+    const scopeError = validateScope(await getDatasetMeta(client), filters);
+    if (scopeError) {
+      throw new Error(scopeError);
+    }
+
+    console.log('\nLaureates per category per year:');
+    console.table(await laureatesPerCategoryYear(client, filters));
+
+    console.log('\nLaureates per decade:');
+    console.table(await laureatesPerDecade(client, filters));
+
+    const shares = await shareDistribution(client, filters);
+    console.log('\nShared versus solo prizes:');
+    console.table(shares.buckets);
+    console.log(`Solo prizes: ${shares.soloPrizes}, shared prizes: ${shares.sharedPrizes}`);
+
+    console.log('\nTop categories by laureate count:');
+    console.table(await topCategories(client, filters, limit));
+  } catch (error) {
+    console.error('Error computing statistics:', error);
+  } finally {
+    await client.quit();
+    console.log('Disconnected from Redis.');
+  }
+}
+
+/**
+ * Creates an API key for the gRPC server and prints it. Only its hash is stored,
+ * so this is the one chance to copy it.
+ */
+async function addApiKey(name, scopes) {
+  const client = createClient(redisClientOptions());
+
+  client.on('error', (err) => console.error('Redis Client Error', err));
+
+  try {
+    await client.connect();
+    console.log('Connected to Redis successfully.');
+
+    const apiKey = await createApiKey(client, { name, scopes });
+    console.log(`\nAPI key for "${name}" with scopes ${scopes.join(', ')}:\n${apiKey}\n`);
+  } catch (error) {
+    console.error('Error creating the API key:', error);
+  } finally {
+    await client.quit();
+    console.log('Disconnected from Redis.');
+  }
+}
+
+/**
+ * Revokes an API key. Servers may keep accepting it for up to 30 seconds.
+ */
+async function removeApiKey(apiKey) {
+  const client = createClient(redisClientOptions());
+
+  client.on('error', (err) => console.error('Redis Client Error', err));
+
+  try {
+    await client.connect();
+    console.log('Connected to Redis successfully.');
+
+    console.log(await revokeApiKey(client, apiKey) ? 'API key revoked.' : 'No such API key.');
+  } catch (error) {
+    console.error('Error revoking the API key:', error);
+  } finally {
+    await client.quit();
+    console.log('Disconnected from Redis.');
+  }
+}
+
 // Command-line argument handling
 const argv = yargs(hideBin(process.argv))
-  .command('createIndex', 'Create the RediSearch index for prizes', {})
-  .command('query ', 'Retrieve all prizes in the chemistry category', {})
+  .command('createIndex', 'Rebuild the RediSearch index for prizes and swap the alias', {})
+  .command('query', 'Retrieve the prizes in one or more categories, sorted by year', {
+    category: {
+      description: 'Categories to list (all categories if omitted)',
+      alias: 'c',
+      type: 'array',
+      string: true,
+    },
+    startYear: {
+      description: 'The starting year',
+      alias: 's',
+      type: 'number',
+    },
+    endYear: {
+      description: 'The ending year',
+      alias: 'e',
+      type: 'number',
+    },
+    sort: {
+      description: 'Sort prizes by year ascending or descending',
+      choices: ['asc', 'desc'],
+      default: 'asc',
+    },
+  })
   .command('query1', 'Count total laureates in a category and year range', {
     category: {
       description: 'The category of the prize',
@@ -453,12 +655,87 @@ const argv = yargs(hideBin(process.argv))
       description: 'First name of the laureate',
       alias: 'f',
       type: 'string',
-      demandOption: true,
     },
     surname: {
       description: 'Surname of the laureate',
       alias: 's',
       type: 'string',
+    },
+    name: {
+      description: 'Any part of the name, for a fuzzy search (e.g. "curie" or "gerard mourou")',
+      alias: 'n',
+      type: 'string',
+    },
+    fuzzy: {
+      description: 'Rank fuzzy, prefix and accent-insensitive matches instead of an exact lookup',
+      type: 'boolean',
+      default: false,
+    },
+    limit: {
+      description: 'Maximum number of fuzzy candidates to show',
+      alias: 'l',
+      type: 'number',
+      default: 10,
+    },
+  })
+  .command('notAwarded', 'List the years a prize was not awarded', {
+    category: {
+      description: 'Only list this category',
+      alias: 'c',
+      type: 'string',
+    },
+    startYear: {
+      description: 'The starting year',
+      alias: 's',
+      type: 'number',
+    },
+    endYear: {
+      description: 'The ending year',
+      alias: 'e',
+      type: 'number',
+    },
+  })
+  .command('stats', 'Print aggregate statistics computed in Redis', {
+    category: {
+      description: 'Only count this category',
+      alias: 'c',
+      type: 'string',
+    },
+    startYear: {
+      description: 'The starting year',
+      alias: 's',
+      type: 'number',
+    },
+    endYear: {
+      description: 'The ending year',
+      alias: 'e',
+      type: 'number',
+    },
+    limit: {
+      description: 'Number of top categories to show',
+      alias: 'l',
+      type: 'number',
+      default: 10,
+    },
+  })
+  .command('createApiKey', 'Create an API key for the gRPC server', {
+    name: {
+      description: 'Who or what the key is for',
+      alias: 'n',
+      type: 'string',
+      demandOption: true,
+    },
+    scopes: {
+      description: 'Scopes the key grants (read, admin)',
+      type: 'array',
+      default: ['read'],
+    },
+  })
+  .command('revokeApiKey', 'Revoke an API key', {
+    key: {
+      description: 'The API key',
+      alias: 'k',
+      type: 'string',
       demandOption: true,
     },
   })
@@ -467,12 +744,12 @@ const argv = yargs(hideBin(process.argv))
 
 // Command execution based on user input
 async function main() {
-  const { _: commands, category, startYear, endYear, keyword, firstname, surname } = argv;
+  const { _: commands, category, startYear, endYear, keyword, firstname, surname, name, fuzzy, limit, sort, scopes, key } = argv;
 
   if (commands.includes('createIndex')) {
     await createIndex();
-  } else if (commands.includes('query ')) {
-    await performChemistryCategoryQuery();
+  } else if (commands.includes('query')) {
+    await performCategoryQuery(category || [], startYear, endYear, sort);
   } else if (commands.includes('query1')) {
     if (category && startYear && endYear) {
       await countLaureates(category, startYear, endYear);
@@ -486,11 +763,22 @@ async function main() {
       console.log('Please provide a keyword for query 2.');
     }
   } else if (commands.includes('query3')) {
-    if (firstname && surname) {
+    if (firstname && surname && !fuzzy && !name) {
       await getLaureateDetails(firstname, surname);
+    } else if (name || firstname || surname) {
+      // A partial name (e.g. surname only) always goes through the fuzzy search
+      await searchLaureatesByName(name || `${firstname || ''} ${surname || ''}`.trim(), limit);
     } else {
-      console.log('Please provide both firstname and surname for query 3.');
+      console.log('Please provide a name, or a firstname and/or surname, for query 3.');
     }
+  } else if (commands.includes('notAwarded')) {
+    await listNotAwardedYears(category, startYear, endYear);
+  } else if (commands.includes('stats')) {
+    await printStatistics({ category, startYear, endYear }, limit);
+  } else if (commands.includes('createApiKey')) {
+    await addApiKey(name, scopes);
+  } else if (commands.includes('revokeApiKey')) {
+    await removeApiKey(key);
   } else {
     console.log('Unknown command. Please use --help to see available commands.');
   }
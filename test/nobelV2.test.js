@@ -0,0 +1,80 @@
+// test/nobelV2.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { portionToShare, toCategorySlug, normalizeNobelData } = require('../lib/nobelV2');
+const { validatePrizes } = require('../lib/validation');
+const nobelPrizes = require('../fixtures/v2/nobelPrizes.json');
+const { laureates } = require('../fixtures/v2/laureates.json');
+
+/**
+ * Normalizes the v2 fixtures, with the laureates document merged in as fetchNobelData does.
+ * @returns {Array} The v1-shaped prizes.
+ */
+function fixturePrizes() {
+  return normalizeNobelData({ ...nobelPrizes, laureates }).prizes;
+}
+
+describe('v2 helpers', () => {
+  it('turn portions into v1 shares', () => {
+    assert.equal(portionToShare('1'), '1');
+    assert.equal(portionToShare('1/2'), '2');
+    assert.equal(portionToShare('1/4'), '4');
+    assert.equal(portionToShare(undefined), '1');
+  });
+
+  it('turn categories into v1 slugs', () => {
+    assert.equal(toCategorySlug({ en: 'Physiology or Medicine' }), 'medicine');
+    assert.equal(toCategorySlug('Economic Sciences'), 'economics');
+    assert.equal(toCategorySlug({ en: 'Space Science' }), 'space-science');
+  });
+});
+
+describe('normalizeNobelData', () => {
+  it('maps v2 prizes onto the v1 shape', () => {
+    const prizes = fixturePrizes();
+    assert.deepEqual(prizes.map((prize) => `${prize.year}:${prize.category}`), ['2018:physics', '2020:peace', '2021:chemistry']);
+
+    const [ashkin] = prizes[0].laureates;
+    assert.equal(ashkin.id, '960');
+    assert.equal(ashkin.type, 'person');
+    assert.equal(ashkin.firstname, 'Arthur');
+    assert.equal(ashkin.surname, 'Ashkin');
+    assert.equal(ashkin.share, '2');
+    assert.equal(ashkin.motivation, '"for the optical tweezers and their application to biological systems"');
+  });
+
+  it('merges the laureates document: gender, birth and the affiliations of this prize', () => {
+    const [ashkin] = fixturePrizes()[0].laureates;
+    assert.equal(ashkin.gender, 'male');
+    assert.equal(ashkin.birth.year, 1922);
+    assert.equal(ashkin.birth.country, 'USA');
+    assert.deepEqual(ashkin.affiliations, [{ name: 'Bell Laboratories', city: 'Holmdel, NJ', country: 'USA' }]);
+  });
+
+  it('marks organisations by their orgName', () => {
+    const [wfp] = fixturePrizes()[1].laureates;
+    assert.equal(wfp.type, 'organization');
+    assert.equal(wfp.orgName, 'World Food Programme');
+    assert.equal(wfp.firstname, 'World Food Programme');
+    assert.equal(wfp.surname, '');
+  });
+
+  it('produces data that passes validation', () => {
+    assert.equal(validatePrizes(fixturePrizes()).summary.errors, 0);
+  });
+
+  it('fills in v1 genders from a v1 laureates document', () => {
+    const data = {
+      prizes: [{ year: '1979', category: 'peace', laureates: [{ id: '540', firstname: 'Mother Teresa', share: '1' }] }],
+      laureates: [{ id: '540', gender: 'female' }],
+    };
+    const normalized = normalizeNobelData(data);
+    assert.equal(normalized.prizes[0].laureates[0].type, 'person');
+    assert.equal(normalized.laureates, undefined);
+  });
+
+  it('rejects data in neither model', () => {
+    assert.throws(() => normalizeNobelData({ results: [] }), /Unrecognised data model/);
+  });
+});
@@ -0,0 +1,61 @@
+// test/sharedModules.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { builtinModules } = require('module');
+
+const ROOT = path.join(__dirname, '..');
+const SERVER_LIB = path.join(ROOT, 'grpc-service', 'server', 'lib');
+
+// Scripts outside the server package that load server modules
+const ENTRY_POINTS = ['uploadnobeldata.js', 'queryRedis.js', path.join('nobel-prize-redis', 'uploadnobeldata.js')];
+
+/**
+ * Lists the modules a file requires.
+ * @param {string} file - The file.
+ * @returns {Array<string>} The required specifiers.
+ */
+function requiresOf(file) {
+  return [...fs.readFileSync(file, 'utf8').matchAll(/require\('([^']+)'\)/g)].map((match) => match[1]);
+}
+
+/**
+ * Collects the server lib modules reachable from a file through relative requires.
+ * @param {string} file - The file to start from.
+ * @param {Set<string>} [found] - Modules collected so far.
+ * @returns {Set<string>} The server lib modules.
+ */
+function serverModulesFrom(file, found = new Set()) {
+  requiresOf(file)
+    .filter((specifier) => specifier.startsWith('.'))
+    .map((specifier) => require.resolve(path.resolve(path.dirname(file), specifier)))
+    .forEach((resolved) => {
+      const inServerLib = resolved.startsWith(SERVER_LIB + path.sep);
+      if (found.has(resolved) || (!inServerLib && !resolved.startsWith(path.join(ROOT, 'lib') + path.sep))) {
+        return;
+      }
+      if (inServerLib) {
+        found.add(resolved);
+      }
+      serverModulesFrom(resolved, found);
+    });
+  return found;
+}
+
+describe('server modules shared with the scripts', () => {
+  const shared = new Set();
+  ENTRY_POINTS.forEach((entry) => serverModulesFrom(path.join(ROOT, entry), shared));
+
+  it('are found', () => {
+    assert.ok(shared.size > 0);
+  });
+
+  it('need nothing from the server package dependencies', () => {
+    shared.forEach((file) => {
+      const packages = requiresOf(file).filter((specifier) => !specifier.startsWith('.') && !builtinModules.includes(specifier));
+      assert.deepEqual(packages, [], path.relative(ROOT, file));
+    });
+  });
+});
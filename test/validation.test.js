@@ -0,0 +1,105 @@
+// test/validation.test.js
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isParsableYear, validatePrizes, runValidationStage } = require('../lib/validation');
+
+/**
+ * Builds a valid prize, with overrides.
+ * @param {Object} [overrides] - Fields to replace.
+ * @returns {Object} The prize.
+ */
+function prize(overrides = {}) {
+  return {
+    year: '2020',
+    category: 'chemistry',
+    laureates: [
+      { id: '1', firstname: 'Emmanuelle', surname: 'Charpentier', motivation: '"for a method for genome editing"', share: '2' },
+      { id: '2', firstname: 'Jennifer', surname: 'Doudna', motivation: '"for a method for genome editing"', share: '2' },
+    ],
+    ...overrides,
+  };
+}
+
+/**
+ * Validates prizes and returns the rule ids that fired.
+ * @param {Array} prizes - The prizes.
+ * @returns {Array<string>} The rule ids, one per issue.
+ */
+function firedRules(prizes) {
+  return validatePrizes(prizes).issues.map((issue) => issue.rule);
+}
+
+describe('prize rules', () => {
+  it('accept a valid prize and years the prize was not awarded', () => {
+    assert.deepEqual(firedRules([prize(), prize({ year: '1940', laureates: [] })]), []);
+  });
+
+  it('flag unparsable years and unknown categories', () => {
+    assert.equal(isParsableYear(' 1901 '), true);
+    assert.equal(isParsableYear('19x1'), false);
+    assert.deepEqual(firedRules([prize({ year: 'MMXX' }), prize({ category: 'mathematics' })]), [
+      'year-unparsable',
+      'category-unknown',
+    ]);
+  });
+
+  it('flag shares that do not add up to one or do not parse', () => {
+    const laureates = prize().laureates;
+    assert.deepEqual(firedRules([prize({ laureates: [{ ...laureates[0], share: '3' }, laureates[1]] })]), ['shares-sum']);
+    const issues = validatePrizes([prize({ laureates: [{ ...laureates[0], share: 'half' }, laureates[1]] })]).issues;
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].laureateId, '1');
+  });
+
+  it('flag duplicate laureate ids and missing names', () => {
+    const [first] = prize().laureates;
+    assert.deepEqual(firedRules([prize({ laureates: [first, first] })]), ['laureate-duplicate-id']);
+    assert.deepEqual(
+      firedRules([prize({ laureates: [{ id: '3', motivation: '"for peace"', share: '1' }] })]),
+      ['laureate-name-missing']
+    );
+  });
+
+  it('warn about badly quoted and badly spaced motivations', () => {
+    const laureate = (motivation) => prize({ laureates: [{ id: '1', firstname: 'A', surname: 'B', share: '1', motivation }] });
+    assert.deepEqual(firedRules([laureate('for peace')]), ['motivation-quoting']);
+    assert.deepEqual(firedRules([laureate('"for "peace"')]), ['motivation-quoting']);
+    assert.deepEqual(firedRules([laureate('" for peace"')]), ['motivation-whitespace']);
+    assert.deepEqual(firedRules([laureate('"for  peace"')]), ['motivation-whitespace']);
+    assert.deepEqual(firedRules([laureate('"for\tpeace"')]), ['motivation-whitespace']);
+    assert.equal(validatePrizes([laureate('for peace')]).summary.warnings, 1);
+  });
+});
+
+describe('scope', () => {
+  const prizes = [prize({ year: '2020' }), prize({ year: '1990', category: 'alchemy' }), prize({ year: 'MMXX' })];
+  const inScope = (candidate) => Number(candidate.year) >= 2000;
+
+  it('reports issues outside the scope apart, counting unparsable years as in scope', () => {
+    const { summary, issues } = validatePrizes(prizes, undefined, inScope);
+    assert.equal(summary.prizes, 2);
+    assert.equal(summary.errors, 1);
+    assert.deepEqual(summary.outOfScope, { prizes: 1, errors: 1, warnings: 0 });
+    assert.deepEqual(summary.byRule['category-unknown'], {
+      level: 'error',
+      description: summary.byRule['category-unknown'].description,
+      count: 0,
+      outOfScope: 1,
+    });
+    assert.deepEqual(issues.map((issue) => [issue.rule, issue.inScope]), [['category-unknown', false], ['year-unparsable', true]]);
+  });
+
+  it('fail --strict only on errors in scope', (t) => {
+    t.mock.method(console, 'log', () => {});
+    const report = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'validation-')), 'report.json');
+
+    assert.doesNotThrow(() => runValidationStage(prizes.slice(0, 2), { report, strict: true }, inScope));
+    assert.throws(() => runValidationStage(prizes, { report, strict: true }, inScope), /1 errors \(--strict\)/);
+    assert.doesNotThrow(() => runValidationStage(prizes, { report }, inScope));
+    assert.equal(JSON.parse(fs.readFileSync(report, 'utf8')).summary.errors, 1);
+  });
+});
@@ -1,163 +1,143 @@
 // Required Modules
 const { createClient } = require('redis');
-const fetch = require('node-fetch'); // Ensure you've installed node-fetch: npm install node-fetch
+const yargs = require('yargs/yargs');
+const { hideBin } = require('yargs/helpers');
+const { fetchNobelData, sourceOptions } = require('./lib/nobelSource');
+const { normalizeNobelData } = require('./lib/nobelV2');
+const { identityKey, loadExistingState, buildPlan, storedKeysAfter, printPlan } = require('./lib/upsertPlan');
+const { bulkOptions, checkBulkOptions, applyPlanInBatches } = require('./lib/bulkLoader');
+const { loadIndexSchema, reindex } = require('./lib/indexSchema');
+const { validationOptions, runValidationStage } = require('./lib/validation');
+const { searchNameFor } = require('./grpc-service/server/lib/nameMatch');
+const { displayName } = require('./grpc-service/server/lib/laureateType');
+const { PROFILE_PREFIX, buildProfileDocuments } = require('./grpc-service/server/lib/profiles');
+const {
+  scopeOptions,
+  resolveScope,
+  prizeInScope,
+  filterDataByScope,
+  prizesFromKeys,
+  buildDatasetMeta,
+  writeDatasetMeta,
+} = require('./lib/scope');
+const { bumpDatasetVersion } = require('./grpc-service/server/lib/datasetMeta');
+const { redisClientOptions } = require('./grpc-service/server/lib/redisOptions');
 require('dotenv').config(); // Load environment variables from .env
 
 /**
- * Fetches Nobel Prize data from the official API.
- * @returns {Promise<Object>} The fetched data in JSON format.
+ * Creates a vector-like field from laureates' names.
+ * @param {Array} laureates - An array of laureate objects.
+ * @returns {string} Person full names and organisation names separated by ' | '.
  */
-async function fetchNobelData() {
-  const response = await fetch('http://api.nobelprize.org/v1/prize.json');
-  if (!response.ok) {
-    throw new Error(`Failed to fetch data: ${response.status} ${response.statusText}`);
-  }
-  const data = await response.json();
-  return data;
+function createVectorField(laureates) {
+  return laureates
+    .map(displayName)
+    .join(' | '); // Separate laureate names with '|' for better indexing
 }
 
-/**
- * Filters the fetched data to include only prizes within the specified year range.
- * @param {Object} data - The complete data fetched from the API.
- * @param {number} startYear - The starting year for filtering.
- * @param {number} endYear - The ending year for filtering.
- * @returns {Array} An array of filtered prize objects.
- */
-function filterDataByYear(data, startYear, endYear) {
-  const filteredPrizes = data.prizes.filter((prize) => {
-    const year = parseInt(prize.year, 10);
-    return year >= startYear && year <= endYear;
-  });
-  return filteredPrizes;
-}
+// Where prize documents live and where their content hashes are recorded
+const PRIZE_KEYS = {
+  match: 'prize:*',
+  hashesKey: 'meta:prizes:hashes',
+};
+
+// Where laureate profiles (one per laureate id) live and where their content hashes are recorded
+const PROFILE_KEYS = {
+  match: `${PROFILE_PREFIX}*`,
+  hashesKey: 'meta:profiles:hashes',
+};
 
 /**
- * Creates a vector-like field from laureates' full names.
- * @param {Array} laureates - An array of laureate objects.
- * @returns {string} A concatenated string of full names separated by ' | '.
+ * Returns the deterministic Redis key of a prize document.
+ * @param {Object} prize - The prize object.
+ * @returns {string} The prize key.
  */
-function createVectorField(laureates) {
-  return laureates
-    .map((laureate) => {
-      const fullName = `${laureate.firstname || ''} ${laureate.surname || ''}`.trim();
-      return fullName;
-    })
-    .join(' | '); // Separate laureate names with '|' for better indexing
+function prizeKey(prize) {
+  return identityKey('prize', prize.year, prize.category, (prize.laureates || []).map((laureate) => laureate.id));
 }
 
 /**
- * Uploads the filtered Nobel Prize data to Redis.
+ * Builds the prize documents to store, keyed by their deterministic Redis key.
  * @param {Array} filteredData - An array of filtered prize objects.
- * @param {RedisClient} client - The Redis client instance.
+ * @returns {Map<string, Object>} The documents keyed by Redis key.
  */
-async function uploadDataToRedis(filteredData, client) {
-  // Initialize counters for each year and category to ensure unique keys
-  const keyCounters = {};
+function buildPrizeDocuments(filteredData) {
+  const documents = new Map();
 
   for (const prize of filteredData) {
-    const { year, category } = prize;
-    const keyBase = `prize:${year}:${category}`;
+    const laureates = prize.laureates || [];
+    const key = prizeKey(prize);
 
-    // Initialize counter if not already set
-    if (!keyCounters[keyBase]) {
-      keyCounters[keyBase] = 1;
+    if (documents.has(key)) {
+      console.warn(`Duplicate prize identity ${key}; keeping the last occurrence.`);
     }
 
-    // Use the counter for the current key
-    const key = `${keyBase}:${keyCounters[keyBase]}`;
-    keyCounters[keyBase] += 1; // Increment the counter for the next key
-
-    const vectorField = createVectorField(prize.laureates || []);
+    const vectorField = createVectorField(laureates);
 
     // Convert 'year' to a number to match the NUMERIC index type
-    const dataToSave = {
+    documents.set(key, {
       ...prize,
+      // Folded names let fuzzy search match without diacritics
+      laureates: laureates.map((laureate) => ({ ...laureate, searchName: searchNameFor(laureate) })),
       vectorField,
       year: parseInt(prize.year, 10), // Ensure 'year' is a number
-    };
-
-    // Debugging: Log the data being saved
-    // console.log(`Data being saved for key ${key}:`, JSON.stringify(dataToSave, null, 2));
-
-    await client.json.set(key, '.', dataToSave); // Save the data as a JSON document
-    // console.log(`Uploaded prize: ${key}`);
+      overallMotivation: prize.overallMotivation || '',
+      // Years the prize was not awarded come through as prizes without laureates
+      awarded: laureates.length > 0,
+      laureateCount: laureates.length, // Lets FT.AGGREGATE count laureates without parsing arrays
+    });
   }
+
+  return documents;
 }
 
 /**
- * Creates a RediSearch index with detailed field specifications.
+ * Uploads the filtered Nobel Prize data to Redis: the prize documents in scope and the
+ * laureate profiles derived from every prize in the source.
+ * Only documents whose content changed are written, and documents that
+ * vanished from the source are deleted; those outside the scope are left alone.
+ * @param {Array} filteredData - An array of filtered prize objects.
  * @param {RedisClient} client - The Redis client instance.
+ * @param {Object} [options] - Upload options.
+ * @param {Array} [options.sourcePrizes] - Every prize in the source, before scope filtering
+ * (defaults to filteredData).
+ * @param {boolean} [options.dryRun=false] - Print the plan without writing anything.
+ * @param {Object} [options.bulk] - Batch size, concurrency, retry and checkpoint settings.
+ * @returns {Promise<{plan: Object, storedKeys: Set<string>}>} The prize plan that was (or would
+ * be) applied, and the prize keys stored once it is.
  */
-async function createRediSearchIndex(client) {
-  // Attempt to drop the existing index if it exists
-  try {
-    await client.ft.dropIndex('idx:prizes', { DD: false });
-    console.log('Deleted existing index: idx:prizes');
-  } catch (error) {
-    if (error.message.includes('Unknown Index name')) {
-      console.log('No existing index to delete.');
-    } else {
-      throw error; // Re-throw unexpected errors
-    }
-  }
+async function uploadDataToRedis(filteredData, client, { sourcePrizes = filteredData, dryRun = false, bulk = {} } = {}) {
+  const sourceDocuments = buildPrizeDocuments(sourcePrizes);
+  const documents = new Map(filteredData.map(prizeKey).map((key) => [key, sourceDocuments.get(key)]));
+  const existing = await loadExistingState(client, PRIZE_KEYS);
+  const plan = buildPlan(documents, existing, new Set(sourceDocuments.keys()));
+  // Profiles span every prize in the source, so a narrower run does not drop a laureate's other prizes
+  const profilePlan = buildPlan(
+    buildProfileDocuments(sourceDocuments),
+    await loadExistingState(client, PROFILE_KEYS)
+  );
 
-  // Create a RediSearch index with detailed field specifications
-  try {
-    await client.ft.create(
-      'idx:prizes', // Index name
-      {
-        '$.year': {
-          type: 'NUMERIC',
-          AS: 'year',
-          SORTABLE: true, // Enable sorting on the 'year' field
-        },
-        '$.category': {
-          type: 'TAG',
-          AS: 'category',
-          SEPARATOR: ',', // Define a separator for TAG fields if needed
-        },
-        '$.laureates[*].firstname': {
-          type: 'TEXT',
-          AS: 'firstname',
-          WEIGHT: 1, // Optional: Define weight for full-text search relevance
-        },
-        '$.laureates[*].surname': {
-          type: 'TEXT',
-          AS: 'surname',
-          WEIGHT: 1,
-        },
-        '$.laureates[*].motivation': {
-          type: 'TEXT',
-          AS: 'motivation',
-          WEIGHT: 1,
-        },
-        '$.vectorField': {
-          type: 'TEXT',
-          AS: 'vectorField',
-          WEIGHT: 1,
-        },
-      },
-      {
-        ON: 'JSON', // Specify that we're indexing JSON documents
-        PREFIX: ['prize:'], // All keys starting with "prize:" will be indexed
-      }
-    );
-    console.log('Index with detailed fields created successfully.');
-  } catch (error) {
-    if (error.message.includes('Index already exists')) {
-      console.log('Index already exists, skipping creation.');
-    } else {
-      throw error; // Re-throw unexpected errors
-    }
+  console.log('Prizes:');
+  printPlan(plan, dryRun);
+  console.log('Laureate profiles:');
+  printPlan(profilePlan, dryRun);
+  if (!dryRun) {
+    await applyPlanInBatches(client, plan, { ...bulk, ...PRIZE_KEYS, name: 'prizes' });
+    await applyPlanInBatches(client, profilePlan, { ...bulk, ...PROFILE_KEYS, name: 'profiles' });
   }
+  return { plan, storedKeys: storedKeysAfter(plan, existing) };
 }
 
 /**
  * Verifies the uploaded data by retrieving a specific key from Redis.
  * @param {RedisClient} client - The Redis client instance.
+ * @param {string} key - The key to retrieve.
  */
-async function verifyDataAfterUpload(client) {
-  const key = 'prize:2013:chemistry:1'; // Adjust this key as needed
+async function verifyDataAfterUpload(client, key) {
+  if (!key) {
+    console.log('No documents in scope to verify.');
+    return;
+  }
   const data = await client.json.get(key);
   if (data) {
     console.log(`Uploaded Data for key ${key}:`, JSON.stringify(data, null, 2));
@@ -169,13 +149,18 @@ async function verifyDataAfterUpload(client) {
 /**
  * Performs a RediSearch query to verify that the index works as expected.
  * @param {RedisClient} client - The Redis client instance.
+ * @param {string} [category] - A category that was loaded; nothing is queried without one.
  */
-async function checkRedisQuery(client) {
-  const results = await client.ft.search('idx:prizes', '@category:{chemistry}');
+async function checkRedisQuery(client, category) {
+  if (!category) {
+    console.log('No categories in scope to query.');
+    return;
+  }
+  const results = await client.ft.search('idx:prizes', `@category:{${category}}`);
   if (results.total > 0) {
     console.log('Search Results:', JSON.stringify(results, null, 2));
   } else {
-    console.log('No results found for category: chemistry');
+    console.log(`No results found for category: ${category}`);
   }
 }
 
@@ -183,19 +168,41 @@ async function checkRedisQuery(client) {
  * The main function orchestrates fetching, filtering, uploading, verifying, and querying data.
  */
 async function main() {
-  const startYear = 2013;
-  const endYear = 2023;
+  const argv = yargs(hideBin(process.argv))
+    .options(sourceOptions)
+    .options(scopeOptions)
+    .options(bulkOptions)
+    .check(checkBulkOptions)
+    .options(validationOptions)
+    .option('reindex', {
+      description: 'Build a new index version and swap the alias even if the schema is unchanged',
+      type: 'boolean',
+      default: false,
+    })
+    .option('dry-run', {
+      description: 'Print the create/update/delete plan without writing to Redis',
+      type: 'boolean',
+      default: false,
+    })
+    .help()
+    .alias('help', 'h')
+    .argv;
+
+  const scope = resolveScope(argv);
 
   console.log('Fetching Nobel Prize data...');
-  const data = await fetchNobelData();
+  const data = normalizeNobelData(await fetchNobelData(argv), argv.format);
 
-  console.log(`Filtering data from ${startYear} to ${endYear}...`);
-  const filteredData = filterDataByYear(data, startYear, endYear);
+  // Before filtering, which drops unparsable years unseen; --strict only fails on the scope
+  console.log('Validating source data...');
+  runValidationStage(data.prizes, argv, (prize) => prizeInScope(prize, scope));
+
+  const categoryNote = scope.categories ? ` (${scope.categories.join(', ')})` : '';
+  console.log(`Filtering data from ${scope.startYear} to ${scope.endYear}${categoryNote}...`);
+  const filteredData = filterDataByScope(data, scope);
 
   console.log('Connecting to Redis...');
-  const client = createClient({
-    url: process.env.REDIS_URL, // Ensure your .env file contains REDIS_URL
-  });
+  const client = createClient(redisClientOptions());
 
   client.on('error', (err) => console.error('Redis Client Error', err));
 
@@ -204,22 +211,40 @@ async function main() {
     console.log('Connected to Redis successfully.');
 
     // Upload data to Redis
-    console.log('Uploading filtered data to Redis...');
-    await uploadDataToRedis(filteredData, client);
+    console.log(argv.dryRun ? 'Planning upload (dry run)...' : 'Uploading filtered data to Redis...');
+    const { plan, storedKeys } = await uploadDataToRedis(filteredData, client, {
+      sourcePrizes: data.prizes,
+      dryRun: argv.dryRun,
+      bulk: argv,
+    });
+    if (argv.dryRun) {
+      return;
+    }
+
+    // Record the ingested scope for the server and CLI to validate against
+    await writeDatasetMeta(client, buildDatasetMeta(scope, prizesFromKeys(storedKeys), {
+      source: argv.fromSnapshot !== undefined ? 'snapshot' : argv.source,
+    }));
+
+    // Make sure idx:prizes and idx:profiles point at indexes built from the current schemas
+    console.log('Checking RediSearch index...');
+    await reindex(client, loadIndexSchema('prizes'), { force: argv.reindex });
+    await reindex(client, loadIndexSchema('profiles'), { force: argv.reindex });
 
-    // Create RediSearch index
-    console.log('Creating RediSearch index...');
-    await createRediSearchIndex(client);
+    // Servers drop the responses they cached for the previous data
+    console.log(`Dataset version is now ${await bumpDatasetVersion(client)}.`);
 
     // Verify data
     console.log('Verifying the uploaded data...');
-    await verifyDataAfterUpload(client);
+    const [firstEntry] = [...plan.create, ...plan.update, ...plan.unchanged];
+    await verifyDataAfterUpload(client, firstEntry && firstEntry.key);
 
     // Perform a sample query
     console.log('Performing a simple query to verify the data...');
-    await checkRedisQuery(client);
+    await checkRedisQuery(client, filteredData.length > 0 ? filteredData[0].category : undefined);
   } catch (error) {
     console.error('Error during execution:', error);
+    process.exitCode = 1; // Let CI see a failed load
   } finally {
     await client.quit();
     console.log('Disconnected from Redis.');
@@ -227,4 +252,7 @@ async function main() {
 }
 
 // Execute the main function and handle any uncaught errors
-main().catch((error) => console.error('Error in main execution:', error));
+main().catch((error) => {
+  console.error('Error in main execution:', error);
+  process.exitCode = 1; // Let CI see a failed load (e.g. under --strict)
+});